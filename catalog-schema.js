@@ -0,0 +1,237 @@
+/**
+ * @file catalog-schema.js
+ * @description Esquema de los productos del catálogo y su validador.
+ *
+ * Se comparte entre el navegador y Node:
+ * - js/catalog.js lo usa (como `window.CatalogSchema`) para omitir los productos no válidos sin romper la cuadrícula.
+ * - tools/validate-catalog.js lo usa para revisar `products.json` desde la línea de comandos.
+ *
+ * El esquema declara solo los campos que la tienda usa. Los campos desconocidos se ignoran.
+ */
+
+(function (root, factory) {
+    'use strict';
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.CatalogSchema = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * @const {Object<string, Object>} VARIANT_SCHEMA
+     * @description Los campos de una variante. Los que faltan se heredan del producto.
+     */
+    const VARIANT_SCHEMA = {
+        name: { type: 'string', required: true, nonEmpty: true },
+        image: { type: 'https-url' },
+        price: { type: 'number', min: 0 },
+        oldPrice: { type: 'number', min: 0 },
+        stock: { type: 'integer', min: 0 }
+    };
+
+    /**
+     * @const {Object<string, Object>} PRODUCT_SCHEMA
+     * @description Los campos de un producto. Cada regla admite:
+     * - `type`: `string`, `number`, `integer`, `boolean`, `https-url`, `array` u `object` (o un array de tipos).
+     * - `required`, `nonEmpty` (texto no vacío), `min`/`max` (números), `pattern` (texto),
+     *   `items` (regla de cada elemento), `minItems`, `uniqueBy` (campo que no puede repetirse entre elementos)
+     *   y `schema` (campos de un objeto).
+     */
+    const PRODUCT_SCHEMA = {
+        id: { type: 'integer', required: true, min: 1 },
+        name: { type: 'string', required: true, nonEmpty: true },
+        image: { type: 'https-url', required: true },
+        price: { type: 'number', required: true, min: 0 },
+        oldPrice: { type: 'number', required: true, min: 0 },
+        rating: { type: 'number', required: true, min: 0, max: 5 },
+        sales: { type: ['string', 'number'] },
+        badge: { type: 'string' },
+        // Se usa como clase CSS en el carrito.
+        badgeType: { type: 'string', pattern: /^[a-z][a-z0-9-]*$/ },
+        stock: { type: 'integer', min: 0 },
+        brand: { type: 'string' },
+        fulfillment: { type: 'string' },
+        hasVideo: { type: 'boolean' },
+        video: { type: 'https-url' },
+        images: { type: 'array', items: { type: 'https-url' } },
+        variants: { type: 'array', minItems: 1, uniqueBy: 'name', items: { type: 'object', schema: VARIANT_SCHEMA } }
+    };
+
+    /**
+     * @const {Object<string, string>} TYPE_LABELS
+     * @description Cómo se nombra cada tipo en los mensajes de error.
+     */
+    const TYPE_LABELS = {
+        string: 'un texto',
+        number: 'un número',
+        integer: 'un número entero',
+        boolean: 'true o false',
+        'https-url': 'una URL https://',
+        array: 'una lista',
+        object: 'un objeto'
+    };
+
+    /**
+     * Comprueba si un valor es del tipo indicado.
+     * @param {*} value - El valor.
+     * @param {string} type - El tipo de la regla.
+     * @returns {boolean} `true` si coincide.
+     */
+    function matchesType(value, type) {
+        switch (type) {
+            case 'string': return typeof value === 'string';
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'integer': return Number.isInteger(value);
+            case 'boolean': return typeof value === 'boolean';
+            case 'array': return Array.isArray(value);
+            case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+            case 'https-url':
+                try {
+                    return typeof value === 'string' && new URL(value).protocol === 'https:';
+                } catch (error) {
+                    return false;
+                }
+            default: return false;
+        }
+    }
+
+    /**
+     * Valida un valor contra una regla y acumula los errores.
+     * @param {*} value - El valor.
+     * @param {Object} rule - La regla.
+     * @param {string} field - La ruta del campo (ej. `variants[1].price`).
+     * @param {Array<{field: string, message: string}>} errors - Donde se añaden los errores.
+     */
+    function checkValue(value, rule, field, errors) {
+        const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ field, message: `debe ser ${types.map(type => TYPE_LABELS[type]).join(' o ')}` });
+            return;
+        }
+        if (rule.nonEmpty && value.trim() === '') {
+            errors.push({ field, message: 'no puede estar vacío' });
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            errors.push({ field, message: `no tiene el formato esperado (${rule.pattern})` });
+        }
+        if (typeof rule.min === 'number' && value < rule.min) {
+            errors.push({ field, message: `debe ser mayor o igual que ${rule.min}` });
+        }
+        if (typeof rule.max === 'number' && value > rule.max) {
+            errors.push({ field, message: `debe ser menor o igual que ${rule.max}` });
+        }
+        if (Array.isArray(value)) {
+            if (typeof rule.minItems === 'number' && value.length < rule.minItems) {
+                errors.push({ field, message: `debe tener al menos ${rule.minItems} elemento(s)` });
+            }
+            if (rule.items) {
+                value.forEach((item, index) => checkValue(item, rule.items, `${field}[${index}]`, errors));
+            }
+            if (rule.uniqueBy) {
+                const seen = new Set();
+                value.forEach((item, index) => {
+                    const key = item && item[rule.uniqueBy];
+                    if (key === undefined) return;
+                    if (seen.has(key)) {
+                        errors.push({ field: `${field}[${index}].${rule.uniqueBy}`, message: `"${key}" está repetido` });
+                    }
+                    seen.add(key);
+                });
+            }
+        }
+        if (rule.schema) {
+            checkObject(value, rule.schema, `${field}.`, errors);
+        }
+    }
+
+    /**
+     * Valida los campos de un objeto contra un esquema.
+     * @param {Object} object - El objeto.
+     * @param {Object<string, Object>} schema - Las reglas por campo.
+     * @param {string} prefix - El prefijo de las rutas de los campos.
+     * @param {Array<{field: string, message: string}>} errors - Donde se añaden los errores.
+     */
+    function checkObject(object, schema, prefix, errors) {
+        Object.keys(schema).forEach(key => {
+            const rule = schema[key];
+            if (object[key] === undefined || object[key] === null) {
+                if (rule.required) errors.push({ field: `${prefix}${key}`, message: 'es obligatorio' });
+                return;
+            }
+            checkValue(object[key], rule, `${prefix}${key}`, errors);
+        });
+    }
+
+    /**
+     * Valida un producto.
+     * @param {*} product - El producto tal como llegó.
+     * @returns {Array<{field: string, message: string}>} Los errores (vacío si es válido).
+     */
+    function validateProduct(product) {
+        const errors = [];
+        if (!matchesType(product, 'object')) {
+            errors.push({ field: '', message: 'el producto debe ser un objeto' });
+            return errors;
+        }
+        checkObject(product, PRODUCT_SCHEMA, '', errors);
+        return errors;
+    }
+
+    /**
+     * Valida una lista de productos y separa los válidos. Un ID repetido invalida las apariciones
+     * posteriores a la primera.
+     * @param {*} products - El catálogo (o una página) tal como llegó.
+     * @param {Object} [options] - Opciones.
+     * @param {Iterable<number>} [options.knownIds] - IDs ya usados (ej. por páginas anteriores).
+     * @returns {{products: Array<Object>, errors: Array<{index: number, id: *, name: *, field: string, message: string}>}}
+     *          Los productos válidos, en su orden, y los errores de los omitidos.
+     */
+    function validateCatalog(products, options = {}) {
+        if (!Array.isArray(products)) {
+            return { products: [], errors: [{ index: -1, id: null, name: null, field: '', message: 'el catálogo debe ser una lista de productos' }] };
+        }
+        const seenIds = new Map();
+        Array.from(options.knownIds || []).forEach(id => seenIds.set(id, -1));
+        const valid = [];
+        const errors = [];
+
+        products.forEach((product, index) => {
+            const productErrors = validateProduct(product);
+            if (productErrors.length === 0 && seenIds.has(product.id)) {
+                const first = seenIds.get(product.id);
+                productErrors.push({
+                    field: 'id',
+                    message: first === -1 ? 'está repetido' : `está repetido (ya lo usa el producto en la posición ${first})`
+                });
+            }
+            if (productErrors.length > 0) {
+                const id = product && typeof product === 'object' ? product.id : undefined;
+                const name = product && typeof product === 'object' ? product.name : undefined;
+                productErrors.forEach(error => errors.push({ index, id, name, ...error }));
+                return;
+            }
+            seenIds.set(product.id, index);
+            valid.push(product);
+        });
+        return { products: valid, errors };
+    }
+
+    /**
+     * Describe un error de `validateCatalog` en una línea.
+     * @param {{index: number, id: *, name: *, field: string, message: string}} error - El error.
+     * @returns {string} El mensaje (ej. `producto en la posición 3 (id 4, "Foco LED"): price debe ser un número`).
+     */
+    function formatCatalogError(error) {
+        if (error.index < 0) return error.message;
+        const details = [];
+        if (error.id !== undefined) details.push(`id ${JSON.stringify(error.id)}`);
+        if (typeof error.name === 'string') details.push(`"${error.name}"`);
+        const product = `producto en la posición ${error.index}${details.length ? ` (${details.join(', ')})` : ''}`;
+        return `${product}: ${error.field ? `${error.field} ` : ''}${error.message}`;
+    }
+
+    return Object.freeze({ PRODUCT_SCHEMA, validateProduct, validateCatalog, formatCatalogError });
+});
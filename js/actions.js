@@ -0,0 +1,99 @@
+/**
+ * @file js/actions.js
+ * @description Acciones delegadas: un único manejador de clics ejecuta la acción de `data-action` de cada control,
+ * así que nada se expone en `window` y index.html puede declarar una Content-Security-Policy estricta.
+ */
+
+import {
+    addToCart, addAllToCart, toggleSelectAll, toggleItem, changeQty, removeItem, openBulkActionsMenu
+} from './cart.js';
+import { checkout, showLoginNotice, closeBanner } from './ui.js';
+import {
+    showAllProducts, removeFilterChip, clearCatalogFilters, toggleFilterPanel, toggleFacetFilter, toggleVideoFilter
+} from './search.js';
+import { navigateTo, goBack } from './router.js';
+import { selectDetailVariant, selectGalleryThumb } from './detail.js';
+import { openVariantPicker, openQuantityPicker, choosePickerOption } from './pickers.js';
+import { submitOrder, showPreviousCheckoutStep } from './checkout.js';
+import { removeCoupon } from './coupons.js';
+import { toggleWishlist, saveForLater, moveToCart, removeFromWishlist } from './wishlist.js';
+import { requestMoreProducts } from './catalog.js';
+import { promptInstall } from './offline.js';
+import { setComparison, clearComparison, toggleCompare } from './compare.js';
+import { flyToCart } from './floating-cart.js';
+import { reorder } from './orders.js';
+import { runNotificationAction } from './utils.js';
+
+/**
+ * @const {Object<string, Function>} ACTIONS
+ * @description Lo que hace cada control según su atributo `data-action`. Cada acción recibe el control
+ * pulsado y lee de sus atributos `data-*` el producto, la línea o el valor sobre el que actúa. Lo que no cabe en
+ * un atributo (la función de las opciones de la lista desplegable abierta o la del botón de la notificación
+ * visible) lo guarda el módulo del componente.
+ */
+const ACTIONS = {
+    // Cabecera, banner y barras inferiores (index.html)
+    'go-back': () => goBack(),
+    'notification-action': element => runNotificationAction(element),
+    'close-banner': () => closeBanner(),
+    'install-app': () => promptInstall(),
+    'show-login-notice': () => showLoginNotice(),
+    'add-all-to-cart': () => addAllToCart(),
+    'checkout': () => checkout(),
+    // Catálogo
+    'add-to-cart': element => {
+        if (addToCart(Number(element.dataset.productId), element.dataset.variant)) flyToCart(element);
+    },
+    'toggle-filters': () => toggleFilterPanel(),
+    'toggle-facet': element => toggleFacetFilter(element),
+    'toggle-video-filter': element => toggleVideoFilter(element),
+    'remove-filter': element => removeFilterChip(Number(element.dataset.filterIndex)),
+    'clear-filters': () => clearCatalogFilters(),
+    'show-all-products': () => showAllProducts(),
+    'load-more': () => requestMoreProducts(),
+    'select-variant': element => selectDetailVariant(Number(element.dataset.productId), element.dataset.variant),
+    'select-gallery-thumb': element => selectGalleryThumb(element),
+    // Carrito
+    'toggle-select-all': () => toggleSelectAll(),
+    'toggle-item': element => toggleItem(Number(element.dataset.lineId)),
+    'change-quantity': element => changeQty(Number(element.dataset.lineId), Number(element.dataset.delta)),
+    'open-quantity-picker': element => openQuantityPicker(element, Number(element.dataset.lineId)),
+    'open-variant-picker': element => openVariantPicker(element, Number(element.dataset.lineId)),
+    'choose-picker-option': element => choosePickerOption(element),
+    'save-for-later': element => saveForLater(Number(element.dataset.lineId)),
+    'remove-item': element => removeItem(Number(element.dataset.lineId)),
+    'open-bulk-actions': element => openBulkActionsMenu(element),
+    'remove-coupon': element => removeCoupon(element.dataset.code),
+    // Favoritos y guardados para después
+    'toggle-wishlist': element => toggleWishlist(Number(element.dataset.wishlistId)),
+    'move-to-cart': element => moveToCart(Number(element.dataset.productId), element.dataset.variant),
+    'remove-saved': element => removeFromWishlist(Number(element.dataset.productId), element.dataset.variant),
+    // Comparador
+    'toggle-compare': element => toggleCompare(element),
+    'open-comparison': () => navigateTo('/compare'),
+    'clear-comparison': () => clearComparison(),
+    'remove-from-comparison': element => setComparison(Number(element.dataset.productId), false),
+    // Mis pedidos
+    'reorder': element => reorder(Number(element.dataset.orderIndex)),
+    // Checkout
+    'checkout-back': () => showPreviousCheckoutStep(),
+    'place-order': () => submitOrder()
+};
+
+/**
+ * Ejecuta la acción del control pulsado. Un único manejador en `document` atiende todos los controles,
+ * también los que se crean al renderizar.
+ * @security Sustituye a los `onclick` en línea y a las funciones expuestas en `window`: la página no necesita
+ *           `'unsafe-inline'` en su Content-Security-Policy y nada de la tienda queda fuera de sus módulos.
+ * @param {MouseEvent} event - El clic (o la activación con Enter/Espacio de un botón).
+ */
+export function handleActionClick(event) {
+    const element = event.target.closest('[data-action]');
+    if (!element) return;
+    const action = ACTIONS[element.dataset.action];
+    if (!action) {
+        console.error("Acción desconocida:", element.dataset.action);
+        return;
+    }
+    action(element, event);
+}
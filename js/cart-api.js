@@ -0,0 +1,109 @@
+/**
+ * @file js/cart-api.js
+ * @description API pública del carrito para las páginas que integran la tienda (ej. un resumen del carrito en otra
+ * parte del sitio). Se importa desde la misma URL que usa la tienda, así que comparte su carrito:
+ *
+ *     import { cart } from './js/cart-api.js';
+ *
+ *     document.addEventListener('cart:change', event => {
+ *         badge.textContent = event.detail.units;
+ *     });
+ *     cart.add(3, 'Azul');
+ *
+ * Eventos, que se lanzan en `document` con el estado del carrito en `event.detail` (ver `getCartSnapshot`):
+ * - `cart:change`: cuando la tienda termina de cargar el carrito guardado y tras cada cambio del carrito o de los
+ *   cupones aplicados.
+ * - `cart:checkout`: cuando el comprador pasa al checkout con las líneas seleccionadas (ya validado el pedido
+ *   mínimo). Es cancelable: con `event.preventDefault()` la página se encarga del pago y la tienda no abre su checkout.
+ *
+ * Los métodos aplican las mismas validaciones y avisos que los controles del carrito. Los precios están en la moneda
+ * del catálogo (COP), sea cual sea la moneda elegida para mostrarlos.
+ */
+
+import { cartStore, addToCart, setQty, removeItem, getSelectionTotals } from './cart.js';
+import { isLineSoldOut } from './cart-model.js';
+import { checkout } from './ui.js';
+
+/**
+ * Describe el carrito con datos simples, que la página puede guardar o enviar sin tocar el estado de la tienda.
+ * @returns {{lines: Array<Object>, units: number, totals: Object}} Las líneas (con `lineId`, `productId`, `name`,
+ *          `variant`, `price`, `oldPrice`, `quantity`, `selected` y `soldOut`), el total de unidades y los totales
+ *          de las líneas seleccionadas (`count`, `total`, `oldTotal`, `priceDiscount`, `couponDiscount` y
+ *          `discountPercent`, como en la barra de pago).
+ */
+export function getCartSnapshot() {
+    const lines = cartStore.getLines().map(line => ({
+        lineId: line.lineId,
+        productId: line.id,
+        name: line.name,
+        variant: line.variant,
+        price: line.price,
+        oldPrice: line.oldPrice,
+        quantity: line.quantity,
+        selected: cartStore.isSelected(line.lineId),
+        soldOut: isLineSoldOut(line)
+    }));
+    const { totals, couponSummary } = getSelectionTotals();
+    return {
+        lines,
+        units: lines.reduce((sum, line) => sum + line.quantity, 0),
+        totals: { ...totals, couponDiscount: couponSummary.discount }
+    };
+}
+
+/**
+ * Lanza `cart:change` con el estado actual. Está suscrita a `cartStore` desde la inicialización.
+ */
+export function notifyCartChange() {
+    document.dispatchEvent(new CustomEvent('cart:change', { detail: getCartSnapshot() }));
+}
+
+/**
+ * Lanza `cart:checkout` antes de abrir el checkout.
+ * @returns {boolean} `false` si la página canceló el evento y se encarga ella del pago.
+ */
+export function notifyCheckout() {
+    return document.dispatchEvent(new CustomEvent('cart:checkout', { detail: getCartSnapshot(), cancelable: true }));
+}
+
+/**
+ * @const {Object} cart
+ * @description Los métodos públicos del carrito. El estado se lee con `getSnapshot` (o desde los eventos) y solo
+ * cambia a través de estos métodos.
+ */
+export const cart = Object.freeze({
+    /** @returns {Object} El estado del carrito (ver `getCartSnapshot`). */
+    getSnapshot: getCartSnapshot,
+
+    /**
+     * Añade una unidad de un producto, como el botón "Añadir al carrito".
+     * @param {number} productId - El ID del producto.
+     * @param {string} [variant] - La variante; por defecto la primera disponible.
+     */
+    add(productId, variant) {
+        addToCart(productId, variant);
+    },
+
+    /**
+     * @param {number} lineId - El ID de la línea (ver `lines` en el estado).
+     * @param {number} quantity - La nueva cantidad (entero positivo, sin superar las existencias).
+     */
+    setQuantity(lineId, quantity) {
+        setQty(lineId, quantity);
+    },
+
+    /**
+     * Quita una línea del carrito; el comprador puede deshacerlo desde el aviso.
+     * @param {number} lineId - El ID de la línea.
+     */
+    remove(lineId) {
+        removeItem(lineId);
+    },
+
+    /**
+     * Pasa al checkout con las líneas seleccionadas, como el botón "Pagar".
+     */
+    checkout() {
+        checkout();
+    }
+});
@@ -0,0 +1,334 @@
+/**
+ * @file js/cart-model.js
+ * @description Modelo del carrito, sin DOM ni mensajes: el almacén de líneas y selección, las variantes y
+ * existencias de cada producto, los límites de cantidad y el cálculo de totales y descuento.
+ *
+ * No importa ningún otro módulo, así que se puede usar (y probar) fuera del navegador.
+ */
+
+/**
+ * Crea el almacén del carrito. Cada línea tiene un `lineId` estable que no cambia al reordenar, fusionar
+ * o restaurar líneas, y la selección es un conjunto de esos IDs. Las líneas se guardan congeladas: solo
+ * pueden cambiar a través de los métodos del almacén, que avisan a los suscriptores tras cada cambio.
+ * @returns {Object} La API del almacén.
+ */
+export function createCartStore() {
+    let lines = [];
+    let selection = new Set();
+    let nextLineId = 1;
+    let batchDepth = 0;
+    let hasPendingChange = false;
+    const listeners = new Set();
+
+    const indexOf = lineId => lines.findIndex(line => line.lineId === lineId);
+    const emit = () => {
+        if (batchDepth > 0) {
+            hasPendingChange = true;
+            return;
+        }
+        hasPendingChange = false;
+        listeners.forEach(listener => listener());
+    };
+
+    return {
+        /** @returns {Array<Object>} Una copia de la lista de líneas, en orden. */
+        getLines: () => lines.slice(),
+
+        /**
+         * @param {number} lineId - El ID de la línea.
+         * @returns {?Object} La línea, o `null` si no existe.
+         */
+        getLine: lineId => lines[indexOf(lineId)] || null,
+
+        /**
+         * @param {number} productId - El ID del producto.
+         * @param {string} variant - La variante.
+         * @returns {?Object} La línea de ese producto y variante, o `null`.
+         */
+        findLine: (productId, variant) => lines.find(line => line.id === productId && line.variant === variant) || null,
+
+        /**
+         * @param {number} lineId - El ID de la línea.
+         * @returns {boolean} `true` si la línea está seleccionada.
+         */
+        isSelected: lineId => selection.has(lineId),
+
+        /** @returns {Array<Object>} Las líneas seleccionadas, en el orden del carrito. */
+        getSelectedLines: () => lines.filter(line => selection.has(line.lineId)),
+
+        /**
+         * Registra una función que se llama tras cada cambio del carrito.
+         * @param {Function} listener - La función.
+         * @returns {Function} Una función que cancela la suscripción.
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        /**
+         * Agrupa varias modificaciones para que los suscriptores reciban un solo aviso al final.
+         * @param {Function} fn - Las modificaciones.
+         */
+        batch(fn) {
+            batchDepth++;
+            try {
+                fn();
+            } finally {
+                batchDepth--;
+                if (batchDepth === 0 && hasPendingChange) emit();
+            }
+        },
+
+        /**
+         * @param {Object} line - Los datos de la línea (ver `createCartLine`).
+         * @param {boolean} [selected=false] - Si la línea empieza seleccionada.
+         * @returns {number} El `lineId` asignado.
+         */
+        addLine(line, selected = false) {
+            const lineId = nextLineId++;
+            lines.push(Object.freeze({ ...line, lineId }));
+            if (selected) selection.add(lineId);
+            emit();
+            return lineId;
+        },
+
+        /**
+         * Reemplaza campos de una línea sin cambiar su ID ni su posición.
+         * @param {number} lineId - El ID de la línea.
+         * @param {Object} changes - Los campos nuevos.
+         */
+        updateLine(lineId, changes) {
+            const index = indexOf(lineId);
+            if (index === -1) return;
+            lines[index] = Object.freeze({ ...lines[index], ...changes, lineId });
+            emit();
+        },
+
+        /**
+         * @param {Array<number>} lineIds - Los IDs de las líneas a quitar (también de la selección).
+         */
+        removeLines(lineIds) {
+            const ids = new Set(lineIds);
+            lines = lines.filter(line => !ids.has(line.lineId));
+            ids.forEach(lineId => selection.delete(lineId));
+            emit();
+        },
+
+        /**
+         * Devuelve el estado actual de unas líneas (datos, posición y selección) para poder restaurarlo.
+         * @param {Array<number>} lineIds - Los IDs de las líneas.
+         * @returns {Array<{line: Object, index: number, selected: boolean}>} El estado de cada línea existente.
+         */
+        captureLines(lineIds) {
+            return lines
+                .map((line, index) => ({ line, index, selected: selection.has(line.lineId) }))
+                .filter(record => lineIds.includes(record.line.lineId));
+        },
+
+        /**
+         * Restaura líneas capturadas con `captureLines`: las que siguen en el carrito recuperan sus datos y
+         * las eliminadas vuelven a su posición original, con su mismo `lineId` y selección.
+         * @param {Array<{line: Object, index: number, selected: boolean}>} records - El estado capturado.
+         */
+        restoreLines(records) {
+            records.slice().sort((a, b) => a.index - b.index).forEach(({ line, index, selected }) => {
+                const current = indexOf(line.lineId);
+                if (current > -1) {
+                    lines[current] = line;
+                } else {
+                    lines.splice(Math.min(index, lines.length), 0, line);
+                }
+                if (selected) {
+                    selection.add(line.lineId);
+                } else {
+                    selection.delete(line.lineId);
+                }
+                nextLineId = Math.max(nextLineId, line.lineId + 1);
+            });
+            emit();
+        },
+
+        /**
+         * @param {number} lineId - El ID de la línea.
+         * @param {boolean} selected - El nuevo estado de selección.
+         */
+        setSelected(lineId, selected) {
+            if (indexOf(lineId) === -1) return;
+            if (selected) {
+                selection.add(lineId);
+            } else {
+                selection.delete(lineId);
+            }
+            emit();
+        },
+
+        /**
+         * @param {Array<number>} lineIds - Los IDs que quedan seleccionados; el resto se deselecciona.
+         */
+        setSelection(lineIds) {
+            selection = new Set(lineIds.filter(lineId => indexOf(lineId) > -1));
+            emit();
+        },
+
+        /**
+         * Sustituye todo el contenido (ej. al restaurar desde localStorage). Se conservan los `lineId`
+         * recibidos si son enteros positivos y únicos; el resto de líneas recibe uno nuevo.
+         * @param {Array<Object>} newLines - Las líneas.
+         * @param {Array<number>} selectedIds - Los IDs seleccionados.
+         */
+        replace(newLines, selectedIds) {
+            const usedIds = new Set();
+            newLines.forEach(line => {
+                if (Number.isInteger(line.lineId) && line.lineId > 0) usedIds.add(line.lineId);
+            });
+            nextLineId = Math.max(0, ...usedIds) + 1;
+            const assigned = new Set();
+            lines = newLines.map(line => {
+                const keepId = Number.isInteger(line.lineId) && line.lineId > 0 && !assigned.has(line.lineId);
+                const lineId = keepId ? line.lineId : nextLineId++;
+                assigned.add(lineId);
+                return Object.freeze({ ...line, lineId });
+            });
+            selection = new Set(selectedIds.filter(lineId => indexOf(lineId) > -1));
+            emit();
+        }
+    };
+}
+
+/**
+ * @const {string} DEFAULT_VARIANT
+ * @description Nombre de la variante de los productos que no declaran `variants`.
+ */
+export const DEFAULT_VARIANT = 'Estándar';
+
+/**
+ * Busca una variante de un producto por su nombre.
+ * @param {Object} product - El producto del catálogo.
+ * @param {string} variantName - El nombre de la variante.
+ * @returns {?Object} La variante, o `null` si el producto no la tiene.
+ */
+export function findVariant(product, variantName) {
+    const variants = Array.isArray(product.variants) ? product.variants : [];
+    return variants.find(v => v.name === variantName) || null;
+}
+
+/**
+ * Indica si un producto tiene la variante indicada.
+ * @param {Object} product - El producto del catálogo.
+ * @param {string} variantName - El nombre de la variante.
+ * @returns {boolean} `true` si la variante existe (o es `DEFAULT_VARIANT` en un producto sin variantes).
+ */
+export function hasVariant(product, variantName) {
+    if (!Array.isArray(product.variants) || product.variants.length === 0) {
+        return variantName === DEFAULT_VARIANT;
+    }
+    return Boolean(findVariant(product, variantName));
+}
+
+/**
+ * @const {number} LOW_STOCK_THRESHOLD
+ * @description A partir de cuántas unidades (o menos) se avisa de existencias bajas.
+ */
+export const LOW_STOCK_THRESHOLD = 20;
+
+/**
+ * Devuelve las existencias de una variante: las propias de la variante o, si no las declara, las del producto.
+ * @param {Object} product - El producto del catálogo.
+ * @param {string} variantName - El nombre de la variante.
+ * @returns {?number} Las unidades disponibles, o `null` si el catálogo no controla sus existencias.
+ */
+export function getStock(product, variantName) {
+    const variant = findVariant(product, variantName);
+    if (variant && typeof variant.stock === 'number') return variant.stock;
+    return typeof product.stock === 'number' ? product.stock : null;
+}
+
+/**
+ * Indica si una variante (o el producto, si no tiene variantes) se puede comprar.
+ * @param {Object} product - El producto del catálogo.
+ * @param {string} variantName - El nombre de la variante.
+ * @returns {boolean} `false` si la variante no existe o está agotada.
+ */
+export function isVariantAvailable(product, variantName) {
+    return hasVariant(product, variantName) && getStock(product, variantName) !== 0;
+}
+
+/**
+ * Indica si una línea del carrito está agotada (sus existencias llegaron a 0 después de añadirla).
+ * @param {Object} item - La línea del carrito.
+ * @returns {boolean} `true` si la línea no se puede comprar.
+ */
+export function isLineSoldOut(item) {
+    return item.stock === 0;
+}
+
+/**
+ * Devuelve la variante que se elige por defecto: la primera con existencias.
+ * @param {Object} product - El producto del catálogo.
+ * @returns {string} El nombre de la variante (o `DEFAULT_VARIANT` si el producto no tiene variantes).
+ */
+export function getDefaultVariantName(product) {
+    if (!Array.isArray(product.variants) || product.variants.length === 0) return DEFAULT_VARIANT;
+    const available = product.variants.find(v => getStock(product, v.name) !== 0);
+    return (available || product.variants[0]).name;
+}
+
+/**
+ * Crea una línea del carrito a partir de un producto y una de sus variantes.
+ * La variante puede sobrescribir el precio, el precio anterior, la imagen y las existencias del producto.
+ * @param {Object} product - El producto del catálogo.
+ * @param {string} variantName - El nombre de la variante.
+ * @param {number} quantity - La cantidad de la línea.
+ * @returns {Object} La línea del carrito.
+ */
+export function createCartLine(product, variantName, quantity) {
+    // Usar spread syntax para no mutar el producto del catálogo
+    const { variants, images, ...line } = product;
+    const variant = findVariant(product, variantName);
+    if (variant) {
+        ['price', 'oldPrice', 'image', 'stock'].forEach(key => {
+            if (variant[key] !== undefined) line[key] = variant[key];
+        });
+    }
+    return { ...line, quantity, variant: variantName };
+}
+
+/**
+ * Calcula la cantidad de una línea tras sumarle `change` unidades (ej. 1 o -1), sin pasar de sus existencias.
+ * Una cantidad no válida en la línea cuenta como 1.
+ * @param {Object} line - La línea del carrito.
+ * @param {number} change - Las unidades a sumar (o restar, si es negativo).
+ * @returns {{status: string, quantity: number}} `update` con la nueva cantidad; `remove` si bajaría de 1; o
+ *          `over-stock` con la cantidad actual si superaría las existencias.
+ */
+export function getQuantityChange(line, change) {
+    const currentQuantity = parseInt(line.quantity, 10) || 1;
+    const quantity = currentQuantity + change;
+    if (change > 0 && typeof line.stock === 'number' && quantity > line.stock) {
+        return { status: 'over-stock', quantity: currentQuantity };
+    }
+    return { status: quantity < 1 ? 'remove' : 'update', quantity };
+}
+
+/**
+ * Calcula los totales de unas líneas: lo que se paga, lo que costarían a su precio anterior y el descuento total.
+ * Los cupones se descuentan después de la rebaja de precio de cada producto.
+ * @param {Array<Object>} lines - Las líneas (en la barra de pago, las seleccionadas).
+ * @param {number} [couponDiscount=0] - El descuento de los cupones aplicados.
+ * @returns {{count: number, total: number, oldTotal: number, priceDiscount: number, discountPercent: number}}
+ *          El número de líneas, el total a pagar, el total a precio anterior, la rebaja de precio (sin cupones) y
+ *          el descuento total frente al precio anterior, en porcentaje con un decimal (nunca negativo).
+ */
+export function calculateTotals(lines, couponDiscount = 0) {
+    let total = 0;
+    let oldTotal = 0;
+    lines.forEach(line => {
+        total += line.price * line.quantity;
+        oldTotal += line.oldPrice * line.quantity;
+    });
+    const priceDiscount = Math.max(oldTotal - total, 0);
+    total -= couponDiscount;
+    const discountPercent = oldTotal > 0 ? Math.max(Math.round((1 - total / oldTotal) * 1000) / 10, 0) : 0;
+    return { count: lines.length, total, oldTotal, priceDiscount, discountPercent };
+}
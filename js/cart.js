@@ -0,0 +1,568 @@
+/**
+ * @file js/cart.js
+ * @description El carrito de la tienda: el almacén compartido (`cartStore`), las acciones de los controles del
+ * carrito con sus validaciones y avisos, su persistencia en localStorage y el deshacer.
+ */
+
+import { t, formatVariantName } from './i18n.js';
+import { formatPrice, showNotification, announce } from './utils.js';
+import {
+    createCartStore, DEFAULT_VARIANT, hasVariant, LOW_STOCK_THRESHOLD, getStock, isVariantAvailable, isLineSoldOut,
+    getDefaultVariantName, createCartLine, getQuantityChange, calculateTotals
+} from './cart-model.js';
+import { openListboxPicker } from './pickers.js';
+import { getCheckoutLines } from './checkout.js';
+import { renderOrderRules } from './order-rules.js';
+import { applyCoupons, renderAppliedCoupons, renderDiscountLines } from './coupons.js';
+import { allProducts, listedProducts } from './catalog.js';
+
+/**
+ * @const {Object} cartStore
+ * @description El estado principal del carrito de compras: sus líneas y la selección. Todas las
+ * modificaciones pasan por este almacén, que avisa a sus suscriptores (ver `createCartStore`).
+ * @security Al estar dentro de un módulo, esta variable no es accesible desde la consola del navegador. Las páginas
+ *           que integran la tienda usan la API pública de `cart-api.js`.
+ */
+export const cartStore = createCartStore();
+
+// ===================================================================
+// ACCIONES DEL CARRITO
+// ===================================================================
+
+/**
+ * Describe el estado de existencias para mostrarlo en tarjetas, detalle y carrito.
+ * @param {?number} stock - Las unidades disponibles (`null` si no se controlan).
+ * @returns {?{status: string, label: string}} `sold-out` o `low` con su texto, o `null` si no hay nada que avisar.
+ */
+export function getStockState(stock) {
+    if (typeof stock !== 'number') return null;
+    if (stock <= 0) return { status: 'sold-out', label: t('stock.soldOut') };
+    if (stock <= LOW_STOCK_THRESHOLD) return { status: 'low', label: t('stock.low', { count: stock }) };
+    return null;
+}
+
+/**
+ * Añade un producto al carrito o incrementa su cantidad si ya existe.
+ * Cada variante de un producto ocupa su propia línea.
+ * @param {number} productId - El ID del producto a añadir.
+ * @param {string} [variantName] - La variante elegida; por defecto la primera disponible.
+ * @returns {boolean} `true` si se añadió una unidad (ej. para animarla hacia el carrito).
+ * @security Se valida que el ID del producto sea válido y exista.
+ */
+export function addToCart(productId, variantName) {
+    // Validación de entrada
+    if (typeof productId !== 'number') {
+        console.error("ID de producto inválido:", productId);
+        return false;
+    }
+    
+    const product = allProducts.find(p => p.id === productId);
+    if (!product) {
+        console.error("Producto no encontrado con ID:", productId);
+        return false;
+    }
+
+    const variant = variantName === undefined ? getDefaultVariantName(product) : variantName;
+    if (!hasVariant(product, variant)) {
+        showNotification(t('stock.variantUnavailable'));
+        return false;
+    }
+    const stock = getStock(product, variant);
+    if (stock === 0) {
+        showNotification(t('stock.productSoldOut'));
+        return false;
+    }
+
+    const existingItem = cartStore.findLine(productId, variant);
+
+    if (existingItem) {
+        const next = getQuantityChange({ ...existingItem, stock }, 1);
+        if (next.status === 'over-stock') {
+            showNotification(t('stock.onlyAvailable', { count: stock }));
+            return false;
+        }
+        cartStore.updateLine(existingItem.lineId, { quantity: next.quantity });
+    } else {
+        cartStore.addLine(createCartLine(product, variant, 1));
+    }
+
+    showNotification(t('cart.added'));
+    return true;
+}
+
+/**
+ * Añade todos los productos de la lista principal al carrito si aún no están allí.
+ * Los productos agotados se omiten.
+ */
+export function addAllToCart() {
+    cartStore.batch(() => {
+        listedProducts.forEach(product => {
+            const inCart = cartStore.getLines().some(item => item.id === product.id);
+            const variant = getDefaultVariantName(product);
+            if (!inCart && isVariantAvailable(product, variant)) {
+                cartStore.addLine(createCartLine(product, variant, 1));
+            }
+        });
+    });
+    showNotification(t('cart.allAdded'));
+}
+
+/**
+ * Muestra en la barra de productos el descuento real de lo que añadiría "Añadir al carrito":
+ * los productos disponibles que aún no están en el carrito, con su precio actual frente al anterior.
+ */
+export function renderBundleDiscountLabel() {
+    const label = document.getElementById('bundleDiscountLabel');
+    if (!label) return;
+    let price = 0;
+    let oldPrice = 0;
+    listedProducts.forEach(product => {
+        const variant = getDefaultVariantName(product);
+        if (cartStore.getLines().some(item => item.id === product.id) || !isVariantAvailable(product, variant)) return;
+        const line = createCartLine(product, variant, 1);
+        price += line.price;
+        oldPrice += Math.max(line.oldPrice || 0, line.price);
+    });
+    const percent = oldPrice > 0 ? Math.round((1 - price / oldPrice) * 100) : 0;
+    label.hidden = percent <= 0;
+    label.textContent = t('product.bundleDiscount', { percent });
+}
+
+/**
+ * Devuelve los IDs de las líneas que se pueden seleccionar (las que no están agotadas).
+ * @returns {Array<number>} Los `lineId` seleccionables.
+ */
+export function getSelectableLineIds() {
+    return cartStore.getLines().filter(item => !isLineSoldOut(item)).map(item => item.lineId);
+}
+
+/**
+ * Busca una línea del carrito por su ID y registra un error si no existe.
+ * @param {number} lineId - El ID de la línea.
+ * @returns {?Object} La línea, o `null` si el ID no es válido.
+ */
+export function getCartLine(lineId) {
+    const item = cartStore.getLine(lineId);
+    if (!item) console.error("Línea de carrito inválida:", lineId);
+    return item;
+}
+
+/**
+ * Alterna el estado de selección de todos los artículos en el carrito.
+ */
+export function toggleSelectAll() {
+    // Las líneas agotadas no se pueden comprar, así que "Todos" se refiere solo a las disponibles.
+    const selectable = getSelectableLineIds();
+    if (selectable.length > 0 && selectable.every(lineId => cartStore.isSelected(lineId))) {
+        cartStore.setSelection([]); // Deseleccionar todos
+    } else {
+        cartStore.setSelection(selectable); // Seleccionar todos
+    }
+}
+
+/**
+ * Alterna el estado de selección de un solo artículo en el carrito.
+ * @param {number} lineId - El ID de la línea.
+ */
+export function toggleItem(lineId) {
+    const item = getCartLine(lineId);
+    if (!item) return;
+    if (isLineSoldOut(item)) {
+        showNotification(t('stock.thisProductSoldOut'));
+        return;
+    }
+    cartStore.setSelected(lineId, !cartStore.isSelected(lineId));
+}
+
+/**
+ * Cambia la cantidad de un artículo del carrito.
+ * @param {number} lineId - El ID de la línea.
+ * @param {number} change - La cantidad a cambiar (ej. 1 o -1).
+ * @security Valida que la línea exista y que el cambio sea un número entero.
+ */
+export function changeQty(lineId, change) {
+    // Validación de entradas
+    const item = getCartLine(lineId);
+    if (!item) return;
+    if (!Number.isInteger(change)) {
+        console.error("El cambio de cantidad debe ser un número entero:", change);
+        return;
+    }
+
+    const next = getQuantityChange(item, change);
+    if (next.status === 'over-stock') {
+        showNotification(t('stock.onlyAvailable', { count: item.stock }));
+        return;
+    }
+
+    if (next.status === 'remove') {
+        removeItem(lineId); // Eliminar artículo si la cantidad es menor a 1
+    } else {
+        cartStore.updateLine(lineId, { quantity: next.quantity });
+        announce(t('cart.quantityChanged', { name: item.name, count: next.quantity }));
+    }
+}
+
+/**
+ * Elimina una línea del carrito y ofrece deshacerlo.
+ * @param {number} lineId - El ID de la línea a eliminar.
+ */
+export function removeItem(lineId) {
+    const item = getCartLine(lineId);
+    if (!item) return;
+    removeLinesWithUndo([lineId], t('cart.removed', { name: item.name }));
+}
+
+/**
+ * Fija la cantidad de un artículo del carrito (desde la lista de cantidades).
+ * @param {number} lineId - El ID de la línea.
+ * @param {number} quantity - La nueva cantidad (entero positivo).
+ * @security Valida la línea y la cantidad antes de modificar el estado.
+ */
+export function setQty(lineId, quantity) {
+    const item = getCartLine(lineId);
+    if (!item) return;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        console.error("La cantidad debe ser un entero positivo:", quantity);
+        return;
+    }
+    if (typeof item.stock === 'number' && quantity > item.stock) {
+        showNotification(t('stock.onlyAvailable', { count: item.stock }));
+        return;
+    }
+    cartStore.updateLine(lineId, { quantity });
+    announce(t('cart.quantityChanged', { name: item.name, count: quantity }));
+}
+
+/**
+ * Cambia la variante de una línea del carrito sin moverla de su posición.
+ * El precio, la imagen y las existencias se recalculan para la nueva variante. Si otra línea ya
+ * tiene ese producto con esa variante, ambas se fusionan en la existente.
+ * @param {number} lineId - El ID de la línea.
+ * @param {string} variantName - La variante elegida.
+ * @security Valida la línea y que la variante exista y tenga existencias.
+ */
+export function changeVariant(lineId, variantName) {
+    const item = getCartLine(lineId);
+    if (!item || item.variant === variantName) return;
+
+    const product = allProducts.find(p => p.id === item.id);
+    if (!product || !isVariantAvailable(product, variantName)) {
+        showNotification(t('stock.variantUnavailable'));
+        return;
+    }
+
+    const target = cartStore.findLine(item.id, variantName);
+    const stock = getStock(product, variantName);
+    if (!target) {
+        const quantity = stock === null ? item.quantity : Math.min(item.quantity, stock);
+        cartStore.updateLine(lineId, createCartLine(product, variantName, quantity));
+    } else {
+        const mergedQuantity = target.quantity + item.quantity;
+        cartStore.batch(() => {
+            cartStore.updateLine(target.lineId, {
+                quantity: typeof target.stock === 'number' ? Math.min(mergedQuantity, target.stock) : mergedQuantity
+            });
+            // La línea fusionada queda seleccionada si cualquiera de las dos lo estaba.
+            if (cartStore.isSelected(lineId)) cartStore.setSelected(target.lineId, true);
+            cartStore.removeLines([lineId]);
+        });
+        showNotification(t('cart.mergedWithVariant', { variant: formatVariantName(variantName) }));
+    }
+}
+
+/**
+ * Calcula los totales de las líneas seleccionadas con los cupones aplicados.
+ * @returns {{totals: Object, couponSummary: Object}} Los totales (ver `calculateTotals`) y el resultado de
+ *          `applyCoupons`.
+ */
+export function getSelectionTotals() {
+    const couponSummary = applyCoupons(getCheckoutLines());
+    return { totals: calculateTotals(cartStore.getSelectedLines(), couponSummary.discount), couponSummary };
+}
+
+/**
+ * Actualiza los precios totales y subtotales que se muestran en la barra de pago.
+ * Está suscrita a `cartStore`; los cambios que no son del carrito (ej. cupones) la llaman directamente.
+ * @security El cálculo se basa en los datos del carrito local, no en el DOM.
+ */
+export function updateTotals() {
+    const { totals, couponSummary } = getSelectionTotals();
+
+    document.getElementById('totalCurrent').textContent = formatPrice(totals.total);
+    document.getElementById('totalOld').textContent = formatPrice(totals.oldTotal);
+    document.getElementById('checkoutCount').textContent = totals.count;
+    
+    const discount = totals.oldTotal > 0 ? totals.discountPercent.toFixed(1) : 0;
+    const discountLabel = document.querySelector('#cartCheckoutBar .discount-label');
+    if(discountLabel) {
+        discountLabel.textContent = t('cart.limitedTimeDiscount', { percent: discount });
+    }
+
+    renderDiscountLines(totals.priceDiscount, couponSummary.results);
+    renderAppliedCoupons(couponSummary.results);
+    renderOrderRules();
+}
+
+// ===================================================================
+// PERSISTENCIA DEL CARRITO
+// ===================================================================
+
+/**
+ * @const {string} CART_STORAGE_KEY
+ * @description Clave de localStorage donde se guarda el carrito entre recargas.
+ */
+const CART_STORAGE_KEY = 'temu-clone:cart';
+
+/**
+ * @const {number} CART_STORAGE_VERSION
+ * @description Versión actual del formato guardado. Cada cambio de formato debe subir este número
+ * y registrar una migración en `cartStorageMigrations`.
+ */
+const CART_STORAGE_VERSION = 2;
+
+/**
+ * @const {Object<number, Function>} cartStorageMigrations
+ * @description Migraciones indexadas por la versión de origen. Cada función recibe los datos guardados
+ * en la versión `n` y devuelve los datos equivalentes en la versión `n + 1`.
+ */
+const cartStorageMigrations = {
+    // v1 guardaba un indicador `selected` por línea; v2 da a cada línea un `lineId` estable y guarda
+    // la selección como una lista de esos IDs.
+    1: data => {
+        const lines = Array.isArray(data.lines) ? data.lines : [];
+        return {
+            version: 2,
+            lines: lines.map((line, i) => {
+                const { selected, ...rest } = line || {};
+                return { ...rest, lineId: i + 1 };
+            }),
+            selected: lines.map((line, i) => (line && line.selected === true ? i + 1 : null)).filter(Boolean)
+        };
+    }
+};
+
+/**
+ * Lleva los datos guardados hasta `CART_STORAGE_VERSION` aplicando las migraciones en orden.
+ * @param {Object} data - Los datos leídos de localStorage.
+ * @returns {Object|null} Los datos migrados, o `null` si no existe un camino de migración.
+ */
+function migrateStoredCart(data) {
+    let migrated = data;
+    while (migrated.version < CART_STORAGE_VERSION) {
+        const migrate = cartStorageMigrations[migrated.version];
+        if (!migrate) return null;
+        migrated = migrate(migrated);
+    }
+    // Un formato más nuevo que el nuestro (ej. otra pestaña con una versión posterior) no es legible.
+    return migrated.version === CART_STORAGE_VERSION ? migrated : null;
+}
+
+/**
+ * Guarda las líneas del carrito y su selección en localStorage. Está suscrita a `cartStore`.
+ * Solo se guardan los datos mínimos (línea, id, cantidad, variante); el resto se reconstruye desde el catálogo.
+ * @security Los errores de almacenamiento (modo privado, cuota llena) se ignoran: perder la persistencia
+ *           no debe romper el carrito en memoria.
+ */
+export function saveCartState() {
+    const data = {
+        version: CART_STORAGE_VERSION,
+        lines: cartStore.getLines().map(item => ({
+            lineId: item.lineId,
+            id: item.id,
+            quantity: item.quantity,
+            variant: item.variant,
+            price: item.price
+        })),
+        selected: cartStore.getSelectedLines().map(item => item.lineId)
+    };
+    try {
+        localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(data));
+    } catch (error) {
+        console.error("No se pudo guardar el carrito:", error);
+    }
+}
+
+/**
+ * Lee los datos guardados del carrito y los migra al formato actual.
+ * @returns {Object|null} Los datos guardados, o `null` si no hay nada válido que restaurar.
+ */
+export function loadStoredCart() {
+    let data;
+    try {
+        const raw = localStorage.getItem(CART_STORAGE_KEY);
+        if (!raw) return null;
+        data = JSON.parse(raw);
+    } catch (error) {
+        console.error("No se pudo leer el carrito guardado:", error);
+        return null;
+    }
+    if (!data || typeof data.version !== 'number' || data.version < 1) {
+        return null;
+    }
+    const migrated = migrateStoredCart(data);
+    if (!migrated || !Array.isArray(migrated.lines)) {
+        console.error("Formato de carrito guardado no soportado:", data.version);
+        return null;
+    }
+    return migrated;
+}
+
+/**
+ * Restaura el carrito guardado validando cada línea contra el catálogo recién cargado.
+ * Los productos que ya no existen se descartan y los precios se toman siempre del catálogo actual.
+ * @security Los datos de localStorage pueden haber sido manipulados, por lo que cada campo se valida.
+ */
+export function restoreCartState() {
+    const stored = loadStoredCart();
+    if (!stored) return;
+
+    let droppedCount = 0;
+    let repricedCount = 0;
+    const restoredCart = [];
+    const restoredSelection = [];
+    const storedSelection = Array.isArray(stored.selected) ? stored.selected : [];
+
+    stored.lines.forEach(line => {
+        const product = line && allProducts.find(p => p.id === line.id);
+        const quantity = line && Number.isInteger(line.quantity) && line.quantity > 0 ? line.quantity : 0;
+        const variant = line && typeof line.variant === 'string' ? line.variant : DEFAULT_VARIANT;
+        if (!product || quantity === 0 || !hasVariant(product, variant)) {
+            droppedCount++;
+            return;
+        }
+        // Las líneas agotadas se conservan (marcadas como agotadas) y las demás se ajustan a las existencias.
+        const stock = getStock(product, variant);
+        const restoredLine = createCartLine(product, variant, stock ? Math.min(quantity, stock) : quantity);
+        if (typeof line.price === 'number' && line.price !== restoredLine.price) {
+            repricedCount++;
+        }
+        restoredLine.lineId = line.lineId;
+        if (storedSelection.includes(line.lineId) && !isLineSoldOut(restoredLine)) {
+            restoredSelection.push(line.lineId);
+        }
+        restoredCart.push(restoredLine);
+    });
+
+    // Reemplazar el contenido también reescribe el estado ya depurado (saveCartState está suscrita),
+    // así no se vuelve a avisar en la próxima recarga.
+    cartStore.replace(restoredCart, restoredSelection);
+
+    if (droppedCount > 0) {
+        showNotification(t('cart.restoreDropped'));
+    } else if (repricedCount > 0) {
+        showNotification(t('cart.restoreRepriced'));
+    }
+}
+
+// ===================================================================
+// DESHACER Y ACCIONES MASIVAS DEL CARRITO
+// ===================================================================
+
+/**
+ * @const {number} UNDO_TIMEOUT_MS
+ * @description Tiempo durante el que se ofrece "Deshacer" tras eliminar o modificar líneas del carrito.
+ */
+const UNDO_TIMEOUT_MS = 6000;
+
+/**
+ * Restaura el estado capturado de unas líneas como un solo cambio. Si mientras tanto se añadió otra línea
+ * con el mismo producto y variante que una eliminada, la cantidad se suma a esa línea (sin pasar de las
+ * existencias) en lugar de duplicarla.
+ * @param {Array<Object>} records - El estado capturado con `cartStore.captureLines`.
+ */
+function restoreCapturedLines(records) {
+    cartStore.batch(() => {
+        const toRestore = records.filter(record => {
+            const { line } = record;
+            const duplicate = !cartStore.getLine(line.lineId) && cartStore.findLine(line.id, line.variant);
+            if (!duplicate) return true;
+            const merged = duplicate.quantity + line.quantity;
+            cartStore.updateLine(duplicate.lineId, {
+                quantity: typeof duplicate.stock === 'number' ? Math.min(merged, duplicate.stock) : merged
+            });
+            return false;
+        });
+        cartStore.restoreLines(toRestore);
+    });
+}
+
+/**
+ * Muestra una notificación con la acción "Deshacer" que restaura el estado capturado.
+ * @param {string} message - El mensaje de la notificación.
+ * @param {Array<Object>} records - El estado capturado antes del cambio.
+ */
+function offerUndo(message, records) {
+    showNotification(message, {
+        duration: UNDO_TIMEOUT_MS,
+        action: {
+            label: t('undo.action'),
+            onAction: () => {
+                restoreCapturedLines(records);
+                showNotification(t('undo.done'));
+            }
+        }
+    });
+}
+
+/**
+ * Elimina varias líneas del carrito como un solo paso que se puede deshacer.
+ * @param {Array<number>} lineIds - Los IDs de las líneas.
+ * @param {string} message - El mensaje de la notificación.
+ */
+function removeLinesWithUndo(lineIds, message) {
+    const records = cartStore.captureLines(lineIds);
+    if (records.length === 0) return;
+    cartStore.removeLines(lineIds);
+    offerUndo(message, records);
+}
+
+/**
+ * Elimina las líneas seleccionadas.
+ */
+function deleteSelectedLines() {
+    const lineIds = cartStore.getSelectedLines().map(item => item.lineId);
+    removeLinesWithUndo(lineIds, t('bulk.removed', { count: lineIds.length }));
+}
+
+/**
+ * Devuelve a 1 la cantidad de las líneas seleccionadas.
+ */
+function resetSelectedQuantities() {
+    const lineIds = cartStore.getSelectedLines().filter(item => item.quantity > 1).map(item => item.lineId);
+    if (lineIds.length === 0) {
+        showNotification(t('bulk.quantitiesAlreadyOne'));
+        return;
+    }
+    const records = cartStore.captureLines(lineIds);
+    cartStore.batch(() => lineIds.forEach(lineId => cartStore.updateLine(lineId, { quantity: 1 })));
+    offerUndo(t('bulk.quantitiesReset'), records);
+}
+
+/**
+ * Vacía el carrito.
+ */
+function clearCart() {
+    removeLinesWithUndo(cartStore.getLines().map(item => item.lineId), t('bulk.cleared'));
+}
+
+/**
+ * Abre el menú "⋯" de acciones masivas del carrito. Las acciones sobre la selección se desactivan
+ * si no hay nada seleccionado.
+ * @param {HTMLElement} anchor - El botón del menú.
+ */
+export function openBulkActionsMenu(anchor) {
+    const hasLines = cartStore.getLines().length > 0;
+    const hasSelection = cartStore.getSelectedLines().length > 0;
+    const actions = {
+        'delete-selected': deleteSelectedLines,
+        'reset-quantities': resetSelectedQuantities,
+        'clear-cart': clearCart
+    };
+    const options = [
+        { value: 'delete-selected', label: t('bulk.deleteSelected'), disabled: !hasSelection },
+        { value: 'reset-quantities', label: t('bulk.resetQuantities'), disabled: !hasSelection },
+        { value: 'clear-cart', label: t('bulk.clearCart'), disabled: !hasLines }
+    ];
+    openListboxPicker(anchor, t('bulk.title'), options, null, value => actions[value]());
+}
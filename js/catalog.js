@@ -0,0 +1,355 @@
+/**
+ * @file js/catalog.js
+ * @description Carga del catálogo: los productos conocidos, la paginación (`products.json` o la API del
+ * catálogo), las facetas de los filtros y el desplazamiento infinito.
+ */
+
+import { appConfig } from './config.js';
+import { t } from './i18n.js';
+import { renderBundleDiscountLabel, loadStoredCart } from './cart.js';
+import { renderProducts } from './render.js';
+import { searchQuery, getSearchTerms, catalogSort, hasActiveFilters } from './search.js';
+import { loadStoredWishlist } from './wishlist.js';
+import { loadOrderQueue } from './offline.js';
+import { loadStoredComparison } from './compare.js';
+import { RECENTLY_VIEWED_STORAGE_KEY, loadRecommendationHistory } from './recommendations.js';
+
+export let allProducts = [];
+
+/**
+ * @let {Array<Object>} listedProducts
+ * @description Los productos de las páginas del catálogo ya cargadas, en el orden del catálogo: es lo que
+ * recorre la cuadrícula. `allProducts` contiene además los productos cargados por su ID (carrito, favoritos
+ * o detalle) y es donde se busca un producto concreto.
+ */
+export let listedProducts = [];
+
+/**
+ * @const {number} CATALOG_SKELETON_COUNT
+ * @description Tarjetas de carga que se muestran mientras llega una página del catálogo.
+ */
+export const CATALOG_SKELETON_COUNT = 6;
+
+/**
+ * @let {?{fetchPage: Function, fetchByIds: Function}} catalogSource
+ * @description De dónde se leen los productos: la API de `catalogEndpoint` o `products.json`
+ * (ver `createRemoteCatalogSource` y `createStaticCatalogSource`).
+ */
+let catalogSource = null;
+
+/**
+ * @const {{nextPage: number, hasMore: boolean, loading: ?Promise, failed: boolean}} catalogPaging
+ * @description El avance de la carga por páginas. `loading` es la petición en curso, si la hay.
+ */
+export const catalogPaging = { nextPage: 1, hasMore: true, loading: null, failed: false };
+
+/**
+ * @let {{brands: Array<{value: string, count: number}>, badges: Array<{value: string, count: number}>}} catalogFacets
+ * @description Las marcas y etiquetas del catálogo completo con su número de productos, para los filtros.
+ */
+export let catalogFacets = { brands: [], badges: [] };
+
+/**
+ * @let {?IntersectionObserver} catalogObserver
+ * @description Vigila el final de la cuadrícula para cargar la siguiente página (scroll infinito).
+ */
+let catalogObserver = null;
+
+/**
+ * @const {Set<number>} lookedUpProductIds
+ * @description Los IDs que ya se pidieron sueltos desde el detalle, para no repetir la petición.
+ */
+export const lookedUpProductIds = new Set();
+
+/**
+ * Cuenta cuántos productos tienen cada valor de un campo (ej. cada marca).
+ * @param {Array<Object>} products - Los productos.
+ * @param {string} field - El campo (`brand` o `badge`).
+ * @returns {Array<{value: string, count: number}>} Los valores, ordenados alfabéticamente.
+ */
+function countFacetValues(products, field) {
+    const counts = new Map();
+    products.forEach(product => {
+        if (product[field]) counts.set(product[field], (counts.get(product[field]) || 0) + 1);
+    });
+    return [...counts.keys()].sort().map(value => ({ value, count: counts.get(value) }));
+}
+
+/**
+ * Valida productos recibidos con el esquema de `catalog-schema.js` y devuelve solo los válidos.
+ * Los omitidos se informan en la consola; un producto mal formado no interrumpe la carga de los demás.
+ * @param {Array<Object>} products - Los productos tal como llegaron.
+ * @param {Iterable<number>} [knownIds] - IDs que ya están en la cuadrícula: un producto que los repita se omite.
+ * @returns {Array<Object>} Los productos válidos, en su orden.
+ */
+function acceptValidProducts(products, knownIds = []) {
+    const { validateCatalog, formatCatalogError } = window.CatalogSchema;
+    const { products: valid, errors } = validateCatalog(products, { knownIds });
+    if (errors.length > 0) {
+        console.error(`Se omitieron productos no válidos del catálogo:\n${errors.map(formatCatalogError).join('\n')}`);
+    }
+    return valid;
+}
+
+/**
+ * Crea una fuente de catálogo que pide las páginas a la API (`GET endpoint?page=1&pageSize=12`
+ * o `GET endpoint?ids=1,2`), como la de `tools/mock-server.js`.
+ * @param {string} endpoint - La URL de la API.
+ * @param {number} pageSize - Productos por página.
+ * @returns {{fetchPage: Function, fetchByIds: Function}} La fuente.
+ */
+function createRemoteCatalogSource(endpoint, pageSize) {
+    const get = async params => {
+        const response = await fetch(`${endpoint}?${params}`);
+        if (!response.ok) {
+            throw Object.assign(new Error(`HTTP error! status: ${response.status}`), { status: response.status });
+        }
+        const data = await response.json();
+        if (!data || !Array.isArray(data.items)) throw new Error('Respuesta del catálogo no válida');
+        return data;
+    };
+    return {
+        async fetchPage(page) {
+            const data = await get(new URLSearchParams({ page, pageSize }));
+            return { items: data.items, hasMore: Boolean(data.hasMore), facets: data.facets || null };
+        },
+        async fetchByIds(ids) {
+            return (await get(new URLSearchParams({ ids: ids.join(',') }))).items;
+        }
+    };
+}
+
+/**
+ * Crea una fuente de catálogo que descarga `products.json` una sola vez y lo reparte en páginas en el
+ * navegador. Se usa sin `catalogEndpoint` o si la API no responde (ej. con un servidor de archivos estáticos).
+ * @param {number} pageSize - Productos por página.
+ * @returns {{fetchPage: Function, fetchByIds: Function}} La fuente.
+ */
+function createStaticCatalogSource(pageSize) {
+    let request = null;
+    const load = () => {
+        if (!request) {
+            request = fetch('products.json').then(async response => {
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                const products = await response.json();
+                if (!Array.isArray(products)) throw new Error('products.json no es una lista de productos');
+                // Se valida aquí para que las páginas y los filtros cuenten solo los productos válidos.
+                return acceptValidProducts(products);
+            });
+            // Si falla, la siguiente llamada vuelve a intentarlo.
+            request.catch(() => { request = null; });
+        }
+        return request;
+    };
+    return {
+        async fetchPage(page) {
+            const products = await load();
+            const start = (page - 1) * pageSize;
+            return {
+                items: products.slice(start, start + pageSize),
+                hasMore: start + pageSize < products.length,
+                facets: { brands: countFacetValues(products, 'brand'), badges: countFacetValues(products, 'badge') }
+            };
+        },
+        async fetchByIds(ids) {
+            const products = await load();
+            return ids.map(id => products.find(p => p.id === id)).filter(Boolean);
+        }
+    };
+}
+
+/**
+ * Añade a `allProducts` los productos que aún no se conocían.
+ * @param {Array<Object>} products - Los productos recibidos.
+ */
+function addKnownProducts(products) {
+    products.forEach(product => {
+        if (!allProducts.some(p => p.id === product.id)) allProducts.push(product);
+    });
+}
+
+/**
+ * Pide la siguiente página del catálogo y la añade a la cuadrícula. Mientras llega, la cuadrícula
+ * muestra tarjetas de carga. Si ya hay una petición en curso, devuelve esa misma.
+ * @returns {Promise<void>} Se rechaza si la página no se pudo cargar.
+ */
+function loadNextCatalogPage() {
+    if (catalogPaging.loading) return catalogPaging.loading;
+    if (!catalogPaging.hasMore) return Promise.resolve();
+
+    catalogPaging.failed = false;
+    catalogPaging.loading = catalogSource.fetchPage(catalogPaging.nextPage)
+        .then(page => {
+            const items = acceptValidProducts(page.items, listedProducts.map(p => p.id));
+            listedProducts = [...listedProducts, ...items];
+            addKnownProducts(items);
+            if (page.facets) catalogFacets = page.facets;
+            catalogPaging.nextPage++;
+            catalogPaging.hasMore = page.hasMore;
+        })
+        .finally(() => {
+            catalogPaging.loading = null;
+            renderProducts();
+            renderBundleDiscountLabel();
+            renderCatalogStatus();
+        });
+    renderProducts();
+    renderCatalogStatus();
+    return catalogPaging.loading;
+}
+
+/**
+ * Carga la siguiente página desde el scroll infinito o el botón "Cargar más". Si falla, se avisa y el
+ * botón pasa a "Reintentar".
+ */
+export async function requestMoreProducts() {
+    try {
+        await loadNextCatalogPage();
+    } catch (error) {
+        console.error("No se pudo cargar la siguiente página del catálogo:", error);
+        catalogPaging.failed = true;
+        renderCatalogStatus();
+        return;
+    }
+    // Si el final de la cuadrícula sigue a la vista (pantallas altas), se vuelve a observar para
+    // que el observador avise otra vez y se cargue la página siguiente.
+    const sentinel = document.getElementById('catalogSentinel');
+    if (catalogObserver && sentinel) {
+        catalogObserver.unobserve(sentinel);
+        catalogObserver.observe(sentinel);
+    }
+}
+
+/**
+ * Carga todas las páginas que faltan (la búsqueda, el orden y los filtros necesitan el catálogo completo).
+ */
+export async function requestRemainingProducts() {
+    try {
+        while (catalogPaging.hasMore) {
+            await loadNextCatalogPage();
+        }
+    } catch (error) {
+        console.error("No se pudo cargar el catálogo completo:", error);
+        catalogPaging.failed = true;
+        renderCatalogStatus();
+    }
+}
+
+/**
+ * Carga los productos de los IDs indicados que aún no se conocen (ej. los del carrito guardado).
+ * @param {Array<number>} ids - Los IDs.
+ * @returns {Promise<void>} Se rechaza si no se pudieron cargar.
+ */
+export async function loadProductsById(ids) {
+    const missing = ids.filter(id => !allProducts.some(p => p.id === id));
+    if (missing.length === 0) return;
+    addKnownProducts(acceptValidProducts(await catalogSource.fetchByIds(missing)));
+}
+
+/**
+ * Devuelve los IDs de los productos del carrito, los favoritos, la comparación, los vistos recientemente y los
+ * pedidos en cola guardados, que hay que conocer antes de restaurarlos aunque no estén en la primera página
+ * del catálogo.
+ * @returns {Array<number>} Los IDs, sin repetir.
+ */
+export function getStoredProductIds() {
+    const storedCart = loadStoredCart();
+    const ids = [
+        ...(storedCart ? storedCart.lines : []).map(line => line && line.id),
+        ...(loadStoredWishlist() || []).map(entry => entry && entry.id),
+        ...(loadStoredComparison() || []),
+        ...(loadRecommendationHistory(RECENTLY_VIEWED_STORAGE_KEY) || []),
+        ...loadOrderQueue().flatMap(entry => entry.lines.map(line => line.id))
+    ];
+    return [...new Set(ids.filter(Number.isInteger))];
+}
+
+/**
+ * Elige la fuente del catálogo y carga la primera página. Si la API de `catalogEndpoint` falla,
+ * se recurre a `products.json`. Un 404 solo indica que la tienda está en un hosting estático sin la API,
+ * así que no se registra como error.
+ * @returns {Promise<void>} Se rechaza si tampoco se pudo leer `products.json`.
+ */
+export async function initCatalogSource() {
+    const pageSize = appConfig.catalogPageSize;
+    if (appConfig.catalogEndpoint) {
+        catalogSource = createRemoteCatalogSource(appConfig.catalogEndpoint, pageSize);
+        try {
+            await loadNextCatalogPage();
+            return;
+        } catch (error) {
+            if (error.status !== 404) console.error("No se pudo usar la API del catálogo, se usa products.json:", error);
+        }
+    }
+    catalogSource = createStaticCatalogSource(pageSize);
+    await loadNextCatalogPage();
+}
+
+/**
+ * Indica si la cuadrícula está buscando, ordenando o filtrando (en lugar de mostrar el catálogo tal cual).
+ * @returns {boolean} `true` si hay búsqueda, un orden distinto de "recomendados" o filtros.
+ */
+export function isCatalogRefined() {
+    return getSearchTerms(searchQuery).length > 0 || catalogSort !== 'relevance' || hasActiveFilters();
+}
+
+/**
+ * Crea una tarjeta de carga con la forma de una tarjeta de producto.
+ * @returns {HTMLElement} La tarjeta.
+ */
+export function createSkeletonCard() {
+    const card = document.createElement('div');
+    card.className = 'product-card skeleton-card';
+    card.setAttribute('aria-hidden', 'true');
+    ['skeleton-image', 'skeleton-line', 'skeleton-line skeleton-line-short'].forEach(className => {
+        const block = document.createElement('div');
+        block.className = `skeleton ${className}`;
+        card.appendChild(block);
+    });
+    return card;
+}
+
+/**
+ * Actualiza el final de la cuadrícula: el texto de estado, el botón "Cargar más" / "Reintentar"
+ * y `aria-busy` mientras se carga una página.
+ */
+export function renderCatalogStatus() {
+    const grid = document.getElementById('productGrid');
+    const sentinel = document.getElementById('catalogSentinel');
+    const status = document.getElementById('catalogStatus');
+    const moreButton = document.getElementById('catalogMore');
+    if (!grid || !sentinel || !status || !moreButton) return;
+
+    const isLoading = Boolean(catalogPaging.loading);
+    grid.setAttribute('aria-busy', String(isLoading));
+    sentinel.hidden = !catalogPaging.hasMore;
+    if (isLoading) {
+        status.textContent = t('catalog.loadingMore');
+    } else if (catalogPaging.failed) {
+        status.textContent = t('catalog.loadMoreFailed');
+    } else {
+        status.textContent = '';
+    }
+    // Sin IntersectionObserver (o tras un error) la siguiente página se pide con el botón.
+    moreButton.hidden = isLoading || (Boolean(catalogObserver) && !catalogPaging.failed);
+    moreButton.textContent = catalogPaging.failed ? t('catalog.retry') : t('catalog.loadMore');
+}
+
+/**
+ * Activa el scroll infinito: cuando el final de la cuadrícula se acerca a la pantalla, se carga la siguiente
+ * página. La vista de productos se oculta en las demás rutas, así que allí el observador no se dispara.
+ */
+export function initInfiniteScroll() {
+    const sentinel = document.getElementById('catalogSentinel');
+    if (!sentinel) return;
+
+    if ('IntersectionObserver' in window) {
+        catalogObserver = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting) && !catalogPaging.failed) {
+                requestMoreProducts();
+            }
+        }, { rootMargin: '600px 0px' });
+        catalogObserver.observe(sentinel);
+    }
+    renderCatalogStatus();
+}
@@ -0,0 +1,601 @@
+/**
+ * @file js/checkout.js
+ * @description El checkout en pasos (dirección, envío, pago y revisión) y el envío del pedido.
+ */
+
+import { appConfig } from './config.js';
+import { t, formatVariantName } from './i18n.js';
+import { formatPrice, showNotification, createIdempotencyKey } from './utils.js';
+import { isLineSoldOut } from './cart-model.js';
+import { cartStore } from './cart.js';
+import { navigateTo } from './router.js';
+import { evaluateOrderRules, getShippingCost, getMinimumOrderMessage } from './order-rules.js';
+import { applyCoupons, clearAppliedCoupons, describeCouponResult } from './coupons.js';
+import { queueOfflineOrder } from './offline.js';
+import { recordPurchase } from './recommendations.js';
+import { recordOrder } from './orders.js';
+
+/**
+ * @const {Array<string>} CHECKOUT_STEPS
+ * @description Los pasos del checkout en orden. `done` es la confirmación tras un pedido exitoso.
+ */
+const CHECKOUT_STEPS = ['address', 'shipping', 'payment', 'review', 'done'];
+
+/**
+ * @let {Object} checkoutState
+ * @description El progreso del checkout: paso actual, datos ingresados y el último pedido confirmado.
+ * `attempt` guarda la `Idempotency-Key` del pedido que se está intentando enviar (ver `getOrderAttemptKey`).
+ */
+export let checkoutState = {
+    step: 'address',
+    address: null,
+    shippingMethod: null,
+    paymentMethod: null,
+    submitting: false,
+    error: '',
+    attempt: null,
+    lastOrder: null
+};
+
+/**
+ * @let {Array<{name: string, cities: Array<string>}>} departments
+ * @description Departamentos de Colombia con sus ciudades, cargados desde `colombia.json`.
+ */
+let departments = [];
+
+/**
+ * Devuelve las líneas del carrito que se van a comprar: las seleccionadas que no están agotadas.
+ * @returns {Array<Object>} Las líneas del pedido.
+ */
+export function getCheckoutLines() {
+    return cartStore.getSelectedLines().filter(item => !isLineSoldOut(item));
+}
+
+/**
+ * Busca un método de envío o de pago de la configuración por su ID.
+ * @param {Array<Object>} methods - Los métodos configurados.
+ * @param {?string} id - El ID buscado.
+ * @returns {?Object} El método, o `null` si no existe.
+ */
+function findMethod(methods, id) {
+    return methods.find(method => method.id === id) || null;
+}
+
+/**
+ * Devuelve un texto de un método de envío o de pago en el idioma elegido. Los métodos vienen de
+ * `config.json`: si los mensajes no traen su traducción (`checkout.<grupo>.<id>.<campo>`), se usa el de la configuración.
+ * @param {string} group - `shippingMethod` o `paymentMethod`.
+ * @param {Object} method - El método configurado.
+ * @param {string} field - `label` o `detail`.
+ * @returns {string} El texto.
+ */
+function getMethodText(group, method, field) {
+    return t(`checkout.${group}.${method.id}.${field}`, { defaultValue: method[field] });
+}
+
+/**
+ * Calcula subtotal, envío y total del pedido actual.
+ * @param {Array<Object>} lines - Las líneas del pedido.
+ * @returns {{subtotal: number, shipping: number, total: number}} Los importes.
+ */
+function getCheckoutTotals(lines) {
+    const subtotal = lines.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const { discount, results } = applyCoupons(lines);
+    const method = findMethod(appConfig.shippingMethods, checkoutState.shippingMethod);
+    const shipping = method ? getShippingCost(method, lines) : 0;
+    return { subtotal, discount, coupons: results.filter(result => result.applies), shipping, total: subtotal - discount + shipping };
+}
+
+/**
+ * Valida una dirección de envío en Colombia.
+ * @param {Object} address - Los campos del formulario (`fullName`, `phone`, `department`, `city`, `line1`, `line2`).
+ * @returns {Object<string, string>} Los mensajes de error por campo; vacío si la dirección es válida.
+ * @security Esta validación es solo para la experiencia de usuario; el servidor debe validar de nuevo.
+ */
+function validateAddress(address) {
+    const errors = {};
+    if (address.fullName.length < 3) {
+        errors.fullName = t('checkout.errors.fullName');
+    }
+    if (!/^(\+?57)?3\d{9}$/.test(address.phone.replace(/[\s-]/g, ''))) {
+        errors.phone = t('checkout.errors.phone');
+    }
+    const department = departments.find(d => d.name === address.department);
+    if (!department) {
+        errors.department = t('checkout.errors.department');
+    } else if (!department.cities.includes(address.city)) {
+        errors.city = t('checkout.errors.city');
+    }
+    if (address.line1.length < 5) {
+        errors.line1 = t('checkout.errors.line1');
+    }
+    return errors;
+}
+
+/**
+ * Lee los campos del formulario de dirección.
+ * @returns {Object} La dirección con los valores sin espacios sobrantes.
+ */
+function readAddressForm() {
+    const form = document.getElementById('addressStep');
+    const address = {};
+    ['fullName', 'phone', 'department', 'city', 'line1', 'line2'].forEach(name => {
+        address[name] = form.elements[name] ? form.elements[name].value.trim() : '';
+    });
+    return address;
+}
+
+/**
+ * Muestra (o limpia) los errores del formulario de dirección junto a cada campo.
+ * @param {Object<string, string>} errors - Los mensajes por nombre de campo.
+ */
+function showAddressErrors(errors) {
+    const form = document.getElementById('addressStep');
+    let firstInvalid = null;
+    ['fullName', 'phone', 'department', 'city', 'line1', 'line2'].forEach(name => {
+        const field = form.elements[name];
+        if (!field) return;
+        const message = document.getElementById(`${field.id}Error`);
+        if (message) message.textContent = errors[name] || '';
+        if (errors[name]) {
+            field.setAttribute('aria-invalid', 'true');
+            field.setAttribute('aria-describedby', `${field.id}Error`);
+            firstInvalid = firstInvalid || field;
+        } else {
+            field.removeAttribute('aria-invalid');
+            field.removeAttribute('aria-describedby');
+        }
+    });
+    if (firstInvalid) firstInvalid.focus();
+}
+
+/**
+ * Llena la lista de ciudades del departamento elegido.
+ * @param {string} departmentName - El departamento elegido.
+ * @param {string} [selectedCity] - La ciudad a dejar seleccionada.
+ */
+function populateCities(departmentName, selectedCity) {
+    const citySelect = document.getElementById('addressCity');
+    if (!citySelect) return;
+    citySelect.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+
+    const department = departments.find(d => d.name === departmentName);
+    (department ? department.cities : []).forEach(city => {
+        const option = document.createElement('option');
+        option.value = city;
+        option.textContent = city;
+        citySelect.appendChild(option);
+    });
+    citySelect.disabled = !department;
+    citySelect.value = department && department.cities.includes(selectedCity) ? selectedCity : '';
+}
+
+/**
+ * Crea la lista de opciones (radio) de un método de envío o de pago.
+ * @param {HTMLElement} fieldset - El contenedor de la lista.
+ * @param {string} name - El nombre del grupo de radios.
+ * @param {Array<Object>} methods - Los métodos configurados.
+ * @param {?string} selectedId - El método elegido.
+ */
+function renderMethodOptions(fieldset, name, methods, selectedId) {
+    fieldset.querySelectorAll('.option-card').forEach(option => option.remove());
+    methods.forEach(method => {
+        const label = document.createElement('label');
+        label.className = 'option-card';
+
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = name;
+        radio.value = method.id;
+        radio.checked = method.id === selectedId;
+        label.appendChild(radio);
+
+        const text = document.createElement('span');
+        text.className = 'option-text';
+        const title = document.createElement('strong');
+        title.textContent = getMethodText(name, method, 'label');
+        text.appendChild(title);
+        if (method.detail) {
+            const detail = document.createElement('span');
+            detail.className = 'option-detail';
+            detail.textContent = getMethodText(name, method, 'detail');
+            text.appendChild(detail);
+        }
+        label.appendChild(text);
+
+        if (typeof method.cost === 'number') {
+            const cost = document.createElement('span');
+            cost.className = 'option-cost';
+            const amount = getShippingCost(method, getCheckoutLines());
+            cost.textContent = amount === 0 ? t('checkout.free') : formatPrice(amount);
+            label.appendChild(cost);
+        }
+        fieldset.appendChild(label);
+    });
+}
+
+/**
+ * Crea una fila "etiqueta - valor" del resumen del pedido (también la usan los pedidos del historial).
+ * @param {string} label - La etiqueta.
+ * @param {string} value - El valor.
+ * @param {string} [className] - Una clase extra para la fila.
+ * @returns {HTMLElement} La fila.
+ */
+export function createSummaryRow(label, value, className) {
+    const row = document.createElement('div');
+    row.className = `summary-row ${className || ''}`;
+    const labelEl = document.createElement('span');
+    labelEl.textContent = label;
+    const valueEl = document.createElement('span');
+    valueEl.textContent = value;
+    row.appendChild(labelEl);
+    row.appendChild(valueEl);
+    return row;
+}
+
+/**
+ * Renderiza el resumen del paso de revisión: artículos, dirección, envío, pago y totales.
+ */
+function renderReviewSummary() {
+    const summary = document.getElementById('reviewSummary');
+    if (!summary) return;
+    summary.innerHTML = '';
+
+    const lines = getCheckoutLines();
+    const list = document.createElement('ul');
+    list.className = 'review-lines';
+    lines.forEach(item => {
+        const row = document.createElement('li');
+        row.className = 'review-line';
+        const image = document.createElement('img');
+        image.src = item.image;
+        image.alt = '';
+        row.appendChild(image);
+        const name = document.createElement('span');
+        name.className = 'review-line-name';
+        name.textContent = `${item.name} · ${formatVariantName(item.variant)} × ${item.quantity}`;
+        row.appendChild(name);
+        const price = document.createElement('span');
+        price.textContent = formatPrice(item.price * item.quantity);
+        row.appendChild(price);
+        list.appendChild(row);
+    });
+    summary.appendChild(list);
+
+    const address = checkoutState.address;
+    const shipping = findMethod(appConfig.shippingMethods, checkoutState.shippingMethod);
+    const payment = findMethod(appConfig.paymentMethods, checkoutState.paymentMethod);
+    const details = document.createElement('div');
+    details.className = 'review-details';
+    details.appendChild(createSummaryRow(t('checkout.summary.shipTo'), `${address.fullName}, ${address.line1}${address.line2 ? `, ${address.line2}` : ''}, ${address.city}, ${address.department}`));
+    details.appendChild(createSummaryRow(t('checkout.summary.phone'), address.phone));
+    details.appendChild(createSummaryRow(t('checkout.summary.shipping'), shipping ? getMethodText('shippingMethod', shipping, 'label') : ''));
+    details.appendChild(createSummaryRow(t('checkout.summary.payment'), payment ? getMethodText('paymentMethod', payment, 'label') : ''));
+    summary.appendChild(details);
+
+    const totals = getCheckoutTotals(lines);
+    const totalsBox = document.createElement('div');
+    totalsBox.className = 'review-totals';
+    totalsBox.appendChild(createSummaryRow(t('checkout.summary.subtotal'), formatPrice(totals.subtotal)));
+    totals.coupons.forEach(result => {
+        totalsBox.appendChild(createSummaryRow(t('coupons.label', { code: result.code }), describeCouponResult(result), 'summary-discount'));
+    });
+    totalsBox.appendChild(createSummaryRow(t('checkout.summary.shipping'), totals.shipping === 0 ? t('checkout.free') : formatPrice(totals.shipping)));
+    totalsBox.appendChild(createSummaryRow(t('checkout.summary.total'), formatPrice(totals.total), 'summary-total'));
+    summary.appendChild(totalsBox);
+}
+
+/**
+ * Rellena el contenido que depende del pedido en un paso del checkout (opciones de envío y pago o resumen).
+ * @param {string} step - Uno de `CHECKOUT_STEPS`.
+ */
+export function renderCheckoutStepContent(step) {
+    if (step === 'shipping') {
+        renderMethodOptions(document.getElementById('shippingMethods'), 'shippingMethod',
+            appConfig.shippingMethods, checkoutState.shippingMethod);
+    } else if (step === 'payment') {
+        renderMethodOptions(document.getElementById('paymentMethods'), 'paymentMethod',
+            appConfig.paymentMethods, checkoutState.paymentMethod);
+    } else if (step === 'review') {
+        renderReviewSummary();
+    }
+}
+
+/**
+ * Muestra un paso del checkout, actualiza el indicador de pasos y mueve el foco a su título.
+ * @param {string} step - Uno de `CHECKOUT_STEPS`.
+ */
+function showCheckoutStep(step) {
+    checkoutState.step = step;
+    document.querySelectorAll('#checkoutView .checkout-step').forEach(section => {
+        section.hidden = section.dataset.step !== step;
+    });
+
+    const currentIndex = CHECKOUT_STEPS.indexOf(step);
+    document.querySelectorAll('#checkoutSteps li').forEach(item => {
+        const index = CHECKOUT_STEPS.indexOf(item.dataset.step);
+        item.classList.toggle('is-done', index < currentIndex);
+        if (index === currentIndex) {
+            item.setAttribute('aria-current', 'step');
+        } else {
+            item.removeAttribute('aria-current');
+        }
+    });
+
+    renderCheckoutStepContent(step);
+
+    const errorBox = document.getElementById('checkoutError');
+    if (errorBox) errorBox.textContent = checkoutState.error;
+
+    const heading = document.querySelector(`#checkoutView .checkout-step[data-step="${step}"] .checkout-step-title`);
+    if (heading) {
+        heading.tabIndex = -1;
+        heading.focus({ preventScroll: true });
+    }
+}
+
+/**
+ * Renderiza la vista de checkout (`#/checkout`). Sin artículos seleccionados, o sin alcanzar el pedido
+ * mínimo, vuelve al carrito, salvo que se esté mostrando la confirmación de un pedido recién hecho.
+ */
+export function renderCheckout() {
+    if (checkoutState.step !== 'done' && getCheckoutLines().length === 0) {
+        showNotification(t('cart.selectToCheckout'));
+        navigateTo('/cart', { replace: true });
+        return;
+    }
+    const rules = evaluateOrderRules(getCheckoutLines());
+    if (checkoutState.step !== 'done' && !rules.minimumOrder.met) {
+        showNotification(getMinimumOrderMessage(rules.minimumOrder));
+        navigateTo('/cart', { replace: true });
+        return;
+    }
+    // Los pasos posteriores requieren los datos de los anteriores (ej. tras recargar la página).
+    if (!checkoutState.address && checkoutState.step !== 'done') {
+        checkoutState.step = 'address';
+    }
+    showCheckoutStep(checkoutState.step);
+}
+
+/**
+ * Quita del carrito las líneas que se compraron (y con ellas su selección).
+ * @param {Array<Object>} orderedLines - Las líneas enviadas en el pedido.
+ */
+function removeOrderedLines(orderedLines) {
+    cartStore.removeLines(orderedLines.map(item => item.lineId));
+}
+
+/**
+ * Traduce una respuesta de error del servidor en mensajes para el usuario.
+ * Los errores de campos de la dirección se muestran en su formulario; el resto en la revisión.
+ * @param {number} status - El código HTTP.
+ * @param {Object} data - El cuerpo de la respuesta (ej. `{ errors: { phone: '...' } }`).
+ */
+function handleOrderRejected(status, data) {
+    const errors = data && typeof data.errors === 'object' && data.errors !== null ? data.errors : {};
+    const addressFields = ['fullName', 'phone', 'department', 'city', 'line1', 'line2'];
+    const addressErrors = {};
+    const otherErrors = [];
+    Object.keys(errors).forEach(key => {
+        const message = String(errors[key]);
+        if (addressFields.includes(key)) {
+            addressErrors[key] = message;
+        } else {
+            otherErrors.push(message);
+        }
+    });
+
+    if (Object.keys(addressErrors).length > 0) {
+        checkoutState.error = '';
+        showCheckoutStep('address');
+        showAddressErrors(addressErrors);
+        return;
+    }
+
+    if (otherErrors.length > 0) {
+        checkoutState.error = otherErrors.join(' ');
+    } else if (status === 400 || status === 422) {
+        checkoutState.error = (data && data.message) || t('checkout.errors.rejected');
+    } else {
+        checkoutState.error = t('checkout.errors.server', { status });
+    }
+    showCheckoutStep('review');
+}
+
+/**
+ * Cierra un pedido aceptado (o puesto en cola sin conexión): lo apunta en el historial, quita sus líneas del
+ * carrito, consume los cupones y muestra la confirmación.
+ * @param {Array<Object>} lines - Las líneas del pedido.
+ * @param {Object} totals - Los totales del pedido (ver `getCheckoutTotals`).
+ * @param {{id: string, total: number}} order - El pedido confirmado.
+ * @param {string} message - El texto de la confirmación.
+ */
+export function completeOrder(lines, totals, order, message) {
+    checkoutState.lastOrder = order;
+    checkoutState.attempt = null;
+    recordOrder(lines, totals, order);
+    recordPurchase(lines);
+    removeOrderedLines(lines);
+    // Los cupones usados en el pedido se consumen.
+    clearAppliedCoupons(totals.coupons.map(result => result.code));
+    const confirmation = document.getElementById('confirmationText');
+    if (confirmation) {
+        confirmation.textContent = message;
+    }
+    showCheckoutStep('done');
+}
+
+/**
+ * Devuelve la `Idempotency-Key` de un pedido. Los reintentos del mismo pedido (tras un error de red o un tiempo
+ * agotado) reutilizan la clave, así que el servidor no crea un segundo pedido si el primero llegó; si cambia el
+ * carrito o algún dato del checkout, es otro pedido y recibe una clave nueva.
+ * @param {Object} orderBody - El cuerpo que se enviará.
+ * @returns {string} La clave.
+ */
+function getOrderAttemptKey(orderBody) {
+    const body = JSON.stringify(orderBody);
+    if (!checkoutState.attempt || checkoutState.attempt.body !== body) {
+        checkoutState.attempt = { key: createIdempotencyKey(), body };
+    }
+    return checkoutState.attempt.key;
+}
+
+/**
+ * Envía el pedido al servidor configurado en `checkoutEndpoint`. Sin conexión, o si el envío falla en la red
+ * aunque el navegador se crea conectado, el pedido se pone en cola y se envía cuando vuelva (ver
+ * `queueOfflineOrder`). Un tiempo agotado no se pone en cola: muestra el error y el reintento usa la misma clave.
+ * @security Solo se envían IDs, variantes, cantidades y precios vistos por el usuario. El servidor NUNCA
+ *           debe confiar en estos precios ni en el total: debe recalcularlos desde su propio catálogo.
+ */
+export async function submitOrder() {
+    if (checkoutState.submitting) return;
+    const lines = getCheckoutLines();
+    if (lines.length === 0) return;
+
+    const itemsToCheckout = lines.map(item => ({
+        id: item.id,
+        variant: item.variant,
+        quantity: item.quantity,
+        price: item.price
+    }));
+    const totals = getCheckoutTotals(lines);
+    const orderBody = {
+        items: itemsToCheckout,
+        address: checkoutState.address,
+        shippingMethod: checkoutState.shippingMethod,
+        paymentMethod: checkoutState.paymentMethod,
+        coupons: totals.coupons.map(result => result.code)
+    };
+    const idempotencyKey = getOrderAttemptKey(orderBody);
+
+    if (!navigator.onLine) {
+        queueOfflineOrder(orderBody, lines, totals, idempotencyKey);
+        return;
+    }
+
+    const placeOrderBtn = document.getElementById('placeOrderBtn');
+    checkoutState.submitting = true;
+    checkoutState.error = '';
+    if (placeOrderBtn) {
+        placeOrderBtn.disabled = true;
+        placeOrderBtn.textContent = t('checkout.processing');
+    }
+    document.getElementById('checkoutError').textContent = '';
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), appConfig.checkoutTimeoutMs);
+    try {
+        let response;
+        try {
+            response = await fetch(appConfig.checkoutEndpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
+                body: JSON.stringify(orderBody),
+                signal: controller.signal
+            });
+        } catch (error) {
+            // Una conexión inestable puede fallar con `navigator.onLine` en true: se trata como sin conexión.
+            if (error.name === 'AbortError') throw error;
+            console.error('El pedido no llegó al servidor, se pone en cola:', error);
+            queueOfflineOrder(orderBody, lines, totals, idempotencyKey);
+            return;
+        }
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            handleOrderRejected(response.status, data);
+            return;
+        }
+
+        const order = {
+            id: data.orderId || '',
+            total: typeof data.total === 'number' ? data.total : totals.total
+        };
+        completeOrder(lines, totals, order, t(order.id ? 'checkout.confirmation' : 'checkout.confirmationNoId', {
+            id: order.id,
+            total: formatPrice(order.total),
+            city: checkoutState.address.city
+        }));
+    } catch (error) {
+        console.error('Error en el checkout:', error);
+        checkoutState.error = t('checkout.errors.network');
+        showCheckoutStep('review');
+    } finally {
+        clearTimeout(timeoutId);
+        checkoutState.submitting = false;
+        if (placeOrderBtn) {
+            placeOrderBtn.disabled = false;
+            placeOrderBtn.textContent = t('checkout.placeOrder');
+        }
+    }
+}
+
+/**
+ * Carga los departamentos y conecta los formularios de cada paso del checkout.
+ */
+export async function initCheckout() {
+    const addressForm = document.getElementById('addressStep');
+    if (!addressForm) return;
+
+    try {
+        const response = await fetch('colombia.json');
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        departments = await response.json();
+    } catch (error) {
+        console.error("No se pudieron cargar los departamentos:", error);
+    }
+
+    const departmentSelect = document.getElementById('addressDepartment');
+    departments.forEach(department => {
+        const option = document.createElement('option');
+        option.value = department.name;
+        option.textContent = department.name;
+        departmentSelect.appendChild(option);
+    });
+    departmentSelect.addEventListener('change', () => populateCities(departmentSelect.value));
+
+    addressForm.addEventListener('submit', event => {
+        event.preventDefault();
+        const address = readAddressForm();
+        const errors = validateAddress(address);
+        showAddressErrors(errors);
+        if (Object.keys(errors).length > 0) return;
+        checkoutState.address = address;
+        if (!findMethod(appConfig.shippingMethods, checkoutState.shippingMethod)) {
+            checkoutState.shippingMethod = appConfig.shippingMethods[0] ? appConfig.shippingMethods[0].id : null;
+        }
+        showCheckoutStep('shipping');
+    });
+
+    document.getElementById('shippingStep').addEventListener('submit', event => {
+        event.preventDefault();
+        const choice = event.target.elements.shippingMethod;
+        checkoutState.shippingMethod = choice ? choice.value : null;
+        if (!findMethod(appConfig.shippingMethods, checkoutState.shippingMethod)) {
+            showNotification(t('checkout.errors.shippingMethod'));
+            return;
+        }
+        showCheckoutStep('payment');
+    });
+
+    document.getElementById('paymentStep').addEventListener('submit', event => {
+        event.preventDefault();
+        const choice = event.target.elements.paymentMethod;
+        checkoutState.paymentMethod = choice ? choice.value : null;
+        if (!findMethod(appConfig.paymentMethods, checkoutState.paymentMethod)) {
+            showNotification(t('checkout.errors.paymentMethod'));
+            return;
+        }
+        checkoutState.error = '';
+        showCheckoutStep('review');
+    });
+}
+
+/**
+ * Vuelve al paso anterior del checkout (botones "Atrás").
+ */
+export function showPreviousCheckoutStep() {
+    const index = CHECKOUT_STEPS.indexOf(checkoutState.step);
+    checkoutState.error = '';
+    showCheckoutStep(CHECKOUT_STEPS[Math.max(index - 1, 0)]);
+}
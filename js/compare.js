@@ -0,0 +1,332 @@
+/**
+ * @file js/compare.js
+ * @description Comparador de productos: la bandeja de la cuadrícula y la tabla de `#/compare`.
+ */
+
+import { t, formatSales } from './i18n.js';
+import { formatPrice, showNotification, createIcon, createProductImage } from './utils.js';
+import { parseSales, getDiscountPercent } from './search.js';
+import { activeRoute } from './router.js';
+import { allProducts } from './catalog.js';
+
+/**
+ * @const {number} COMPARE_LIMIT
+ * @description Cuántos productos pueden compararse a la vez (las columnas de la tabla).
+ */
+const COMPARE_LIMIT = 4;
+
+/**
+ * @const {string} COMPARE_STORAGE_KEY
+ * @description Clave de localStorage donde se guardan los productos elegidos para comparar.
+ */
+const COMPARE_STORAGE_KEY = 'temu-clone:compare';
+
+/**
+ * @const {number} COMPARE_STORAGE_VERSION
+ * @description Versión del formato guardado de la comparación.
+ */
+const COMPARE_STORAGE_VERSION = 1;
+
+/**
+ * @const {Array<{key: string, value: Function, format: Function, best: ?string}>} COMPARE_ROWS
+ * @description Las filas de la tabla de comparación. `value` da el valor que se compara y `format` el texto de
+ * la celda; `best` indica si gana el menor (`min`) o el mayor (`max`). El precio anterior y los textos no
+ * tienen un "mejor" valor. El título de cada fila es el mensaje `compare.rows.<clave>`.
+ */
+const COMPARE_ROWS = [
+    { key: 'price', value: product => product.price, format: formatPrice, best: 'min' },
+    { key: 'oldPrice', value: product => product.oldPrice, format: formatPrice, best: null },
+    { key: 'discount', value: getDiscountPercent, format: value => `${value}%`, best: 'max' },
+    { key: 'rating', value: product => product.rating, format: value => t('detail.rating', { rating: value }), best: 'max' },
+    { key: 'sales', value: product => parseSales(product.sales), format: (value, product) => formatSales(product.sales), best: 'max' },
+    { key: 'brand', value: product => product.brand || '', format: value => value || '—', best: null },
+    { key: 'badge', value: product => product.badge || '', format: value => value || '—', best: null },
+    { key: 'video', value: product => (product.hasVideo ? 1 : 0), format: value => t(value ? 'compare.yes' : 'compare.no'), best: 'max' }
+];
+
+/**
+ * @let {Array<number>} compareIds
+ * @description Los IDs de los productos elegidos para comparar, en el orden en que se eligieron.
+ */
+let compareIds = [];
+
+/**
+ * Indica si un producto está elegido para comparar.
+ * @param {number} productId - El ID del producto.
+ * @returns {boolean} `true` si está en la comparación.
+ */
+function isInComparison(productId) {
+    return compareIds.includes(productId);
+}
+
+/**
+ * Guarda los productos elegidos para comparar en localStorage.
+ */
+function saveComparison() {
+    try {
+        localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify({ version: COMPARE_STORAGE_VERSION, ids: compareIds }));
+    } catch (error) {
+        console.error("No se pudo guardar la comparación:", error);
+    }
+}
+
+/**
+ * Lee los IDs guardados para comparar, sin validarlos todavía contra el catálogo.
+ * @returns {?Array<*>} Los IDs guardados, o `null` si no hay datos válidos.
+ */
+export function loadStoredComparison() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(COMPARE_STORAGE_KEY));
+    } catch (error) {
+        console.error("No se pudo leer la comparación guardada:", error);
+    }
+    if (!stored || stored.version !== COMPARE_STORAGE_VERSION || !Array.isArray(stored.ids)) return null;
+    return stored.ids;
+}
+
+/**
+ * Restaura la comparación guardada, descartando los productos que ya no existen.
+ * @security Los datos de localStorage se tratan como no confiables: cada ID se valida contra el catálogo.
+ */
+export function restoreComparison() {
+    const storedIds = loadStoredComparison();
+    if (!storedIds) return;
+    compareIds = [...new Set(storedIds)]
+        .filter(id => Number.isInteger(id) && allProducts.some(p => p.id === id))
+        .slice(0, COMPARE_LIMIT);
+    if (compareIds.length !== storedIds.length) saveComparison();
+}
+
+/**
+ * Devuelve los productos elegidos para comparar.
+ * @returns {Array<Object>} Los productos, en el orden de `compareIds`.
+ */
+function getComparedProducts() {
+    return compareIds.map(id => allProducts.find(p => p.id === id)).filter(Boolean);
+}
+
+/**
+ * Añade o quita un producto de la comparación. No se añade si ya hay `COMPARE_LIMIT` productos.
+ * @param {number} productId - El ID del producto.
+ * @param {boolean} selected - `true` para añadirlo, `false` para quitarlo.
+ * @returns {boolean} `true` si la comparación quedó como se pidió.
+ */
+export function setComparison(productId, selected) {
+    if (selected === isInComparison(productId)) return true;
+    if (selected) {
+        if (compareIds.length >= COMPARE_LIMIT) {
+            showNotification(t('compare.limit', { count: COMPARE_LIMIT }));
+            return false;
+        }
+        compareIds = [...compareIds, productId];
+    } else {
+        compareIds = compareIds.filter(id => id !== productId);
+    }
+    saveComparison();
+    renderComparisonState();
+    return true;
+}
+
+/**
+ * Vacía la comparación.
+ */
+export function clearComparison() {
+    compareIds = [];
+    saveComparison();
+    renderComparisonState();
+}
+
+/**
+ * Añade o quita de la comparación el producto de una casilla "Comparar" (acción `toggle-compare`). El clic ya
+ * cambió la casilla; si ya hay cuatro productos, vuelve a quedar desmarcada.
+ * @param {HTMLInputElement} checkbox - La casilla, con el producto en `data-compare-id`.
+ */
+export function toggleCompare(checkbox) {
+    if (!setComparison(Number(checkbox.dataset.compareId), checkbox.checked)) checkbox.checked = false;
+}
+
+/**
+ * Crea la casilla "Comparar" de una tarjeta de producto.
+ * @param {Object} product - El producto.
+ * @returns {HTMLLabelElement} La casilla con su texto.
+ */
+export function createCompareToggle(product) {
+    const label = document.createElement('label');
+    label.className = 'compare-toggle';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.compareId = product.id;
+    checkbox.checked = isInComparison(product.id);
+    checkbox.setAttribute('aria-label', t('compare.toggleLabel', { name: product.name }));
+    checkbox.dataset.action = 'toggle-compare';
+    label.appendChild(checkbox);
+    const text = document.createElement('span');
+    text.textContent = t('compare.toggle');
+    label.appendChild(text);
+    return label;
+}
+
+/**
+ * Actualiza todas las casillas "Comparar" visibles sin volver a renderizar la cuadrícula.
+ */
+function syncCompareToggles() {
+    document.querySelectorAll('input[data-compare-id]').forEach(checkbox => {
+        checkbox.checked = isInComparison(Number(checkbox.dataset.compareId));
+    });
+}
+
+/**
+ * Renderiza la bandeja de comparación sobre la barra inferior del catálogo.
+ */
+function renderCompareTray() {
+    const tray = document.getElementById('compareTray');
+    if (!tray) return;
+    const products = getComparedProducts();
+    tray.hidden = products.length === 0;
+    document.body.classList.toggle('has-compare-tray', !tray.hidden);
+
+    const list = document.getElementById('compareTrayList');
+    list.innerHTML = '';
+    products.forEach(product => {
+        const item = document.createElement('li');
+        item.className = 'compare-tray-item';
+        item.appendChild(createProductImage(product.image, product.name, 'compare-tray-image'));
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'compare-tray-remove';
+        removeBtn.setAttribute('aria-label', t('compare.remove', { name: product.name }));
+        removeBtn.dataset.action = 'remove-from-comparison';
+        removeBtn.dataset.productId = product.id;
+        removeBtn.appendChild(createIcon(['fas', 'fa-times']));
+        item.appendChild(removeBtn);
+        list.appendChild(item);
+    });
+
+    document.getElementById('compareTrayCount').textContent =
+        t('compare.count', { count: products.length, limit: COMPARE_LIMIT });
+    const openBtn = document.getElementById('compareOpenBtn');
+    openBtn.disabled = products.length < 2;
+    openBtn.title = openBtn.disabled ? t('compare.needMore') : '';
+}
+
+/**
+ * Busca las columnas con el mejor valor de una fila. Si todos los productos empatan no se destaca ninguno.
+ * @param {Array<*>} values - Los valores de la fila, uno por producto.
+ * @param {?string} best - `min`, `max` o `null` (ver `COMPARE_ROWS`).
+ * @returns {Set<number>} Los índices de las columnas a destacar.
+ */
+function findBestColumns(values, best) {
+    if (!best) return new Set();
+    const target = best === 'min' ? Math.min(...values) : Math.max(...values);
+    if (values.every(value => value === target)) return new Set();
+    return new Set(values.map((value, index) => (value === target ? index : -1)).filter(index => index >= 0));
+}
+
+/**
+ * Construye la tabla de comparación: una columna por producto y una fila por característica.
+ * @param {Array<Object>} products - Los productos a comparar.
+ * @returns {HTMLTableElement} La tabla.
+ */
+function createComparisonTable(products) {
+    const table = document.createElement('table');
+    table.className = 'compare-table';
+
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    const corner = document.createElement('td');
+    corner.className = 'compare-corner';
+    headRow.appendChild(corner);
+    products.forEach(product => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        const link = document.createElement('a');
+        link.className = 'compare-product';
+        link.href = `#/product/${product.id}`;
+        // El nombre ya está en el enlace: la imagen es decorativa.
+        link.appendChild(createProductImage(product.image, '', 'compare-product-image'));
+        const name = document.createElement('span');
+        name.className = 'compare-product-name';
+        name.textContent = product.name;
+        link.appendChild(name);
+        th.appendChild(link);
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'compare-remove';
+        removeBtn.setAttribute('aria-label', t('compare.remove', { name: product.name }));
+        removeBtn.dataset.action = 'remove-from-comparison';
+        removeBtn.dataset.productId = product.id;
+        removeBtn.appendChild(createIcon(['fas', 'fa-times']));
+        th.appendChild(removeBtn);
+        headRow.appendChild(th);
+    });
+    head.appendChild(headRow);
+    table.appendChild(head);
+
+    const body = document.createElement('tbody');
+    COMPARE_ROWS.forEach(row => {
+        const tr = document.createElement('tr');
+        const th = document.createElement('th');
+        th.scope = 'row';
+        th.textContent = t(`compare.rows.${row.key}`);
+        tr.appendChild(th);
+
+        const values = products.map(product => row.value(product));
+        const bestColumns = findBestColumns(values, row.best);
+        products.forEach((product, index) => {
+            const td = document.createElement('td');
+            td.textContent = row.format(values[index], product);
+            if (bestColumns.has(index)) {
+                td.classList.add('is-best');
+                // El color no basta para los lectores de pantalla.
+                const note = document.createElement('span');
+                note.className = 'visually-hidden';
+                note.textContent = ` ${t('compare.best')}`;
+                td.appendChild(note);
+            }
+            tr.appendChild(td);
+        });
+        body.appendChild(tr);
+    });
+    table.appendChild(body);
+    return table;
+}
+
+/**
+ * Renderiza la vista de comparación (`#/compare`). Con menos de dos productos muestra cómo elegirlos.
+ */
+export function renderComparison() {
+    const container = document.getElementById('compareContent');
+    if (!container) return;
+    container.innerHTML = '';
+    const products = getComparedProducts();
+    if (products.length < 2) {
+        const empty = document.createElement('div');
+        empty.className = 'empty-results';
+        empty.appendChild(createIcon(['fas', 'fa-balance-scale']));
+        const text = document.createElement('p');
+        text.textContent = t('compare.empty');
+        empty.appendChild(text);
+        const link = document.createElement('a');
+        link.className = 'empty-results-btn';
+        link.href = '#/';
+        link.textContent = t('catalog.showAll');
+        empty.appendChild(link);
+        container.appendChild(empty);
+        return;
+    }
+    // La tabla se desplaza en horizontal en pantallas estrechas; la primera columna queda fija.
+    const scroller = document.createElement('div');
+    scroller.className = 'compare-scroller';
+    scroller.appendChild(createComparisonTable(products));
+    container.appendChild(scroller);
+}
+
+/**
+ * Actualiza todo lo que depende de la comparación: casillas, bandeja y la vista de comparación si está abierta.
+ */
+export function renderComparisonState() {
+    syncCompareToggles();
+    renderCompareTray();
+    if (activeRoute && activeRoute.name === 'compare') renderComparison();
+}
@@ -0,0 +1,49 @@
+/**
+ * @file js/config.js
+ * @description Configuración de la tienda: los valores por defecto y los de `config.json`.
+ */
+
+/**
+ * @const {Object} DEFAULT_CONFIG
+ * @description Configuración por defecto. `config.json` puede sobrescribir cualquiera de estas claves
+ * sin tocar el código (ej. apuntar `checkoutEndpoint` a otro servidor). `config.json` pide el catálogo por
+ * páginas a `api/products` (una ruta relativa, para que funcione también si la tienda se publica en una
+ * subcarpeta); en un hosting estático esa ruta no existe y la tienda recurre a `products.json`. Sin
+ * `catalogEndpoint`, el catálogo se lee siempre de `products.json` y se pagina en el navegador.
+ */
+export const DEFAULT_CONFIG = {
+    checkoutEndpoint: '/api/checkout',
+    checkoutTimeoutMs: 15000,
+    catalogEndpoint: null,
+    catalogPageSize: 12,
+    shippingMethods: [
+        { id: 'standard', label: 'Envío estándar', detail: '5 a 8 días hábiles', cost: 0 }
+    ],
+    paymentMethods: [
+        { id: 'cash', label: 'Pago contra entrega' }
+    ],
+    orderRules: {
+        minimumOrder: { amount: 0, exclude: [] },
+        freeShipping: { threshold: null, methods: [], exclude: [] }
+    }
+};
+
+/**
+ * @let {Object} appConfig
+ * @description La configuración efectiva: `DEFAULT_CONFIG` combinada con `config.json`.
+ */
+export let appConfig = DEFAULT_CONFIG;
+
+/**
+ * Carga `config.json` y la combina con `DEFAULT_CONFIG`. Si no existe o falla, se usan los valores por defecto.
+ */
+export async function loadAppConfig() {
+    try {
+        const response = await fetch('config.json');
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        appConfig = { ...DEFAULT_CONFIG, ...(await response.json()) };
+    } catch (error) {
+        console.error("No se pudo cargar la configuración, se usan los valores por defecto:", error);
+        appConfig = DEFAULT_CONFIG;
+    }
+}
@@ -0,0 +1,380 @@
+/**
+ * @file js/coupons.js
+ * @description Cupones y códigos promocionales de `coupons.json`.
+ */
+
+import { t } from './i18n.js';
+import { formatPrice, showNotification, createIcon } from './utils.js';
+import { updateTotals } from './cart.js';
+import { getCheckoutLines } from './checkout.js';
+import { notifyCartChange } from './cart-api.js';
+
+/**
+ * @const {string} COUPON_STORAGE_KEY
+ * @description Clave de localStorage donde se guardan los códigos aplicados entre recargas.
+ */
+const COUPON_STORAGE_KEY = 'temu-clone:coupons';
+
+/**
+ * Suma el importe de unas líneas del carrito.
+ * @param {Array<Object>} lines - Las líneas.
+ * @returns {number} El importe total.
+ */
+function getLinesSubtotal(lines) {
+    return lines.reduce((sum, item) => sum + item.price * item.quantity, 0);
+}
+
+/**
+ * @const {Object<string, Function>} COUPON_TYPES
+ * @description Cálculo del descuento de cada tipo de cupón. Cada función recibe el cupón y las líneas
+ * a las que aplica y devuelve el importe a descontar.
+ */
+const COUPON_TYPES = {
+    'percent': (coupon, lines) => {
+        const amount = Math.round(getLinesSubtotal(lines) * coupon.value / 100);
+        return typeof coupon.maxDiscount === 'number' ? Math.min(amount, coupon.maxDiscount) : amount;
+    },
+    'fixed': (coupon, lines) => Math.min(coupon.value, getLinesSubtotal(lines)),
+    'free-shipping': () => 0,
+    'buy-x-get-y': (coupon, lines) => {
+        // Por cada grupo de `buy + get` unidades se regalan las `get` más baratas.
+        const prices = lines.flatMap(item => Array(item.quantity).fill(item.price)).sort((a, b) => a - b);
+        const freeUnits = Math.floor(prices.length / (coupon.buy + coupon.get)) * coupon.get;
+        return prices.slice(0, freeUnits).reduce((sum, price) => sum + price, 0);
+    }
+};
+
+/**
+ * @let {Array<Object>} coupons
+ * @description Reglas de los cupones cargadas desde `coupons.json`. Cada cupón tiene `code`, `type`
+ * (una clave de `COUPON_TYPES`) y, opcionalmente, `value`, `maxDiscount`, `buy`, `get`, `minSpend`,
+ * `brands`, `badges`, `expires` (AAAA-MM-DD, inclusive) y `description`.
+ */
+let coupons = [];
+
+/**
+ * @let {Array<string>} appliedCouponCodes
+ * @description Códigos aplicados por el usuario, en el orden en que los introdujo.
+ */
+let appliedCouponCodes = [];
+
+/**
+ * Normaliza un código introducido por el usuario para compararlo con las reglas.
+ * @param {string} code - El código tal como se escribió.
+ * @returns {string} El código en mayúsculas y sin espacios.
+ */
+function normalizeCouponCode(code) {
+    return String(code || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Busca un cupón por su código.
+ * @param {string} code - El código.
+ * @returns {Object|undefined} El cupón encontrado.
+ */
+function findCoupon(code) {
+    const normalized = normalizeCouponCode(code);
+    return coupons.find(coupon => normalizeCouponCode(coupon.code) === normalized);
+}
+
+/**
+ * Indica si un cupón ya venció. La fecha de `expires` es válida durante todo ese día.
+ * @param {Object} coupon - El cupón.
+ * @param {Date} [now=new Date()] - El momento de referencia.
+ * @returns {boolean} `true` si el cupón venció.
+ */
+function isCouponExpired(coupon, now = new Date()) {
+    if (!coupon.expires) return false;
+    return new Date(`${coupon.expires}T23:59:59`) < now;
+}
+
+/**
+ * Evalúa un cupón contra las líneas del pedido.
+ * Los cupones limitados por marca o distintivo solo cuentan (y descuentan) las líneas que coinciden,
+ * y la compra mínima se mide sobre esas mismas líneas.
+ * @param {Object} coupon - El cupón.
+ * @param {Array<Object>} lines - Las líneas del pedido.
+ * @returns {{code: string, applies: boolean, amount: number, freeShipping: boolean, reason: string}}
+ *          El resultado; `reason` explica por qué no aplica.
+ */
+function evaluateCoupon(coupon, lines) {
+    const result = { code: normalizeCouponCode(coupon.code), applies: false, amount: 0, freeShipping: false, reason: '' };
+    const calculate = COUPON_TYPES[coupon.type];
+    if (!calculate) {
+        result.reason = t('coupons.invalid');
+        return result;
+    }
+    if (isCouponExpired(coupon)) {
+        result.reason = t('coupons.expired');
+        return result;
+    }
+
+    const eligible = lines.filter(item =>
+        (!Array.isArray(coupon.brands) || coupon.brands.includes(item.brand)) &&
+        (!Array.isArray(coupon.badges) || coupon.badges.includes(item.badge)));
+    if (eligible.length === 0) {
+        result.reason = lines.length === 0
+            ? t('coupons.selectItems')
+            : t('coupons.noEligibleItems');
+        return result;
+    }
+    const eligibleSubtotal = getLinesSubtotal(eligible);
+    if (typeof coupon.minSpend === 'number' && eligibleSubtotal < coupon.minSpend) {
+        result.reason = t('coupons.minSpend', {
+            amount: formatPrice(coupon.minSpend),
+            missing: formatPrice(coupon.minSpend - eligibleSubtotal)
+        });
+        return result;
+    }
+
+    result.amount = calculate(coupon, eligible);
+    result.freeShipping = coupon.type === 'free-shipping';
+    result.applies = result.amount > 0 || result.freeShipping;
+    if (!result.applies) {
+        result.reason = coupon.type === 'buy-x-get-y'
+            ? t('coupons.buyXGetY', { count: coupon.buy + coupon.get, free: coupon.get })
+            : t('coupons.noDiscount');
+    }
+    return result;
+}
+
+/**
+ * Aplica todos los cupones introducidos a las líneas del pedido.
+ * El descuento total nunca supera el importe de las líneas.
+ * @param {Array<Object>} lines - Las líneas del pedido.
+ * @returns {{results: Array<Object>, discount: number, freeShipping: boolean}} El resultado de cada
+ *          cupón, el descuento total y si algún cupón da envío gratis.
+ */
+export function applyCoupons(lines) {
+    const subtotal = getLinesSubtotal(lines);
+    let remaining = subtotal;
+    const results = appliedCouponCodes.map(code => {
+        const result = evaluateCoupon(findCoupon(code) || { code }, lines);
+        result.amount = Math.min(result.amount, remaining);
+        remaining -= result.amount;
+        return result;
+    });
+    return {
+        results,
+        discount: subtotal - remaining,
+        freeShipping: results.some(result => result.applies && result.freeShipping)
+    };
+}
+
+/**
+ * Guarda los códigos aplicados en localStorage.
+ */
+function saveAppliedCoupons() {
+    try {
+        localStorage.setItem(COUPON_STORAGE_KEY, JSON.stringify(appliedCouponCodes));
+    } catch (error) {
+        console.error("No se pudieron guardar los cupones:", error);
+    }
+}
+
+/**
+ * Restaura los códigos guardados, descartando los que ya no existen o vencieron.
+ * @security Los datos de localStorage se tratan como no confiables: solo se conservan cadenas que
+ *           coinciden con un cupón conocido.
+ */
+function restoreAppliedCoupons() {
+    let saved = [];
+    try {
+        saved = JSON.parse(localStorage.getItem(COUPON_STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.error("No se pudieron leer los cupones guardados:", error);
+    }
+    if (!Array.isArray(saved)) saved = [];
+
+    const valid = saved.filter(code => typeof code === 'string' && findCoupon(code));
+    appliedCouponCodes = [...new Set(valid.filter(code => !isCouponExpired(findCoupon(code))).map(normalizeCouponCode))];
+    if (appliedCouponCodes.length < saved.length) {
+        showNotification(t('coupons.removedInvalid'));
+        saveAppliedCoupons();
+    }
+}
+
+/**
+ * Vuelve a pintar los totales tras cambiar los cupones aplicados. También avisa con `cart:change`: el carrito no
+ * cambió, pero sus totales sí.
+ */
+function renderCouponTotals() {
+    updateTotals();
+    notifyCartChange();
+}
+
+/**
+ * Valida un código introducido por el usuario y lo añade a los cupones aplicados.
+ * Un cupón válido se conserva aunque aún no aplique (ej. falta la compra mínima); su estado se muestra
+ * junto al código hasta que se cumplan las condiciones.
+ * @param {string} code - El código introducido.
+ * @returns {string} Un mensaje de error, o una cadena vacía si el código se aplicó.
+ */
+function applyCouponCode(code) {
+    const normalized = normalizeCouponCode(code);
+    if (!normalized) return t('coupons.enterCode');
+    const coupon = findCoupon(normalized);
+    if (!coupon) return t('coupons.unknown');
+    if (isCouponExpired(coupon)) return t('coupons.expired');
+    if (appliedCouponCodes.includes(normalized)) return t('coupons.alreadyApplied');
+
+    appliedCouponCodes.push(normalized);
+    saveAppliedCoupons();
+    renderCouponTotals();
+    const result = evaluateCoupon(coupon, getCheckoutLines());
+    showNotification(result.applies
+        ? t('coupons.applied', { code: normalized })
+        : t('coupons.saved', { code: normalized, reason: result.reason }));
+    return '';
+}
+
+/**
+ * Quita un cupón aplicado.
+ * @param {string} code - El código a quitar.
+ */
+export function removeCoupon(code) {
+    appliedCouponCodes = appliedCouponCodes.filter(applied => applied !== code);
+    saveAppliedCoupons();
+    renderCouponTotals();
+    const input = document.getElementById('promoCode');
+    if (input) input.focus();
+}
+
+/**
+ * Quita los cupones consumidos por un pedido.
+ * @param {Array<string>} codes - Los códigos usados.
+ */
+export function clearAppliedCoupons(codes) {
+    appliedCouponCodes = appliedCouponCodes.filter(code => !codes.includes(code));
+    saveAppliedCoupons();
+    renderCouponTotals();
+}
+
+/**
+ * Devuelve la descripción de un cupón en el idioma elegido. La de `coupons.json` se usa si los mensajes no
+ * traen una para su código (`coupons.descriptions.<CÓDIGO>`); las de los mensajes muestran los importes en
+ * la moneda elegida.
+ * @param {Object} coupon - La regla del cupón.
+ * @returns {string} La descripción (vacía si no hay ninguna).
+ */
+function getCouponDescription(coupon) {
+    return t(`coupons.descriptions.${normalizeCouponCode(coupon.code)}`, {
+        defaultValue: coupon.description || '',
+        value: coupon.value,
+        amount: formatPrice(coupon.value || 0),
+        maxDiscount: formatPrice(coupon.maxDiscount || 0),
+        minSpend: formatPrice(coupon.minSpend || 0)
+    });
+}
+
+/**
+ * Describe el beneficio de un cupón que aplica.
+ * @param {Object} result - El resultado de `evaluateCoupon`.
+ * @returns {string} El texto del beneficio.
+ */
+export function describeCouponResult(result) {
+    if (!result.applies) return result.reason;
+    if (result.freeShipping && result.amount === 0) return t('coupons.freeShipping');
+    return `-${formatPrice(result.amount)}`;
+}
+
+/**
+ * Renderiza la lista de cupones aplicados del carrito, con su estado y un botón para quitarlos.
+ * @param {Array<Object>} results - Los resultados de `applyCoupons`.
+ */
+export function renderAppliedCoupons(results) {
+    const list = document.getElementById('appliedCoupons');
+    if (!list) return;
+    list.innerHTML = '';
+    results.forEach(result => {
+        const coupon = findCoupon(result.code);
+        const item = document.createElement('li');
+        item.className = 'coupon-chip';
+        item.classList.toggle('is-inactive', !result.applies);
+
+        item.appendChild(createIcon(['fas', 'fa-ticket-alt']));
+        const code = document.createElement('span');
+        code.className = 'coupon-code';
+        code.textContent = result.code;
+        item.appendChild(code);
+
+        const status = document.createElement('span');
+        status.className = 'coupon-status';
+        const description = coupon ? getCouponDescription(coupon) : '';
+        status.textContent = result.applies && description ? description : describeCouponResult(result);
+        item.appendChild(status);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'coupon-remove';
+        remove.setAttribute('aria-label', t('coupons.remove', { code: result.code }));
+        remove.appendChild(createIcon(['fas', 'fa-times']));
+        remove.dataset.action = 'remove-coupon';
+        remove.dataset.code = result.code;
+        item.appendChild(remove);
+
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Renderiza en la barra de pago una línea por cada descuento aplicado: la rebaja de precios de los
+ * productos y cada cupón que aplica.
+ * @param {number} priceDiscount - La diferencia entre el precio anterior y el actual de la selección.
+ * @param {Array<Object>} results - Los resultados de `applyCoupons`.
+ */
+export function renderDiscountLines(priceDiscount, results) {
+    const list = document.getElementById('discountLines');
+    if (!list) return;
+    list.innerHTML = '';
+    const addLine = (label, value) => {
+        const line = document.createElement('li');
+        line.className = 'discount-line';
+        const name = document.createElement('span');
+        name.textContent = label;
+        const amount = document.createElement('span');
+        amount.textContent = value;
+        line.append(name, amount);
+        list.appendChild(line);
+    };
+
+    if (priceDiscount > 0) addLine(t('cart.priceDiscount'), `-${formatPrice(priceDiscount)}`);
+    results.filter(result => result.applies).forEach(result => {
+        addLine(t('coupons.label', { code: result.code }), describeCouponResult(result));
+    });
+}
+
+/**
+ * Carga las reglas de los cupones, restaura los códigos guardados y conecta el formulario del carrito.
+ */
+export async function initCoupons() {
+    try {
+        const response = await fetch('coupons.json');
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        coupons = await response.json();
+    } catch (error) {
+        console.error("No se pudieron cargar los cupones:", error);
+    }
+    restoreAppliedCoupons();
+
+    const form = document.getElementById('promoForm');
+    if (!form) return;
+    const input = document.getElementById('promoCode');
+    const errorBox = document.getElementById('promoCodeError');
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        const error = applyCouponCode(input.value);
+        errorBox.textContent = error;
+        if (error) {
+            input.setAttribute('aria-invalid', 'true');
+            input.focus();
+        } else {
+            input.removeAttribute('aria-invalid');
+            input.value = '';
+        }
+    });
+    input.addEventListener('input', () => {
+        input.removeAttribute('aria-invalid');
+        errorBox.textContent = '';
+    });
+}
@@ -0,0 +1,329 @@
+/**
+ * @file js/detail.js
+ * @description La página de detalle de un producto (`#/product/:id`): galería, variantes y existencias.
+ */
+
+import { t, formatSales } from './i18n.js';
+import { formatPrice, createIcon, createStars } from './utils.js';
+import { findVariant, getStock, isVariantAvailable, getDefaultVariantName, createCartLine } from './cart-model.js';
+import { getStockState } from './cart.js';
+import { getDiscountPercent } from './search.js';
+import { getCurrentRoute, navigateTo } from './router.js';
+import { allProducts, lookedUpProductIds, loadProductsById } from './catalog.js';
+import { recordProductView } from './recommendations.js';
+
+/**
+ * Devuelve las imágenes de la galería de un producto para la variante elegida.
+ * La imagen propia de la variante, si la tiene, va primero.
+ * @param {Object} product - El producto del catálogo.
+ * @param {?Object} variant - La variante elegida.
+ * @returns {Array<string>} Las URLs de las imágenes, sin duplicados.
+ */
+function getGalleryImages(product, variant) {
+    const images = Array.isArray(product.images) && product.images.length > 0 ? product.images : [product.image];
+    const first = variant && variant.image ? [variant.image] : [];
+    return [...new Set([...first, ...images])];
+}
+
+/**
+ * Muestra una imagen en el escenario de la galería.
+ * @param {HTMLElement} stage - El escenario.
+ * @param {Object} product - El producto del catálogo.
+ * @param {string} url - La URL de la imagen.
+ */
+function showGalleryImage(stage, product, url) {
+    stage.innerHTML = '';
+    const image = document.createElement('img');
+    image.src = url;
+    image.alt = product.name;
+    image.className = 'detail-image';
+    stage.appendChild(image);
+}
+
+/**
+ * Muestra el video del producto en el escenario de la galería.
+ * @param {HTMLElement} stage - El escenario.
+ * @param {Object} product - El producto del catálogo.
+ * @param {string} poster - La imagen que se ve antes de reproducirlo.
+ */
+function showGalleryVideo(stage, product, poster) {
+    stage.innerHTML = '';
+    if (!product.video) {
+        const unavailable = document.createElement('p');
+        unavailable.className = 'detail-video-unavailable';
+        unavailable.textContent = t('detail.videoUnavailable');
+        stage.appendChild(unavailable);
+        return;
+    }
+    const video = document.createElement('video');
+    video.className = 'detail-video';
+    video.src = product.video;
+    video.poster = poster;
+    video.controls = true;
+    video.playsInline = true;
+    video.setAttribute('aria-label', t('detail.videoOf', { name: product.name }));
+    stage.appendChild(video);
+}
+
+/**
+ * Marca una miniatura de la galería como la elegida.
+ * @param {HTMLElement} thumb - La miniatura.
+ */
+function markGalleryThumb(thumb) {
+    thumb.parentElement.querySelectorAll('.detail-thumb').forEach(other => other.setAttribute('aria-pressed', 'false'));
+    thumb.setAttribute('aria-pressed', 'true');
+}
+
+/**
+ * Muestra en la galería lo que corresponde a una miniatura (acción `select-gallery-thumb`): su imagen
+ * (`data-image`) o el video del producto (`data-video`, con `data-poster`).
+ * @param {HTMLElement} thumb - La miniatura pulsada.
+ */
+export function selectGalleryThumb(thumb) {
+    const gallery = thumb.closest('.detail-gallery');
+    const product = gallery && allProducts.find(p => p.id === Number(gallery.dataset.productId));
+    if (!product) return;
+    markGalleryThumb(thumb);
+    const stage = gallery.querySelector('.detail-stage');
+    if (thumb.dataset.video) {
+        showGalleryVideo(stage, product, thumb.dataset.poster);
+    } else {
+        showGalleryImage(stage, product, thumb.dataset.image);
+    }
+}
+
+/**
+ * Crea la galería del detalle: imagen principal, miniaturas y, si el producto tiene video, su reproductor.
+ * @param {Object} product - El producto del catálogo.
+ * @param {Object} line - La línea de carrito calculada para la variante elegida (precio, imagen, etc.).
+ * @param {?Object} variant - La variante elegida.
+ * @returns {HTMLElement} El contenedor de la galería.
+ */
+function createProductGallery(product, line, variant) {
+    const gallery = document.createElement('div');
+    gallery.className = 'detail-gallery';
+    gallery.dataset.productId = product.id;
+
+    const stage = document.createElement('div');
+    stage.className = 'detail-stage';
+    gallery.appendChild(stage);
+
+    const thumbs = document.createElement('div');
+    thumbs.className = 'detail-thumbs';
+    thumbs.setAttribute('role', 'group');
+    thumbs.setAttribute('aria-label', t('detail.gallery'));
+    gallery.appendChild(thumbs);
+
+    getGalleryImages(product, variant).forEach((url, index) => {
+        const thumb = document.createElement('button');
+        thumb.type = 'button';
+        thumb.className = 'detail-thumb';
+        thumb.setAttribute('aria-label', t('detail.image', { number: index + 1 }));
+        thumb.setAttribute('aria-pressed', 'false');
+        const image = document.createElement('img');
+        image.src = url;
+        image.alt = '';
+        thumb.appendChild(image);
+        thumb.dataset.action = 'select-gallery-thumb';
+        thumb.dataset.image = url;
+        thumbs.appendChild(thumb);
+    });
+
+    if (product.hasVideo) {
+        const videoThumb = document.createElement('button');
+        videoThumb.type = 'button';
+        videoThumb.className = 'detail-thumb detail-thumb-video';
+        videoThumb.setAttribute('aria-label', t('detail.watchVideo'));
+        videoThumb.setAttribute('aria-pressed', 'false');
+        videoThumb.appendChild(createIcon(['fas', 'fa-play']));
+        videoThumb.dataset.action = 'select-gallery-thumb';
+        videoThumb.dataset.video = 'true';
+        videoThumb.dataset.poster = line.image;
+        thumbs.appendChild(videoThumb);
+    }
+
+    markGalleryThumb(thumbs.firstChild);
+    showGalleryImage(stage, product, line.image);
+    return gallery;
+}
+
+/**
+ * Crea el selector de variantes del detalle. Las variantes sin existencias se muestran deshabilitadas.
+ * @param {Object} product - El producto del catálogo.
+ * @param {string} selectedName - La variante elegida.
+ * @returns {HTMLElement} El grupo de opciones.
+ */
+function createVariantPicker(product, selectedName) {
+    const picker = document.createElement('div');
+    picker.className = 'variant-picker';
+    picker.setAttribute('role', 'radiogroup');
+    picker.setAttribute('aria-label', t('detail.variant'));
+
+    product.variants.forEach(variant => {
+        const option = document.createElement('button');
+        option.type = 'button';
+        option.className = 'variant-option';
+        option.setAttribute('role', 'radio');
+        option.setAttribute('aria-checked', String(variant.name === selectedName));
+        option.textContent = variant.name;
+        if (getStock(product, variant.name) === 0) {
+            option.disabled = true;
+            option.title = t('stock.soldOut');
+        }
+        option.dataset.action = 'select-variant';
+        option.dataset.productId = product.id;
+        option.dataset.variant = variant.name;
+        picker.appendChild(option);
+    });
+    return picker;
+}
+
+/**
+ * Cambia la variante elegida en el detalle. La variante vive en la ruta para que el enlace se pueda
+ * compartir con la opción elegida.
+ * @param {number} productId - El ID del producto.
+ * @param {string} variantName - La variante.
+ */
+export function selectDetailVariant(productId, variantName) {
+    const params = new URLSearchParams({ variant: variantName });
+    navigateTo(`/product/${productId}`, { params, replace: true });
+}
+
+/**
+ * Renderiza la página de detalle de un producto (`#/product/:id`).
+ * @param {number} productId - El ID del producto.
+ * @param {?string} requestedVariant - La variante indicada en la ruta (`?variant=`), si la hay.
+ */
+export function renderProductDetail(productId, requestedVariant) {
+    const container = document.getElementById('productDetail');
+    if (!container) return;
+    container.innerHTML = '';
+
+    const product = allProducts.find(p => p.id === productId);
+    // El producto puede estar en una página del catálogo que aún no se ha cargado: se pide una vez por su ID.
+    if (!product && !lookedUpProductIds.has(productId)) {
+        lookedUpProductIds.add(productId);
+        const loading = document.createElement('p');
+        loading.className = 'catalog-status';
+        loading.setAttribute('role', 'status');
+        loading.textContent = t('detail.loading');
+        container.appendChild(loading);
+        loadProductsById([productId])
+            .catch(error => console.error("No se pudo cargar el producto:", error))
+            .then(() => {
+                if (getCurrentRoute().path === `/product/${productId}`) {
+                    renderProductDetail(productId, requestedVariant);
+                }
+            });
+        return;
+    }
+    if (!product) {
+        const missing = document.createElement('div');
+        missing.className = 'empty-results';
+        missing.appendChild(createIcon(['fas', 'fa-box-open']));
+        const text = document.createElement('p');
+        text.textContent = t('detail.unavailable');
+        missing.appendChild(text);
+        const backLink = document.createElement('a');
+        backLink.className = 'empty-results-btn';
+        backLink.href = '#/';
+        backLink.textContent = t('catalog.showAll');
+        missing.appendChild(backLink);
+        container.appendChild(missing);
+        return;
+    }
+
+    recordProductView(product.id);
+
+    const hasVariants = Array.isArray(product.variants) && product.variants.length > 0;
+    const variantName = hasVariants && findVariant(product, requestedVariant)
+        ? requestedVariant
+        : getDefaultVariantName(product);
+    const variant = findVariant(product, variantName);
+    const line = createCartLine(product, variantName, 1);
+
+    container.appendChild(createProductGallery(product, line, variant));
+
+    const info = document.createElement('div');
+    info.className = 'detail-info';
+
+    if (product.brand) {
+        const brand = document.createElement('div');
+        brand.className = 'brand';
+        brand.textContent = `${t('product.brand')} ${product.brand}`;
+        info.appendChild(brand);
+    }
+
+    if (product.badge) {
+        const badge = document.createElement('span');
+        badge.className = `badge ${product.badgeType === 'bf' ? 'badge-bf' : 'badge-stock'}`;
+        badge.textContent = product.badge;
+        info.appendChild(badge);
+    }
+
+    const title = document.createElement('h1');
+    title.className = 'detail-title';
+    title.textContent = product.name;
+    info.appendChild(title);
+
+    const rating = document.createElement('div');
+    rating.className = 'rating detail-rating';
+    rating.appendChild(createStars(product.rating));
+    const ratingValue = document.createElement('span');
+    ratingValue.className = 'rating-value';
+    ratingValue.textContent = t('detail.rating', { rating: product.rating });
+    rating.appendChild(ratingValue);
+    rating.appendChild(createIcon(['fas', 'fa-fire', 'fire-icon']));
+    const sales = document.createElement('span');
+    sales.className = 'sales';
+    sales.textContent = formatSales(product.sales);
+    rating.appendChild(sales);
+    info.appendChild(rating);
+
+    const priceContainer = document.createElement('div');
+    priceContainer.className = 'price-container';
+    const currentPrice = document.createElement('span');
+    currentPrice.className = 'current-price';
+    currentPrice.textContent = formatPrice(line.price);
+    priceContainer.appendChild(currentPrice);
+    const oldPrice = document.createElement('span');
+    oldPrice.className = 'old-price';
+    oldPrice.textContent = formatPrice(line.oldPrice);
+    priceContainer.appendChild(oldPrice);
+    const discount = getDiscountPercent(line);
+    if (discount > 0) {
+        const discountBadge = document.createElement('span');
+        discountBadge.className = 'badge badge-bf';
+        discountBadge.textContent = `-${discount}%`;
+        priceContainer.appendChild(discountBadge);
+    }
+    info.appendChild(priceContainer);
+
+    if (hasVariants) {
+        const variantLabel = document.createElement('div');
+        variantLabel.className = 'detail-label';
+        variantLabel.textContent = `${t('detail.variant')}: ${variantName}`;
+        info.appendChild(variantLabel);
+        info.appendChild(createVariantPicker(product, variantName));
+    }
+
+    const stockState = getStockState(line.stock);
+    if (stockState) {
+        const stock = document.createElement('div');
+        stock.className = `stock-state stock-${stockState.status}`;
+        stock.textContent = stockState.label;
+        info.appendChild(stock);
+    }
+
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.className = 'checkout-btn detail-add-btn';
+    addButton.textContent = line.stock === 0 ? t('stock.soldOut') : t('product.addToCart');
+    addButton.disabled = !isVariantAvailable(product, variantName);
+    addButton.dataset.action = 'add-to-cart';
+    addButton.dataset.productId = product.id;
+    if (variantName) addButton.dataset.variant = variantName;
+    info.appendChild(addButton);
+
+    container.appendChild(info);
+}
@@ -0,0 +1,325 @@
+/**
+ * @file js/floating-cart.js
+ * @description El carrito flotante: se arrastra con cualquier puntero (ratón, dedo o lápiz) o se mueve con las
+ * flechas, se pega al borde lateral más cercano al soltarlo, no tapa las barras inferiores y recuerda su posición
+ * entre visitas. También anima los productos que se añaden al carrito ("volar al carrito").
+ *
+ * La posición se guarda relativa (de 0 a 1 en cada eje dentro del área disponible), así que se conserva al cambiar
+ * el tamaño de la ventana, al girar el dispositivo o al aparecer una barra inferior.
+ */
+
+import { debounce } from './utils.js';
+import { navigateTo } from './router.js';
+
+/**
+ * @const {string} FLOATING_CART_STORAGE_KEY
+ * @description Clave de localStorage donde se recuerda la posición del carrito flotante.
+ */
+const FLOATING_CART_STORAGE_KEY = 'temu-clone:floating-cart';
+
+/**
+ * @const {number} FLOATING_CART_STORAGE_VERSION
+ * @description Versión del formato guardado. Un formato desconocido se ignora y se usa la posición por defecto.
+ */
+const FLOATING_CART_STORAGE_VERSION = 1;
+
+/**
+ * @const {{x: number, y: number}} DEFAULT_FLOATING_CART_POSITION
+ * @description Posición relativa inicial: pegado al borde derecho, en la parte baja de la pantalla.
+ */
+const DEFAULT_FLOATING_CART_POSITION = { x: 1, y: 0.8 };
+
+/**
+ * @const {number} FLOATING_CART_EDGE_MARGIN
+ * @description Píxeles libres entre el carrito y los bordes de la ventana o las barras inferiores.
+ */
+const FLOATING_CART_EDGE_MARGIN = 12;
+
+/**
+ * @const {Array<string>} FLOATING_CART_AVOIDED_BARS
+ * @description Las barras inferiores que el carrito no debe tapar (solo cuentan las visibles).
+ */
+const FLOATING_CART_AVOIDED_BARS = ['productsBottomBar', 'cartCheckoutBar'];
+
+/**
+ * @const {{step: number, largeStep: number}} FLOATING_CART_KEYBOARD_STEP
+ * @description Píxeles que se mueve el carrito flotante con cada flecha (`largeStep` si se mantiene Mayús).
+ */
+const FLOATING_CART_KEYBOARD_STEP = { step: 10, largeStep: 50 };
+
+/**
+ * @const {number} FLOATING_CART_DRAG_THRESHOLD
+ * @description Píxeles que debe moverse el puntero para que cuente como arrastre y no como clic.
+ */
+const FLOATING_CART_DRAG_THRESHOLD = 20;
+
+/**
+ * @const {number} FLOATING_CART_SNAP_MS
+ * @description Duración de la transición al pegarse al borde (ver `.is-snapping` en styles.css).
+ */
+const FLOATING_CART_SNAP_MS = 250;
+
+/**
+ * @const {number} FLY_TO_CART_MS
+ * @description Duración de la animación "volar al carrito".
+ */
+const FLY_TO_CART_MS = 650;
+
+/**
+ * @const {number} FLY_TO_CART_MAX_SIZE
+ * @description Tamaño máximo, en píxeles, de la copia de la imagen que vuela al carrito.
+ */
+const FLY_TO_CART_MAX_SIZE = 80;
+
+/**
+ * @let {{x: number, y: number}} floatingCartPosition
+ * @description La posición relativa actual del carrito flotante.
+ */
+let floatingCartPosition = DEFAULT_FLOATING_CART_POSITION;
+
+/**
+ * Lee la posición guardada.
+ * @returns {?{x: number, y: number}} La posición, o `null` si no hay una válida.
+ * @security Los datos de localStorage se tratan como no confiables: cada coordenada debe ser un número entre 0 y 1.
+ */
+function loadFloatingCartPosition() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(FLOATING_CART_STORAGE_KEY));
+    } catch (error) {
+        console.error("No se pudo leer la posición del carrito flotante:", error);
+    }
+    if (!stored || stored.version !== FLOATING_CART_STORAGE_VERSION) return null;
+    const isRatio = value => typeof value === 'number' && value >= 0 && value <= 1;
+    return isRatio(stored.x) && isRatio(stored.y) ? { x: stored.x, y: stored.y } : null;
+}
+
+/**
+ * Guarda la posición actual en localStorage.
+ */
+function saveFloatingCartPosition() {
+    try {
+        localStorage.setItem(FLOATING_CART_STORAGE_KEY, JSON.stringify({
+            version: FLOATING_CART_STORAGE_VERSION,
+            ...floatingCartPosition
+        }));
+    } catch (error) {
+        console.error("No se pudo guardar la posición del carrito flotante:", error);
+    }
+}
+
+/**
+ * Calcula el área donde puede estar el carrito: la ventana, con un margen, sin las barras inferiores visibles.
+ * @param {HTMLElement} floatingCart - El carrito flotante.
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number}} Los límites de su esquina superior izquierda.
+ */
+function getFloatingCartBounds(floatingCart) {
+    const bottom = FLOATING_CART_AVOIDED_BARS.reduce((limit, id) => {
+        const bar = document.getElementById(id);
+        if (!bar) return limit;
+        // Una barra oculta (`display: none`) no ocupa espacio.
+        const rect = bar.getBoundingClientRect();
+        return rect.height > 0 ? Math.min(limit, rect.top) : limit;
+    }, window.innerHeight);
+    // La etiqueta "Carrito" sobresale por debajo del icono y tampoco debe tapar la barra.
+    const label = floatingCart.querySelector('.floating-cart-text');
+    const overhang = label ? Math.max(0, label.offsetTop + label.offsetHeight - floatingCart.offsetHeight) : 0;
+    const minX = FLOATING_CART_EDGE_MARGIN;
+    const minY = FLOATING_CART_EDGE_MARGIN;
+    return {
+        minX,
+        minY,
+        maxX: Math.max(minX, window.innerWidth - floatingCart.offsetWidth - FLOATING_CART_EDGE_MARGIN),
+        maxY: Math.max(minY, bottom - floatingCart.offsetHeight - overhang - FLOATING_CART_EDGE_MARGIN)
+    };
+}
+
+/**
+ * Coloca el carrito en una posición en píxeles, sin dejar que salga del área disponible, y actualiza
+ * `floatingCartPosition` con la posición relativa resultante.
+ * @param {HTMLElement} floatingCart - El carrito flotante.
+ * @param {number} x - La posición horizontal deseada.
+ * @param {number} y - La posición vertical deseada.
+ */
+function moveFloatingCart(floatingCart, x, y) {
+    const bounds = getFloatingCartBounds(floatingCart);
+    const left = Math.max(bounds.minX, Math.min(x, bounds.maxX));
+    const top = Math.max(bounds.minY, Math.min(y, bounds.maxY));
+    const toRatio = (value, min, max) => (max > min ? (value - min) / (max - min) : 0);
+    floatingCartPosition = { x: toRatio(left, bounds.minX, bounds.maxX), y: toRatio(top, bounds.minY, bounds.maxY) };
+    floatingCart.style.left = `${left}px`;
+    floatingCart.style.top = `${top}px`;
+    // Asegurarse de que no haya propiedades 'right' o 'bottom' que interfieran
+    floatingCart.style.right = 'auto';
+    floatingCart.style.bottom = 'auto';
+}
+
+/**
+ * Vuelve a colocar el carrito en su posición relativa dentro del área disponible actual. Se llama al cambiar
+ * el tamaño de la ventana, al girar el dispositivo y al cambiar de vista (las barras inferiores cambian).
+ */
+export function placeFloatingCart() {
+    const floatingCart = document.getElementById('floatingCart');
+    if (!floatingCart) return;
+    const bounds = getFloatingCartBounds(floatingCart);
+    const { x, y } = floatingCartPosition;
+    moveFloatingCart(floatingCart, bounds.minX + x * (bounds.maxX - bounds.minX), bounds.minY + y * (bounds.maxY - bounds.minY));
+    // `moveFloatingCart` recalcula la posición relativa; si el área era de 0 píxeles se perdería la guardada.
+    floatingCartPosition = { x, y };
+}
+
+/**
+ * Pega el carrito al borde lateral más cercano a su centro, con una transición, y guarda la posición.
+ * @param {HTMLElement} floatingCart - El carrito flotante.
+ */
+function snapFloatingCart(floatingCart) {
+    const rect = floatingCart.getBoundingClientRect();
+    const bounds = getFloatingCartBounds(floatingCart);
+    const isLeftHalf = rect.left + rect.width / 2 < window.innerWidth / 2;
+    floatingCart.classList.add('is-snapping');
+    moveFloatingCart(floatingCart, isLeftHalf ? bounds.minX : bounds.maxX, rect.top);
+    setTimeout(() => floatingCart.classList.remove('is-snapping'), FLOATING_CART_SNAP_MS);
+    saveFloatingCartPosition();
+}
+
+/**
+ * Coloca el carrito flotante en su posición guardada (o la inicial) y activa el arrastre y el teclado.
+ * Distingue entre un clic (para abrir el carrito) y un arrastre (para moverlo). Solo el primer puntero que
+ * lo toca lo arrastra: un segundo dedo no lo mueve ni lo suelta. Con el teclado, Enter o Espacio abren el
+ * carrito y las flechas lo mueven.
+ */
+export function initFloatingCart() {
+    const floatingCart = document.getElementById('floatingCart');
+    if (!floatingCart) return;
+
+    floatingCartPosition = loadFloatingCartPosition() || DEFAULT_FLOATING_CART_POSITION;
+    placeFloatingCart();
+
+    let drag = null;
+
+    // Función para manejar el inicio del arrastre (ratón, dedo o lápiz)
+    function dragStart(e) {
+        if (drag || (e.pointerType === 'mouse' && e.button !== 0)) return;
+        const rect = floatingCart.getBoundingClientRect();
+        drag = {
+            pointerId: e.pointerId,
+            startX: e.clientX,
+            startY: e.clientY,
+            offsetX: e.clientX - rect.left,
+            offsetY: e.clientY - rect.top,
+            hasMovedSignificantly: false
+        };
+        // La captura envía al carrito los eventos de este puntero aunque salga de él.
+        if (typeof floatingCart.setPointerCapture === 'function' && e.pointerId !== undefined) {
+            floatingCart.setPointerCapture(e.pointerId);
+        }
+        floatingCart.querySelector('.floating-cart-icon').classList.add('grabbing');
+        document.body.style.userSelect = 'none';
+    }
+
+    // Función para manejar el movimiento
+    function dragMove(e) {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        const moveX = Math.abs(e.clientX - drag.startX);
+        const moveY = Math.abs(e.clientY - drag.startY);
+        if (moveX > FLOATING_CART_DRAG_THRESHOLD || moveY > FLOATING_CART_DRAG_THRESHOLD) {
+            drag.hasMovedSignificantly = true;
+        }
+        if (drag.hasMovedSignificantly) {
+            moveFloatingCart(floatingCart, e.clientX - drag.offsetX, e.clientY - drag.offsetY);
+        }
+    }
+
+    // Función para manejar el final del arrastre. `pointercancel` (ej. el sistema toma el gesto) no abre el carrito.
+    function dragEnd(e) {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        const { hasMovedSignificantly } = drag;
+        drag = null;
+        floatingCart.querySelector('.floating-cart-icon').classList.remove('grabbing');
+        document.body.style.userSelect = 'auto';
+
+        if (hasMovedSignificantly) {
+            snapFloatingCart(floatingCart);
+        } else if (e.type === 'pointerup') {
+            navigateTo('/cart');
+        }
+    }
+
+    // Teclado: la alternativa a hacer clic y a arrastrar
+    function handleKeydown(e) {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            navigateTo('/cart');
+            return;
+        }
+        const step = e.shiftKey ? FLOATING_CART_KEYBOARD_STEP.largeStep : FLOATING_CART_KEYBOARD_STEP.step;
+        const moves = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] };
+        const move = moves[e.key];
+        if (!move) return;
+        e.preventDefault(); // Las flechas no deben desplazar la página mientras se mueve el carrito.
+        const rect = floatingCart.getBoundingClientRect();
+        moveFloatingCart(floatingCart, rect.left + move[0], rect.top + move[1]);
+        saveFloatingCartPosition();
+    }
+
+    floatingCart.addEventListener('pointerdown', dragStart);
+    floatingCart.addEventListener('pointermove', dragMove);
+    floatingCart.addEventListener('pointerup', dragEnd);
+    floatingCart.addEventListener('pointercancel', dragEnd);
+    floatingCart.addEventListener('keydown', handleKeydown);
+
+    const replace = debounce(placeFloatingCart, 100);
+    window.addEventListener('resize', replace);
+    window.addEventListener('orientationchange', replace);
+}
+
+/**
+ * Anima una copia de la imagen del producto desde el control pulsado hasta el carrito flotante.
+ * No hace nada si el usuario prefiere reducir el movimiento, si el navegador no admite la Web Animations API
+ * o si el origen o el carrito no están a la vista.
+ * @param {HTMLElement} control - El botón "Añadir al carrito" (de una tarjeta, un carrusel o el detalle).
+ */
+export function flyToCart(control) {
+    const floatingCart = document.getElementById('floatingCart');
+    if (!floatingCart || typeof floatingCart.animate !== 'function') return;
+    if (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
+
+    const container = control.closest('.product-card, .rail-item, #productDetailView');
+    const image = container ? container.querySelector('img') : null;
+    const from = (image || control).getBoundingClientRect();
+    const to = floatingCart.getBoundingClientRect();
+    if (from.width === 0 || to.width === 0) return;
+
+    const size = Math.min(from.width, from.height, FLY_TO_CART_MAX_SIZE);
+    const flyer = document.createElement('div');
+    flyer.className = 'fly-to-cart';
+    flyer.setAttribute('aria-hidden', 'true');
+    flyer.style.left = `${from.left + (from.width - size) / 2}px`;
+    flyer.style.top = `${from.top + (from.height - size) / 2}px`;
+    flyer.style.width = `${size}px`;
+    flyer.style.height = `${size}px`;
+    if (image) {
+        const copy = document.createElement('img');
+        copy.src = image.currentSrc || image.src;
+        copy.alt = '';
+        flyer.appendChild(copy);
+    }
+    document.body.appendChild(flyer);
+
+    // Un arco: sube un poco a mitad de camino y se encoge al llegar al carrito.
+    const dx = to.left + to.width / 2 - (from.left + from.width / 2);
+    const dy = to.top + to.height / 2 - (from.top + from.height / 2);
+    const animation = flyer.animate([
+        { transform: 'translate(0, 0) scale(1)', opacity: 1 },
+        { transform: `translate(${dx / 2}px, ${dy / 2 - 60}px) scale(0.7)`, opacity: 0.9, offset: 0.5 },
+        { transform: `translate(${dx}px, ${dy}px) scale(0.2)`, opacity: 0.4 }
+    ], { duration: FLY_TO_CART_MS, easing: 'ease-in' });
+    animation.onfinish = () => {
+        flyer.remove();
+        floatingCart.querySelector('.floating-cart-icon').animate(
+            [{ transform: 'scale(1)' }, { transform: 'scale(1.2)' }, { transform: 'scale(1)' }],
+            { duration: 300 }
+        );
+    };
+    animation.oncancel = () => flyer.remove();
+}
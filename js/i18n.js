@@ -0,0 +1,438 @@
+/**
+ * @file js/i18n.js
+ * @description Idioma y moneda: mensajes de `locales/`, formato de números y precios, conversión de moneda
+ * con `rates.json` y el selector de idioma y moneda del encabezado.
+ */
+
+import { showNotification } from './utils.js';
+import { DEFAULT_VARIANT } from './cart-model.js';
+import { renderBundleDiscountLabel, updateTotals } from './cart.js';
+import { renderCartItems } from './render.js';
+import { updateCartCounts } from './ui.js';
+import { parseSales, renderCatalog, renderToolbarOptions } from './search.js';
+import { activeRoute, getCurrentRoute } from './router.js';
+import { renderProductDetail } from './detail.js';
+import { checkoutState, renderCheckoutStepContent } from './checkout.js';
+import { renderWishlistState } from './wishlist.js';
+import { renderCatalogStatus } from './catalog.js';
+import { renderOfflineState } from './offline.js';
+import { renderComparisonState } from './compare.js';
+import { renderBoughtTogether } from './recommendations.js';
+import { renderOrders } from './orders.js';
+
+/**
+ * @const {string} LOCALE_STORAGE_KEY
+ * @description Clave de localStorage donde se recuerdan el idioma y la moneda elegidos.
+ */
+const LOCALE_STORAGE_KEY = 'temu-clone:locale';
+
+/**
+ * @const {string} DEFAULT_LOCALE
+ * @description El idioma original de la tienda. Sus mensajes cubren los que falten en otro idioma.
+ */
+const DEFAULT_LOCALE = 'es-CO';
+
+/**
+ * @const {Object<string, {label: string}>} SUPPORTED_LOCALES
+ * @description Los idiomas con catálogo de mensajes en `locales/<idioma>.json`. Cada uno se nombra en su propio idioma.
+ */
+const SUPPORTED_LOCALES = {
+    'es-CO': { label: 'Español' },
+    'en-US': { label: 'English' }
+};
+
+/**
+ * @const {string} BASE_CURRENCY
+ * @description La moneda de los precios del catálogo, los cupones y las reglas del pedido. Los pedidos
+ * se envían siempre en ella; las demás monedas solo cambian cómo se muestran los importes.
+ */
+const BASE_CURRENCY = 'COP';
+
+/**
+ * @const {Object<string, {fractionDigits: number, step: number}>} SUPPORTED_CURRENCIES
+ * @description Las monedas ofrecidas, con los decimales que se muestran y el paso de los filtros de precio.
+ * Solo se ofrecen las que tienen tasa en `rates.json`.
+ */
+const SUPPORTED_CURRENCIES = {
+    COP: { fractionDigits: 0, step: 1000 },
+    USD: { fractionDigits: 2, step: 1 },
+    MXN: { fractionDigits: 2, step: 10 },
+    EUR: { fractionDigits: 2, step: 1 }
+};
+
+/**
+ * @let {string} currentLocale
+ * @description El idioma elegido (ej. `es-CO`), uno de `SUPPORTED_LOCALES`.
+ */
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * @let {string} currentCurrency
+ * @description La moneda en la que se muestran los precios, una de `SUPPORTED_CURRENCIES`.
+ */
+let currentCurrency = BASE_CURRENCY;
+
+/**
+ * @let {Object<string, string|Object<string, string>>} localeMessages
+ * @description Los mensajes del idioma elegido.
+ */
+let localeMessages = {};
+
+/**
+ * @let {Object<string, string|Object<string, string>>} defaultMessages
+ * @description Los mensajes de `DEFAULT_LOCALE`, para las claves que le falten al idioma elegido.
+ */
+let defaultMessages = {};
+
+/**
+ * @let {Object<string, number>} currencyRates
+ * @description Cuántas unidades de cada moneda equivalen a 1 COP (de `rates.json`).
+ */
+let currencyRates = { [BASE_CURRENCY]: 1 };
+
+/**
+ * @let {string} localeSignature
+ * @description Identifica el idioma y la moneda actuales. Forma parte de las firmas de `reconcileList`,
+ * para que al cambiarlos se reconstruyan las tarjetas y las líneas ya pintadas.
+ */
+export let localeSignature = `${DEFAULT_LOCALE}|${BASE_CURRENCY}`;
+
+/**
+ * @let {Intl.PluralRules} pluralRules
+ * @description Elige la forma plural de los mensajes con `count` (ej. `one`/`other`) en el idioma elegido.
+ */
+let pluralRules = new Intl.PluralRules(DEFAULT_LOCALE);
+
+/**
+ * @const {Map<string, Intl.NumberFormat>} priceFormatters
+ * @description Formateadores de precios ya creados, por `localeSignature`.
+ */
+const priceFormatters = new Map();
+
+/**
+ * @const {Set<string>} reportedMissingMessages
+ * @description Las claves sin mensaje ya avisadas en la consola, para avisar una sola vez.
+ */
+const reportedMissingMessages = new Set();
+
+/**
+ * Traduce un mensaje al idioma elegido.
+ * - Los parámetros se escriben entre llaves: `"Quitar cupón {code}"`.
+ * - Un mensaje con formas de plural es un objeto por categoría de `Intl.PluralRules` (`one`, `other`...):
+ *   la forma se elige con `params.count` (ej. "1 venta" / "14K+ ventas").
+ * - Si el idioma elegido no tiene el mensaje se usa el de `DEFAULT_LOCALE`, luego `params.defaultValue`
+ *   y, por último, la propia clave.
+ * @param {string} key - La clave del mensaje (ej. `cart.empty`).
+ * @param {Object} [params] - Los valores de los parámetros.
+ * @returns {string} El texto.
+ */
+export function t(key, params = {}) {
+    let message = [localeMessages, defaultMessages]
+        .map(messages => messages[key])
+        .find(value => value !== undefined);
+    if (message === undefined) message = params.defaultValue;
+    if (message === undefined) {
+        if (!reportedMissingMessages.has(key)) {
+            reportedMissingMessages.add(key);
+            console.error("Falta el mensaje:", key);
+        }
+        return key;
+    }
+    if (typeof message === 'object' && message !== null) {
+        const form = message[pluralRules.select(Number(params.count) || 0)];
+        message = form !== undefined ? form : message.other;
+    }
+    return String(message).replace(/\{(\w+)\}/g, (placeholder, name) =>
+        Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : placeholder);
+}
+
+/**
+ * Describe las ventas de un producto con la forma de plural correcta.
+ * @param {string|number} sales - Las ventas tal como aparecen en el catálogo (ej. "14K+").
+ * @returns {string} El texto (ej. "14K+ ventas").
+ */
+export function formatSales(sales) {
+    return t('product.sales', { count: parseSales(sales), sales });
+}
+
+/**
+ * Devuelve el nombre visible de una variante. La de los productos sin variantes (`DEFAULT_VARIANT`) se
+ * guarda siempre con el mismo nombre y solo se traduce al mostrarla.
+ * @param {string} name - El nombre de la variante.
+ * @returns {string} El nombre a mostrar.
+ */
+export function formatVariantName(name) {
+    return name === DEFAULT_VARIANT ? t('product.defaultVariant') : name;
+}
+
+/**
+ * Formatea una fecha y hora en el idioma elegido (ej. la de un pedido del historial).
+ * @param {number} timestamp - Los milisegundos desde 1970 (`Date.now()`).
+ * @returns {string} El texto (ej. "18 oct 2026, 3:30 p. m.").
+ */
+export function formatDate(timestamp) {
+    return new Intl.DateTimeFormat(currentLocale, { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(timestamp));
+}
+
+/**
+ * Devuelve los datos de la moneda elegida.
+ * @returns {{fractionDigits: number, step: number}} Ver `SUPPORTED_CURRENCIES`.
+ */
+export function getCurrencyInfo() {
+    return SUPPORTED_CURRENCIES[currentCurrency];
+}
+
+/**
+ * Convierte un importe en COP a la moneda elegida.
+ * @param {number} amount - El importe en COP.
+ * @returns {number} El importe convertido, sin redondear.
+ */
+export function convertFromBaseCurrency(amount) {
+    return amount * currencyRates[currentCurrency];
+}
+
+/**
+ * Convierte un importe de la moneda elegida a COP (ej. lo que se escribe en los filtros de precio).
+ * @param {number} amount - El importe en la moneda elegida.
+ * @returns {number} El importe en COP, sin redondear.
+ */
+export function convertToBaseCurrency(amount) {
+    return amount / currencyRates[currentCurrency];
+}
+
+/**
+ * Redondea un importe a los decimales de la moneda elegida.
+ * @param {number} amount - El importe.
+ * @returns {number} El importe redondeado.
+ */
+export function roundCurrencyAmount(amount) {
+    const factor = 10 ** getCurrencyInfo().fractionDigits;
+    return Math.round(amount * factor) / factor;
+}
+
+/**
+ * Devuelve el formateador de precios del idioma y la moneda elegidos.
+ * @returns {Intl.NumberFormat} El formateador.
+ */
+export function getPriceFormatter() {
+    if (!priceFormatters.has(localeSignature)) {
+        const { fractionDigits } = getCurrencyInfo();
+        priceFormatters.set(localeSignature, new Intl.NumberFormat(currentLocale, {
+            style: 'currency',
+            currency: currentCurrency,
+            minimumFractionDigits: fractionDigits,
+            maximumFractionDigits: fractionDigits
+        }));
+    }
+    return priceFormatters.get(localeSignature);
+}
+
+/**
+ * Carga el catálogo de mensajes de un idioma.
+ * @param {string} locale - Uno de `SUPPORTED_LOCALES`.
+ * @returns {Promise<Object>} Los mensajes.
+ */
+async function loadMessages(locale) {
+    const response = await fetch(`locales/${locale}.json`);
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    return response.json();
+}
+
+/**
+ * Carga las tasas de cambio de `rates.json`. Las monedas sin una tasa válida no se ofrecen; si el archivo
+ * no se puede leer, los precios se muestran solo en COP.
+ */
+async function loadCurrencyRates() {
+    try {
+        const response = await fetch('rates.json');
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json();
+        if (!data || data.base !== BASE_CURRENCY || typeof data.rates !== 'object') {
+            throw new Error(`rates.json debe expresar las tasas respecto a ${BASE_CURRENCY}`);
+        }
+        const rates = { [BASE_CURRENCY]: 1 };
+        Object.keys(SUPPORTED_CURRENCIES).forEach(code => {
+            const rate = data.rates[code];
+            if (typeof rate === 'number' && Number.isFinite(rate) && rate > 0) rates[code] = rate;
+        });
+        currencyRates = rates;
+    } catch (error) {
+        console.error("No se pudieron cargar las tasas de cambio, los precios se muestran en COP:", error);
+    }
+}
+
+/**
+ * Devuelve las monedas que se pueden elegir (las que tienen tasa de cambio).
+ * @returns {Array<string>} Los códigos ISO 4217.
+ */
+function getAvailableCurrencies() {
+    return Object.keys(SUPPORTED_CURRENCIES).filter(code => typeof currencyRates[code] === 'number');
+}
+
+/**
+ * Lee el idioma y la moneda guardados.
+ * @returns {{locale?: string, currency?: string}} La elección guardada (vacía si no hay ninguna).
+ * @security Los valores se validan contra `SUPPORTED_LOCALES` y las monedas disponibles antes de usarlos.
+ */
+function loadLocalePreference() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(LOCALE_STORAGE_KEY));
+        return stored && typeof stored === 'object' ? stored : {};
+    } catch (error) {
+        console.error("No se pudo leer el idioma guardado:", error);
+        return {};
+    }
+}
+
+/**
+ * Guarda el idioma y la moneda elegidos.
+ */
+function saveLocalePreference() {
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, JSON.stringify({ locale: currentLocale, currency: currentCurrency }));
+    } catch (error) {
+        console.error("No se pudo guardar el idioma:", error);
+    }
+}
+
+/**
+ * Elige el idioma inicial a partir de los idiomas del navegador (ej. `en-GB` -> `en-US`).
+ * @returns {string} Uno de `SUPPORTED_LOCALES`.
+ */
+function detectLocale() {
+    const supported = Object.keys(SUPPORTED_LOCALES);
+    const preferred = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+    for (const language of preferred.filter(Boolean)) {
+        const match = supported.find(locale => locale.toLowerCase() === language.toLowerCase())
+            || supported.find(locale => locale.split('-')[0] === language.split('-')[0].toLowerCase());
+        if (match) return match;
+    }
+    return DEFAULT_LOCALE;
+}
+
+/**
+ * Traduce los textos fijos de index.html:
+ * - `data-i18n="clave"` reemplaza el texto del elemento.
+ * - `data-i18n-attr="atributo:clave;atributo:clave"` reemplaza atributos (ej. `placeholder`, `aria-label`).
+ */
+function translateDocument() {
+    document.documentElement.lang = currentLocale;
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            if (attribute && key) element.setAttribute(attribute, t(key));
+        });
+    });
+}
+
+/**
+ * Activa un idioma y una moneda: carga los mensajes si hace falta y traduce los textos fijos.
+ * @param {string} locale - Uno de `SUPPORTED_LOCALES`.
+ * @param {string} currency - Una de `getAvailableCurrencies()`.
+ * @returns {Promise<void>} Se rechaza si no se pudieron cargar los mensajes (el idioma anterior sigue activo).
+ */
+async function applyLocale(locale, currency) {
+    const messages = locale === DEFAULT_LOCALE ? defaultMessages : await loadMessages(locale);
+    localeMessages = messages;
+    currentLocale = locale;
+    currentCurrency = currency;
+    localeSignature = `${locale}|${currency}`;
+    pluralRules = new Intl.PluralRules(locale);
+    translateDocument();
+}
+
+/**
+ * Vuelve a pintar todo lo que muestra textos o precios tras cambiar de idioma o de moneda.
+ */
+function renderLocalizedViews() {
+    renderToolbarOptions();
+    renderCatalog();
+    renderCatalogStatus();
+    [renderCartItems, updateTotals, updateCartCounts, renderBundleDiscountLabel, renderBoughtTogether].forEach(render => render());
+    renderWishlistState();
+    renderComparisonState();
+    renderOfflineState();
+
+    if (!activeRoute) return;
+    const { path, params } = getCurrentRoute();
+    if (activeRoute.name === 'product') {
+        renderProductDetail(Number(path.split('/')[2]), params.get('variant'));
+    } else if (activeRoute.name === 'checkout') {
+        renderCheckoutStepContent(checkoutState.step);
+    } else if (activeRoute.name === 'orders') {
+        renderOrders();
+    }
+}
+
+/**
+ * Cambia el idioma o la moneda desde el selector de la cabecera y recuerda la elección.
+ * @param {string} locale - El idioma elegido.
+ * @param {string} currency - La moneda elegida.
+ */
+async function changeLocale(locale, currency) {
+    try {
+        await applyLocale(locale, currency);
+    } catch (error) {
+        console.error("No se pudo cambiar el idioma:", error);
+        showNotification(t('locale.loadFailed'));
+        renderLocalePicker();
+        return;
+    }
+    saveLocalePreference();
+    renderLocalePicker();
+    renderLocalizedViews();
+}
+
+/**
+ * Rellena los selectores de idioma y moneda de la cabecera con las opciones disponibles.
+ */
+function renderLocalePicker() {
+    const localeSelect = document.getElementById('localeSelect');
+    const currencySelect = document.getElementById('currencySelect');
+    if (!localeSelect || !currencySelect) return;
+
+    const createOption = (value, label) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    };
+    localeSelect.replaceChildren(...Object.keys(SUPPORTED_LOCALES)
+        .map(locale => createOption(locale, SUPPORTED_LOCALES[locale].label)));
+    currencySelect.replaceChildren(...getAvailableCurrencies().map(code => createOption(code, code)));
+    localeSelect.value = currentLocale;
+    currencySelect.value = currentCurrency;
+}
+
+/**
+ * Carga los mensajes y las tasas de cambio, aplica el idioma y la moneda guardados (o el idioma del
+ * navegador) y conecta el selector de la cabecera. Se llama antes de pintar nada.
+ */
+export async function initLocale() {
+    try {
+        [defaultMessages] = await Promise.all([loadMessages(DEFAULT_LOCALE), loadCurrencyRates()]);
+    } catch (error) {
+        console.error("No se pudieron cargar los mensajes de la tienda:", error);
+    }
+
+    const stored = loadLocalePreference();
+    const locale = Object.prototype.hasOwnProperty.call(SUPPORTED_LOCALES, stored.locale) ? stored.locale : detectLocale();
+    const currency = getAvailableCurrencies().includes(stored.currency) ? stored.currency : BASE_CURRENCY;
+    try {
+        await applyLocale(locale, currency);
+    } catch (error) {
+        console.error("No se pudo cargar el idioma, se usa el predeterminado:", error);
+        await applyLocale(DEFAULT_LOCALE, currency);
+    }
+
+    renderLocalePicker();
+    const localeSelect = document.getElementById('localeSelect');
+    const currencySelect = document.getElementById('currencySelect');
+    if (localeSelect && currencySelect) {
+        localeSelect.onchange = () => changeLocale(localeSelect.value, currentCurrency);
+        currencySelect.onchange = () => changeLocale(currentLocale, currencySelect.value);
+    }
+}
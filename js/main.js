@@ -0,0 +1,84 @@
+/**
+ * @file js/main.js
+ * @description Punto de entrada de la tienda (se carga con `<script type="module">` desde index.html): inicializa
+ * cada parte cuando el documento está listo.
+ */
+
+import { loadAppConfig } from './config.js';
+import { t, initLocale } from './i18n.js';
+import { cartStore, renderBundleDiscountLabel, updateTotals, saveCartState, restoreCartState } from './cart.js';
+import { renderCartItems } from './render.js';
+import { updateCartCounts } from './ui.js';
+import { initFloatingCart } from './floating-cart.js';
+import { initSearch, initCatalogToolbar } from './search.js';
+import { initRouter } from './router.js';
+import { initCheckout } from './checkout.js';
+import { initCoupons } from './coupons.js';
+import { restoreWishlist, renderWishlistState } from './wishlist.js';
+import { loadProductsById, getStoredProductIds, initCatalogSource, initInfiniteScroll } from './catalog.js';
+import { initOfflineSupport, initOrderQueue, initInstallPrompt } from './offline.js';
+import { restoreComparison, renderComparisonState } from './compare.js';
+import { restoreRecommendationHistory, renderBoughtTogether } from './recommendations.js';
+import { restoreOrderHistory } from './orders.js';
+import { handleActionClick } from './actions.js';
+import { notifyCartChange } from './cart-api.js';
+
+/**
+ * Inicializa la aplicación: obtiene los datos de los productos y renderiza los componentes iniciales.
+ */
+async function initializeApp() {
+    document.addEventListener('click', handleActionClick);
+    initInstallPrompt();
+    // El carrito flotante se coloca en su posición guardada antes de que nada más se pinte.
+    initFloatingCart();
+    // Los mensajes y las tasas de cambio se necesitan antes de pintar cualquier texto o precio.
+    await initLocale();
+    initOfflineSupport();
+    await loadAppConfig();
+    try {
+        await initCatalogSource();
+        // El carrito y los favoritos guardados solo pueden validarse con sus productos, que pueden estar
+        // en páginas del catálogo que aún no se han cargado.
+        await loadProductsById(getStoredProductIds());
+
+        cartStore.subscribe(saveCartState);
+        restoreCartState();
+        restoreWishlist();
+        restoreComparison();
+        restoreRecommendationHistory();
+        restoreOrderHistory();
+        initSearch();
+        initCatalogToolbar();
+        initInfiniteScroll();
+        await initCheckout();
+        await initCoupons();
+        initOrderQueue();
+        
+        // Una vez que los productos se han cargado, renderizamos la UI y la conectamos al carrito:
+        // a partir de aquí cada cambio del carrito vuelve a pintar lo que depende de él.
+        // El enrutador renderiza la vista de la URL actual (productos, búsqueda o carrito). `notifyCartChange`
+        // avisa también a la página que integra la tienda (ver cart-api.js).
+        [
+            renderCartItems, updateTotals, updateCartCounts, renderBundleDiscountLabel, renderBoughtTogether,
+            notifyCartChange
+        ].forEach(render => {
+            cartStore.subscribe(render);
+            render();
+        });
+        renderWishlistState();
+        renderComparisonState();
+        initRouter();
+
+    } catch (error) {
+        console.error("No se pudieron cargar los productos:", error);
+        const grid = document.getElementById('productGrid');
+        if (grid) {
+            const message = document.createElement('p');
+            message.className = 'catalog-load-error';
+            message.textContent = t('app.loadError');
+            grid.replaceChildren(message);
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initializeApp);
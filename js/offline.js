@@ -0,0 +1,245 @@
+/**
+ * @file js/offline.js
+ * @description Uso sin conexión (service worker y cola de pedidos) e instalación como aplicación.
+ */
+
+import { appConfig } from './config.js';
+import { t } from './i18n.js';
+import { formatPrice, showNotification, createIdempotencyKey } from './utils.js';
+import { hasVariant, createCartLine } from './cart-model.js';
+import { cartStore } from './cart.js';
+import { closeBanner } from './ui.js';
+import { completeOrder } from './checkout.js';
+import { allProducts } from './catalog.js';
+import { settleQueuedOrder } from './orders.js';
+
+/**
+ * @const {string} ORDER_QUEUE_STORAGE_KEY
+ * @description Clave de localStorage de los pedidos hechos sin conexión que aún no se han enviado.
+ */
+const ORDER_QUEUE_STORAGE_KEY = 'temu-clone:order-queue';
+
+/**
+ * @let {boolean} isFlushingOrders
+ * @description Evita enviar la cola dos veces a la vez (ej. al volver la conexión durante el arranque).
+ */
+let isFlushingOrders = false;
+
+/**
+ * @let {?Event} deferredInstallPrompt
+ * @description El evento `beforeinstallprompt` guardado para lanzar la instalación desde "OBTENER".
+ */
+let deferredInstallPrompt = null;
+
+/**
+ * Lee la cola de pedidos pendientes.
+ * @returns {Array<{id: string, body: Object, lines: Array<Object>, total: number, queuedAt: string}>} Los pedidos.
+ * @security Los datos de localStorage se tratan como no confiables: se descartan las entradas mal formadas.
+ */
+export function loadOrderQueue() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(ORDER_QUEUE_STORAGE_KEY));
+        if (!Array.isArray(stored)) return [];
+        return stored.filter(entry => entry && typeof entry.id === 'string' && entry.body
+            && typeof entry.body === 'object' && Array.isArray(entry.lines));
+    } catch (error) {
+        console.error("No se pudo leer la cola de pedidos:", error);
+        return [];
+    }
+}
+
+/**
+ * Guarda la cola de pedidos pendientes.
+ * @param {Array<Object>} queue - Los pedidos.
+ */
+function saveOrderQueue(queue) {
+    try {
+        if (queue.length === 0) {
+            localStorage.removeItem(ORDER_QUEUE_STORAGE_KEY);
+        } else {
+            localStorage.setItem(ORDER_QUEUE_STORAGE_KEY, JSON.stringify(queue));
+        }
+    } catch (error) {
+        console.error("No se pudo guardar la cola de pedidos:", error);
+    }
+}
+
+/**
+ * Pone en cola un pedido hecho sin conexión y lo confirma como pendiente. Sus líneas salen del carrito;
+ * si el servidor lo rechaza al enviarlo, vuelven a él y el pedido sale de "Mis pedidos" (ver `flushOrderQueue`).
+ * @param {Object} body - El cuerpo que se enviará a `checkoutEndpoint`.
+ * @param {Array<Object>} lines - Las líneas del pedido.
+ * @param {Object} totals - Los totales del pedido.
+ * @param {string} [idempotencyKey] - La clave con la que ya se intentó enviar el pedido, si se intentó.
+ */
+export function queueOfflineOrder(body, lines, totals, idempotencyKey = createIdempotencyKey()) {
+    const entry = {
+        // Viaja como `Idempotency-Key`: si un envío llega al servidor pero se pierde la respuesta,
+        // el reintento no crea un segundo pedido.
+        id: idempotencyKey,
+        body,
+        lines: lines.map(item => ({ id: item.id, variant: item.variant, quantity: item.quantity })),
+        total: totals.total,
+        queuedAt: new Date().toISOString()
+    };
+    saveOrderQueue([...loadOrderQueue(), entry]);
+    completeOrder(lines, totals, { id: '', total: totals.total, queueId: entry.id },
+        t('offline.orderQueued', { total: formatPrice(totals.total) }));
+    renderOfflineState();
+}
+
+/**
+ * Devuelve al carrito los artículos de un pedido que el servidor rechazó.
+ * @param {Array<{id: number, variant: string, quantity: number}>} lines - Los artículos del pedido.
+ */
+function returnLinesToCart(lines) {
+    cartStore.batch(() => {
+        lines.forEach(({ id, variant, quantity }) => {
+            const product = allProducts.find(p => p.id === id);
+            if (!product || !hasVariant(product, variant)) return;
+            const existing = cartStore.findLine(id, variant);
+            if (existing) {
+                const merged = existing.quantity + quantity;
+                cartStore.updateLine(existing.lineId, {
+                    quantity: typeof existing.stock === 'number' ? Math.min(merged, existing.stock) : merged
+                });
+            } else {
+                cartStore.addLine(createCartLine(product, variant, quantity));
+            }
+        });
+    });
+}
+
+/**
+ * Envía, en orden, los pedidos que se hicieron sin conexión. Si falla la red o el servidor (5xx), se
+ * detiene y los pedidos restantes esperan a la próxima vez que vuelva la conexión.
+ */
+async function flushOrderQueue() {
+    if (isFlushingOrders || !navigator.onLine || loadOrderQueue().length === 0) return;
+    isFlushingOrders = true;
+    const sentIds = [];
+    let rejectedCount = 0;
+    try {
+        for (const entry of loadOrderQueue()) {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), appConfig.checkoutTimeoutMs);
+            let response;
+            try {
+                response = await fetch(appConfig.checkoutEndpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': entry.id },
+                    body: JSON.stringify(entry.body),
+                    signal: controller.signal
+                });
+            } catch (error) {
+                console.error("No se pudo enviar un pedido pendiente:", error);
+                break;
+            } finally {
+                clearTimeout(timeoutId);
+            }
+            if (response.status >= 500) break;
+
+            const data = await response.json().catch(() => ({}));
+            saveOrderQueue(loadOrderQueue().filter(queued => queued.id !== entry.id));
+            if (response.ok) {
+                sentIds.push(data.orderId || '');
+                settleQueuedOrder(entry.id, typeof data.orderId === 'string' ? data.orderId : '');
+            } else {
+                settleQueuedOrder(entry.id, null);
+                returnLinesToCart(entry.lines);
+                rejectedCount++;
+            }
+        }
+    } finally {
+        isFlushingOrders = false;
+        renderOfflineState();
+    }
+
+    // Un único aviso con el resultado, para que un pedido no tape el mensaje de otro.
+    if (rejectedCount > 0) {
+        showNotification(t('offline.ordersRejected', { count: rejectedCount }), { duration: 6000 });
+    } else if (sentIds.length === 1 && sentIds[0]) {
+        showNotification(t('offline.orderSent', { id: sentIds[0] }), { duration: 4000 });
+    } else if (sentIds.length > 0) {
+        showNotification(t('offline.ordersSent', { count: sentIds.length }), { duration: 4000 });
+    }
+}
+
+/**
+ * Muestra u oculta el aviso de sin conexión, con los pedidos que esperan para enviarse.
+ */
+export function renderOfflineState() {
+    const banner = document.getElementById('offlineBanner');
+    const text = document.getElementById('offlineText');
+    if (!banner || !text) return;
+    banner.hidden = navigator.onLine;
+
+    const pending = loadOrderQueue().length;
+    text.textContent = pending > 0
+        ? `${t('offline.banner')} ${t('offline.pendingOrders', { count: pending })}`
+        : t('offline.banner');
+}
+
+/**
+ * Registra el service worker (`sw.js`), que guarda la aplicación y el catálogo para usarlos sin
+ * conexión, y conecta el aviso de conexión. Se llama antes de cargar el catálogo, para que funcione
+ * también si esa carga falla.
+ */
+export function initOfflineSupport() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error("No se pudo registrar el service worker:", error);
+        });
+    }
+    window.addEventListener('online', renderOfflineState);
+    window.addEventListener('offline', renderOfflineState);
+    renderOfflineState();
+}
+
+/**
+ * Envía los pedidos pendientes ahora y cada vez que vuelva la conexión. Se llama con el catálogo y el
+ * carrito ya cargados, porque un pedido rechazado devuelve sus productos al carrito.
+ */
+export function initOrderQueue() {
+    window.addEventListener('online', flushOrderQueue);
+    flushOrderQueue();
+}
+
+/**
+ * Prepara la instalación real de la aplicación (PWA) desde el botón "OBTENER" del banner (`promptInstall`).
+ * El navegador ofrece `beforeinstallprompt` solo si la app es instalable (manifiesto y service worker) y aún no lo está.
+ */
+export function initInstallPrompt() {
+    // Abierta como aplicación instalada, el banner ya no tiene sentido.
+    if (window.matchMedia && window.matchMedia('(display-mode: standalone)').matches) {
+        closeBanner();
+        return;
+    }
+
+    window.addEventListener('beforeinstallprompt', event => {
+        event.preventDefault(); // Se guarda para lanzarlo desde "OBTENER" en lugar del aviso del navegador.
+        deferredInstallPrompt = event;
+    });
+    window.addEventListener('appinstalled', () => {
+        deferredInstallPrompt = null;
+        closeBanner();
+        showNotification(t('install.done'));
+    });
+}
+
+/**
+ * Lanza la instalación de la aplicación (botón "OBTENER"). Si el navegador no la ofrece, explica
+ * cómo instalarla desde su menú.
+ */
+export async function promptInstall() {
+    if (!deferredInstallPrompt) {
+        showNotification(t('install.manual'), { duration: 4000 });
+        return;
+    }
+    // Cada evento solo puede lanzarse una vez.
+    const installPrompt = deferredInstallPrompt;
+    deferredInstallPrompt = null;
+    installPrompt.prompt();
+    const { outcome } = await installPrompt.userChoice;
+    if (outcome === 'accepted') closeBanner();
+}
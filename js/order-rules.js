@@ -0,0 +1,139 @@
+/**
+ * @file js/order-rules.js
+ * @description Reglas del pedido de `config.json`: pedido mínimo y envío gratis.
+ */
+
+import { DEFAULT_CONFIG, appConfig } from './config.js';
+import { t } from './i18n.js';
+import { formatPrice } from './utils.js';
+import { getCheckoutLines } from './checkout.js';
+import { applyCoupons } from './coupons.js';
+
+/**
+ * Comprueba si una línea cumple alguna de las condiciones de exclusión de una regla.
+ * Cada condición compara un campo de la línea con un valor (ej. `{ field: 'fulfillment', equals: 'local' }`).
+ * @param {Object} item - La línea del carrito.
+ * @param {Array<{field: string, equals: *}>} [exclude] - Las condiciones de exclusión.
+ * @returns {boolean} `true` si la línea no cuenta para la regla.
+ */
+function isExcludedByRule(item, exclude) {
+    return (exclude || []).some(condition => item[condition.field] === condition.equals);
+}
+
+/**
+ * Suma el importe de las líneas que cuentan para una regla.
+ * @param {Array<Object>} lines - Las líneas del pedido.
+ * @param {Array<Object>} [exclude] - Las condiciones de exclusión de la regla.
+ * @returns {{subtotal: number, count: number}} El importe y el número de líneas que cuentan.
+ */
+function getRuleSubtotal(lines, exclude) {
+    return lines.reduce((acc, item) => {
+        if (isExcludedByRule(item, exclude)) return acc;
+        return { subtotal: acc.subtotal + item.price * item.quantity, count: acc.count + 1 };
+    }, { subtotal: 0, count: 0 });
+}
+
+/**
+ * Evalúa las reglas del pedido configuradas en `orderRules` para unas líneas.
+ * - Pedido mínimo: las líneas excluidas (ej. enviadas por almacenes locales) no suman ni lo exigen; un
+ *   pedido formado solo por líneas excluidas no tiene mínimo.
+ * - Envío gratis: se alcanza cuando el importe de las líneas que cuentan llega al umbral.
+ * @param {Array<Object>} lines - Las líneas del pedido.
+ * @returns {{minimumOrder: {amount: number, subtotal: number, missing: number, met: boolean},
+ *           freeShipping: {threshold: ?number, subtotal: number, missing: number, progress: number, qualified: boolean}}}
+ *          El resultado de cada regla.
+ */
+export function evaluateOrderRules(lines) {
+    const rules = appConfig.orderRules || DEFAULT_CONFIG.orderRules;
+
+    const minimumRule = rules.minimumOrder || {};
+    const minimumAmount = typeof minimumRule.amount === 'number' ? minimumRule.amount : 0;
+    const counted = getRuleSubtotal(lines, minimumRule.exclude);
+    const minimumMissing = counted.count > 0 ? Math.max(minimumAmount - counted.subtotal, 0) : 0;
+
+    const shippingRule = rules.freeShipping || {};
+    const threshold = typeof shippingRule.threshold === 'number' ? shippingRule.threshold : null;
+    const shippingSubtotal = getRuleSubtotal(lines, shippingRule.exclude).subtotal;
+    const shippingMissing = threshold === null ? 0 : Math.max(threshold - shippingSubtotal, 0);
+
+    return {
+        minimumOrder: {
+            amount: minimumAmount,
+            subtotal: counted.subtotal,
+            missing: minimumMissing,
+            met: minimumMissing === 0
+        },
+        freeShipping: {
+            threshold,
+            subtotal: shippingSubtotal,
+            missing: shippingMissing,
+            progress: threshold ? Math.min(shippingSubtotal / threshold, 1) : 0,
+            qualified: threshold !== null && shippingSubtotal > 0 && shippingMissing === 0
+        }
+    };
+}
+
+/**
+ * Devuelve el costo de un método de envío tras aplicar la regla de envío gratis o un cupón de envío gratis.
+ * Ambos solo cubren los métodos listados en `orderRules.freeShipping.methods`.
+ * @param {Object} method - El método de envío configurado.
+ * @param {Array<Object>} lines - Las líneas del pedido.
+ * @returns {number} El costo a cobrar.
+ */
+export function getShippingCost(method, lines) {
+    const freeMethods = (appConfig.orderRules && appConfig.orderRules.freeShipping
+        && appConfig.orderRules.freeShipping.methods) || [];
+    if (!freeMethods.includes(method.id)) return method.cost;
+    const qualified = evaluateOrderRules(lines).freeShipping.qualified || applyCoupons(lines).freeShipping;
+    return qualified ? 0 : method.cost;
+}
+
+/**
+ * Construye el mensaje que explica por qué no se puede hacer el pedido aún.
+ * @param {Object} minimumOrder - El resultado de la regla de pedido mínimo.
+ * @returns {string} El mensaje para el usuario.
+ */
+export function getMinimumOrderMessage(minimumOrder) {
+    return t('rules.minimumNotMet', { amount: formatPrice(minimumOrder.amount), missing: formatPrice(minimumOrder.missing) });
+}
+
+/**
+ * Actualiza los avisos de envío gratis y pedido mínimo del carrito según los artículos seleccionados.
+ */
+export function renderOrderRules() {
+    const rules = evaluateOrderRules(getCheckoutLines());
+
+    const freeShippingText = document.getElementById('freeShippingText');
+    const progress = document.getElementById('freeShippingProgress');
+    const freeShippingBanner = document.getElementById('freeShippingBanner');
+    if (freeShippingText && progress && freeShippingBanner) {
+        const { threshold, missing } = rules.freeShipping;
+        const couponShipping = applyCoupons(getCheckoutLines()).freeShipping;
+        const qualified = rules.freeShipping.qualified || couponShipping;
+        freeShippingBanner.hidden = threshold === null && !couponShipping;
+        if (couponShipping) {
+            freeShippingText.textContent = t('rules.freeShippingCoupon');
+        } else if (qualified) {
+            freeShippingText.textContent = t('rules.freeShippingQualified');
+        } else if (rules.freeShipping.subtotal === 0) {
+            freeShippingText.textContent = t('rules.freeShippingOffer', { threshold: formatPrice(threshold || 0) });
+        } else {
+            freeShippingText.textContent = t('rules.freeShippingMissing', { missing: formatPrice(missing) });
+        }
+        const percent = qualified ? 100 : Math.round(rules.freeShipping.progress * 100);
+        progress.setAttribute('aria-valuenow', String(percent));
+        progress.firstElementChild.style.width = `${percent}%`;
+        freeShippingBanner.classList.toggle('is-qualified', qualified);
+    }
+
+    const minimumText = document.getElementById('minimumOrderText');
+    const minimumStatus = document.getElementById('minimumOrderStatus');
+    const minimumBanner = document.getElementById('minimumOrderBanner');
+    if (minimumText && minimumStatus && minimumBanner) {
+        const { amount, missing, subtotal } = rules.minimumOrder;
+        minimumBanner.hidden = amount === 0;
+        minimumText.textContent = t('rules.minimumOrder', { amount: formatPrice(amount) });
+        minimumStatus.textContent = subtotal > 0 && missing > 0 ? t('rules.minimumMissing', { missing: formatPrice(missing) }) : '';
+        minimumBanner.classList.toggle('is-blocking', missing > 0);
+    }
+}
@@ -0,0 +1,296 @@
+/**
+ * @file js/orders.js
+ * @description Historial de pedidos ("Mis pedidos", `#/orders`): cada pedido confirmado se guarda en localStorage
+ * con sus artículos, los precios pagados, los totales y la fecha, y se puede volver a comprar.
+ */
+
+import { t, formatVariantName, formatDate } from './i18n.js';
+import { formatPrice, showNotification, createIcon, createProductImage } from './utils.js';
+import { hasVariant, createCartLine } from './cart-model.js';
+import { cartStore, addToCart } from './cart.js';
+import { activeRoute, navigateTo } from './router.js';
+import { createSummaryRow } from './checkout.js';
+import { allProducts, loadProductsById } from './catalog.js';
+
+/**
+ * @const {string} ORDERS_STORAGE_KEY
+ * @description Clave de localStorage donde se guarda el historial de pedidos.
+ */
+const ORDERS_STORAGE_KEY = 'temu-clone:orders';
+
+/**
+ * @const {number} ORDERS_STORAGE_VERSION
+ * @description Versión del formato guardado del historial.
+ */
+const ORDERS_STORAGE_VERSION = 1;
+
+/**
+ * @const {number} ORDER_HISTORY_LIMIT
+ * @description Cuántos pedidos se recuerdan; los más antiguos se descartan.
+ */
+const ORDER_HISTORY_LIMIT = 50;
+
+/**
+ * @const {number} REORDER_REPORT_DURATION_MS
+ * @description Cuánto se muestra el aviso de "Volver a comprar" cuando algo no se pudo añadir como antes.
+ */
+const REORDER_REPORT_DURATION_MS = 6000;
+
+/**
+ * @let {Array<Object>} orderHistory
+ * @description Los pedidos hechos, del más reciente al más antiguo. Cada uno tiene `id` (el número que dio el
+ * servidor, vacío si se hizo sin conexión), `placedAt`, `lines` (`id`, `name`, `variant`, `quantity`, `price`,
+ * `oldPrice` e `image`, tal como se compraron) y los totales `subtotal`, `discount`, `shipping` y `total`, con
+ * los `coupons` usados. Un pedido hecho sin conexión lleva además `queueId`, el de su entrada en la cola de
+ * js/offline.js, hasta que el servidor lo acepta o lo rechaza (ver `settleQueuedOrder`).
+ */
+let orderHistory = [];
+
+/**
+ * Guarda el historial de pedidos en localStorage.
+ */
+function saveOrderHistory() {
+    try {
+        localStorage.setItem(ORDERS_STORAGE_KEY, JSON.stringify({ version: ORDERS_STORAGE_VERSION, orders: orderHistory }));
+    } catch (error) {
+        console.error("No se pudo guardar el historial de pedidos:", error);
+    }
+}
+
+/**
+ * Indica si una línea guardada de un pedido tiene el formato esperado.
+ * @param {*} line - La línea.
+ * @returns {boolean} `true` si es válida.
+ */
+function isValidOrderLine(line) {
+    return Boolean(line) && Number.isInteger(line.id) && typeof line.name === 'string'
+        && typeof line.variant === 'string' && Number.isInteger(line.quantity) && line.quantity > 0
+        && typeof line.price === 'number';
+}
+
+/**
+ * Indica si un pedido guardado tiene el formato esperado.
+ * @param {*} order - El pedido.
+ * @returns {boolean} `true` si es válido.
+ */
+function isValidOrder(order) {
+    return Boolean(order) && typeof order.id === 'string' && typeof order.placedAt === 'number'
+        && (order.queueId === undefined || typeof order.queueId === 'string')
+        && Array.isArray(order.lines) && order.lines.length > 0 && order.lines.every(isValidOrderLine)
+        && ['subtotal', 'discount', 'shipping', 'total'].every(key => typeof order[key] === 'number');
+}
+
+/**
+ * Restaura el historial de pedidos guardado.
+ * @security Los datos de localStorage se tratan como no confiables: los pedidos con un formato inesperado se
+ *           descartan y los textos solo se muestran con `textContent`.
+ */
+export function restoreOrderHistory() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(ORDERS_STORAGE_KEY));
+    } catch (error) {
+        console.error("No se pudo leer el historial de pedidos:", error);
+    }
+    if (!stored || stored.version !== ORDERS_STORAGE_VERSION || !Array.isArray(stored.orders)) return;
+    orderHistory = stored.orders.filter(isValidOrder).slice(0, ORDER_HISTORY_LIMIT);
+    if (orderHistory.length !== stored.orders.length) saveOrderHistory();
+}
+
+/**
+ * Apunta un pedido confirmado (o puesto en cola sin conexión) en el historial.
+ * @param {Array<Object>} lines - Las líneas del pedido.
+ * @param {Object} totals - Los totales del pedido (ver `getCheckoutTotals` en checkout.js).
+ * @param {{id: string, total: number, queueId: (string|undefined)}} order - El pedido confirmado; `queueId` solo
+ *        si se puso en cola sin conexión.
+ */
+export function recordOrder(lines, totals, order) {
+    const entry = {
+        id: order.id,
+        queueId: order.queueId,
+        placedAt: Date.now(),
+        lines: lines.map(item => ({
+            id: item.id,
+            name: item.name,
+            variant: item.variant,
+            quantity: item.quantity,
+            price: item.price,
+            oldPrice: item.oldPrice,
+            image: item.image
+        })),
+        subtotal: totals.subtotal,
+        discount: totals.discount,
+        coupons: totals.coupons.map(result => result.code),
+        shipping: totals.shipping,
+        total: order.total
+    };
+    orderHistory = [entry, ...orderHistory].slice(0, ORDER_HISTORY_LIMIT);
+    saveOrderHistory();
+    if (activeRoute && activeRoute.name === 'orders') renderOrders();
+}
+
+/**
+ * Resuelve en el historial un pedido hecho sin conexión cuando la cola lo envía: si el servidor lo acepta,
+ * guarda el número que dio; si lo rechaza, lo quita (sus artículos vuelven al carrito).
+ * @param {string} queueId - El id de la entrada en la cola de pedidos.
+ * @param {?string} orderId - El número del pedido aceptado, o `null` si el servidor lo rechazó.
+ */
+export function settleQueuedOrder(queueId, orderId) {
+    const entry = orderHistory.find(order => order.queueId === queueId);
+    if (!entry) return;
+    if (orderId === null) {
+        orderHistory = orderHistory.filter(order => order !== entry);
+    } else {
+        entry.id = orderId;
+        delete entry.queueId;
+    }
+    saveOrderHistory();
+    if (activeRoute && activeRoute.name === 'orders') renderOrders();
+}
+
+/**
+ * Crea la tarjeta de un pedido del historial: fecha, artículos, totales y el botón "Volver a comprar".
+ * @param {Object} order - El pedido.
+ * @param {number} orderIndex - Su índice en `orderHistory`.
+ * @returns {HTMLElement} La tarjeta.
+ */
+function createOrderCard(order, orderIndex) {
+    const card = document.createElement('article');
+    card.className = 'order-card';
+
+    const header = document.createElement('header');
+    header.className = 'order-card-header';
+    const title = document.createElement('h3');
+    title.className = 'order-card-title';
+    title.textContent = order.id ? t('orders.number', { id: order.id }) : t('orders.offline');
+    header.appendChild(title);
+    const date = document.createElement('time');
+    date.className = 'order-card-date';
+    date.dateTime = new Date(order.placedAt).toISOString();
+    date.textContent = formatDate(order.placedAt);
+    header.appendChild(date);
+    card.appendChild(header);
+
+    const list = document.createElement('ul');
+    list.className = 'review-lines';
+    order.lines.forEach(line => {
+        const row = document.createElement('li');
+        row.className = 'review-line';
+        // El nombre ya describe el artículo: la imagen es decorativa.
+        row.appendChild(createProductImage(line.image, '', 'order-line-image'));
+        const name = document.createElement('span');
+        name.className = 'review-line-name';
+        name.textContent = `${line.name} · ${formatVariantName(line.variant)} × ${line.quantity}`;
+        row.appendChild(name);
+        const price = document.createElement('span');
+        price.textContent = formatPrice(line.price * line.quantity);
+        row.appendChild(price);
+        list.appendChild(row);
+    });
+    card.appendChild(list);
+
+    const totals = document.createElement('div');
+    totals.className = 'review-totals';
+    totals.appendChild(createSummaryRow(t('checkout.summary.subtotal'), formatPrice(order.subtotal)));
+    if (order.discount > 0) {
+        const codes = Array.isArray(order.coupons) ? order.coupons.join(', ') : '';
+        totals.appendChild(createSummaryRow(codes ? t('orders.discountWithCoupons', { codes }) : t('orders.discount'),
+            `-${formatPrice(order.discount)}`, 'summary-discount'));
+    }
+    totals.appendChild(createSummaryRow(t('checkout.summary.shipping'),
+        order.shipping === 0 ? t('checkout.free') : formatPrice(order.shipping)));
+    totals.appendChild(createSummaryRow(t('checkout.summary.total'), formatPrice(order.total), 'summary-total'));
+    card.appendChild(totals);
+
+    const actions = document.createElement('div');
+    actions.className = 'order-card-actions';
+    const reorderBtn = document.createElement('button');
+    reorderBtn.type = 'button';
+    reorderBtn.className = 'move-to-cart-btn';
+    reorderBtn.textContent = t('orders.reorder');
+    reorderBtn.setAttribute('aria-label', t('orders.reorderLabel', { order: title.textContent, date: date.textContent }));
+    reorderBtn.dataset.action = 'reorder';
+    reorderBtn.dataset.orderIndex = orderIndex;
+    actions.appendChild(reorderBtn);
+    card.appendChild(actions);
+    return card;
+}
+
+/**
+ * Renderiza la vista "Mis pedidos" (`#/orders`).
+ */
+export function renderOrders() {
+    const list = document.getElementById('ordersList');
+    if (!list) return;
+    list.innerHTML = '';
+    if (orderHistory.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty-cart';
+        empty.appendChild(createIcon(['fas', 'fa-receipt']));
+        const text = document.createElement('p');
+        text.textContent = t('orders.empty');
+        empty.appendChild(text);
+        list.appendChild(empty);
+        return;
+    }
+    orderHistory.forEach((order, orderIndex) => list.appendChild(createOrderCard(order, orderIndex)));
+}
+
+/**
+ * Vuelve a añadir al carrito los artículos de un pedido, unidad por unidad con `addToCart` (las mismas
+ * validaciones de variante y existencias que el botón "Añadir al carrito"). Al terminar avisa de los artículos
+ * que ya no están en el catálogo, de los que no tienen existencias suficientes y de los que cambiaron de precio
+ * desde la compra, y abre el carrito si se añadió algo.
+ * @param {number} orderIndex - El índice del pedido en `orderHistory`.
+ * @returns {Promise<void>}
+ */
+export async function reorder(orderIndex) {
+    const order = orderHistory[orderIndex];
+    if (!order) {
+        console.error("Pedido no encontrado:", orderIndex);
+        return;
+    }
+    // Los productos del pedido pueden estar en páginas del catálogo que aún no se han cargado.
+    try {
+        await loadProductsById(order.lines.map(line => line.id));
+    } catch (error) {
+        console.error("No se pudieron cargar los productos del pedido:", error);
+        showNotification(t('orders.reorderFailed'));
+        return;
+    }
+
+    const unavailable = [];
+    const limited = [];
+    const priceChanges = [];
+    let addedUnits = 0;
+    cartStore.batch(() => {
+        order.lines.forEach(line => {
+            const product = allProducts.find(p => p.id === line.id);
+            if (!product || !hasVariant(product, line.variant)) {
+                unavailable.push(line.name);
+                return;
+            }
+            let added = 0;
+            while (added < line.quantity && addToCart(product.id, line.variant)) added++;
+            addedUnits += added;
+            if (added < line.quantity) limited.push(line.name);
+
+            const currentPrice = createCartLine(product, line.variant, line.quantity).price;
+            if (added > 0 && currentPrice !== line.price) {
+                priceChanges.push(t('orders.priceChange', {
+                    name: line.name, before: formatPrice(line.price), now: formatPrice(currentPrice)
+                }));
+            }
+        });
+    });
+
+    const report = [
+        addedUnits > 0 ? t('orders.reordered', { count: addedUnits }) : t('orders.nothingAdded'),
+        unavailable.length > 0 ? t('orders.unavailable', { names: unavailable.join(', ') }) : '',
+        limited.length > 0 ? t('orders.limited', { names: limited.join(', ') }) : '',
+        priceChanges.length > 0 ? t('orders.priceChanged', { changes: priceChanges.join('; ') }) : ''
+    ].filter(Boolean);
+    if (addedUnits > 0) navigateTo('/cart');
+    // El aviso va después de navegar: `addToCart` ya mostró los suyos y este los reemplaza.
+    showNotification(report.join(' '), { duration: report.length > 1 ? REORDER_REPORT_DURATION_MS : undefined });
+}
@@ -0,0 +1,181 @@
+/**
+ * @file js/pickers.js
+ * @description Los selectores desplegables de las líneas del carrito (cantidad y variante).
+ */
+
+import { t } from './i18n.js';
+import { formatPrice } from './utils.js';
+import { createCartLine } from './cart-model.js';
+import { cartStore, setQty, changeVariant } from './cart.js';
+import { allProducts } from './catalog.js';
+
+/**
+ * @const {number} MAX_QUANTITY_OPTIONS
+ * @description Cantidad máxima ofrecida en la lista cuando la línea no declara existencias.
+ */
+const MAX_QUANTITY_OPTIONS = 10;
+
+/**
+ * @let {?Function} closeOpenPicker
+ * @description Cierra el selector desplegable abierto, si lo hay. Solo puede haber uno a la vez.
+ */
+let closeOpenPicker = null;
+
+/**
+ * @let {?Function} chooseOpenPickerOption
+ * @description Elige una opción del selector abierto por su posición (ver `choosePickerOption`).
+ */
+let chooseOpenPickerOption = null;
+
+/**
+ * Abre una lista de opciones accesible (patrón listbox de WAI-ARIA) debajo de un botón.
+ * Se maneja con el ratón o con el teclado: flechas, Inicio/Fin, Enter/Espacio para elegir y
+ * Escape o Tab para cerrar. Al cerrar, el foco vuelve al botón.
+ * @param {HTMLElement} anchor - El botón que abre la lista (con `aria-haspopup="listbox"`).
+ * @param {string} label - La etiqueta accesible de la lista.
+ * @param {Array<{value: *, label: string, disabled?: boolean}>} options - Las opciones.
+ * @param {*} selectedValue - El valor actualmente elegido.
+ * @param {Function} onSelect - Se llama con el valor elegido.
+ */
+export function openListboxPicker(anchor, label, options, selectedValue, onSelect) {
+    const wasOpenForAnchor = closeOpenPicker && anchor.getAttribute('aria-expanded') === 'true';
+    if (closeOpenPicker) closeOpenPicker();
+    if (wasOpenForAnchor) return; // Un segundo clic en el mismo botón solo cierra la lista.
+
+    // La lista se posiciona dentro de la línea del carrito para desplazarse con ella.
+    const host = anchor.closest('.cart-item') || document.body;
+    const listbox = document.createElement('ul');
+    listbox.className = 'picker-listbox';
+    listbox.setAttribute('role', 'listbox');
+    listbox.setAttribute('aria-label', label);
+    listbox.id = `picker-${Date.now()}`;
+
+    const optionElements = options.map((option, index) => {
+        const element = document.createElement('li');
+        element.className = 'picker-option';
+        element.setAttribute('role', 'option');
+        element.tabIndex = -1;
+        element.textContent = option.label;
+        element.setAttribute('aria-selected', String(option.value === selectedValue));
+        if (option.disabled) element.setAttribute('aria-disabled', 'true');
+        element.dataset.action = 'choose-picker-option';
+        element.dataset.optionIndex = index;
+        listbox.appendChild(element);
+        return element;
+    });
+
+    const hostRect = host.getBoundingClientRect();
+    const anchorRect = anchor.getBoundingClientRect();
+    listbox.style.top = `${anchorRect.bottom - hostRect.top + 4}px`;
+    listbox.style.left = `${Math.max(0, anchorRect.left - hostRect.left)}px`;
+    host.appendChild(listbox);
+
+    anchor.setAttribute('aria-expanded', 'true');
+    anchor.setAttribute('aria-controls', listbox.id);
+
+    function close(restoreFocus) {
+        listbox.remove();
+        anchor.setAttribute('aria-expanded', 'false');
+        anchor.removeAttribute('aria-controls');
+        document.removeEventListener('mousedown', onOutsideClick);
+        closeOpenPicker = null;
+        chooseOpenPickerOption = null;
+        if (restoreFocus) anchor.focus();
+    }
+
+    function choose(option) {
+        if (option.disabled) return;
+        close(true);
+        onSelect(option.value);
+    }
+
+    function onOutsideClick(event) {
+        if (!listbox.contains(event.target) && event.target !== anchor && !anchor.contains(event.target)) {
+            close(false);
+        }
+    }
+
+    listbox.addEventListener('keydown', event => {
+        const current = optionElements.indexOf(document.activeElement);
+        let next = null;
+        if (event.key === 'ArrowDown') next = Math.min(current + 1, optionElements.length - 1);
+        else if (event.key === 'ArrowUp') next = Math.max(current - 1, 0);
+        else if (event.key === 'Home') next = 0;
+        else if (event.key === 'End') next = optionElements.length - 1;
+        else if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            if (current > -1) choose(options[current]);
+            return;
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            close(true);
+            return;
+        } else if (event.key === 'Tab') {
+            close(false);
+            return;
+        }
+        if (next !== null) {
+            event.preventDefault();
+            optionElements[next].focus();
+        }
+    });
+
+    document.addEventListener('mousedown', onOutsideClick);
+    closeOpenPicker = () => close(false);
+    chooseOpenPickerOption = index => {
+        if (options[index]) choose(options[index]);
+    };
+
+    const selectedIndex = options.findIndex(option => option.value === selectedValue);
+    const initial = optionElements[selectedIndex > -1 ? selectedIndex : 0];
+    if (initial) {
+        initial.focus({ preventScroll: true });
+        initial.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+/**
+ * Elige la opción pulsada del selector abierto (acción `choose-picker-option`).
+ * @param {HTMLElement} element - La opción, con su posición en `data-option-index`.
+ */
+export function choosePickerOption(element) {
+    if (chooseOpenPickerOption) chooseOpenPickerOption(Number(element.dataset.optionIndex));
+}
+
+/**
+ * Abre la lista de variantes de una línea del carrito.
+ * @param {HTMLElement} anchor - El botón de la variante.
+ * @param {number} lineId - El ID de la línea del carrito.
+ */
+export function openVariantPicker(anchor, lineId) {
+    const item = cartStore.getLine(lineId);
+    const product = item && allProducts.find(p => p.id === item.id);
+    if (!product || !Array.isArray(product.variants)) return;
+
+    const options = product.variants.map(variant => {
+        const line = createCartLine(product, variant.name, 1);
+        const soldOut = line.stock === 0;
+        return {
+            value: variant.name,
+            label: `${variant.name} · ${formatPrice(line.price)}${soldOut ? ` · ${t('stock.soldOut')}` : ''}`,
+            disabled: soldOut
+        };
+    });
+    openListboxPicker(anchor, t('cart.variants'), options, item.variant, value => changeVariant(lineId, value));
+}
+
+/**
+ * Abre la lista de cantidades de una línea del carrito, limitada por sus existencias.
+ * @param {HTMLElement} anchor - El botón de la lista de cantidades.
+ * @param {number} lineId - El ID de la línea del carrito.
+ */
+export function openQuantityPicker(anchor, lineId) {
+    const item = cartStore.getLine(lineId);
+    if (!item) return;
+
+    const max = typeof item.stock === 'number'
+        ? Math.max(item.stock, 1)
+        : Math.max(MAX_QUANTITY_OPTIONS, item.quantity);
+    const options = Array.from({ length: max }, (_, i) => ({ value: i + 1, label: String(i + 1) }));
+    openListboxPicker(anchor, t('cart.quantity'), options, item.quantity, value => setQty(lineId, value));
+}
@@ -0,0 +1,253 @@
+/**
+ * @file js/recommendations.js
+ * @description Recomendaciones: vistos recientemente y comprados juntos.
+ */
+
+import { t } from './i18n.js';
+import { formatPrice, createIcon, createProductImage } from './utils.js';
+import { isVariantAvailable, getDefaultVariantName } from './cart-model.js';
+import { cartStore } from './cart.js';
+import { allProducts, isCatalogRefined } from './catalog.js';
+
+/**
+ * @const {string} RECENTLY_VIEWED_STORAGE_KEY
+ * @description Clave de localStorage con los productos vistos recientemente.
+ */
+export const RECENTLY_VIEWED_STORAGE_KEY = 'temu-clone:recently-viewed';
+
+/**
+ * @const {string} PURCHASE_HISTORY_STORAGE_KEY
+ * @description Clave de localStorage con los productos de cada pedido hecho en este navegador.
+ */
+const PURCHASE_HISTORY_STORAGE_KEY = 'temu-clone:purchase-history';
+
+/**
+ * @const {number} RECOMMENDATIONS_STORAGE_VERSION
+ * @description Versión del formato guardado del historial de vistos y de pedidos.
+ */
+const RECOMMENDATIONS_STORAGE_VERSION = 1;
+
+/**
+ * @const {number} RECENTLY_VIEWED_LIMIT
+ * @description Cuántos productos vistos se recuerdan.
+ */
+const RECENTLY_VIEWED_LIMIT = 12;
+
+/**
+ * @const {number} PURCHASE_HISTORY_LIMIT
+ * @description Cuántos pedidos se recuerdan para calcular qué se compra junto. Los más antiguos se olvidan.
+ */
+const PURCHASE_HISTORY_LIMIT = 50;
+
+/**
+ * @const {number} RAIL_SIZE
+ * @description Cuántos productos muestra como máximo cada carrusel de recomendaciones.
+ */
+const RAIL_SIZE = 8;
+
+/**
+ * @let {Array<number>} recentlyViewedIds
+ * @description Los IDs de los productos vistos en su página de detalle, del más reciente al más antiguo.
+ */
+let recentlyViewedIds = [];
+
+/**
+ * @let {Array<Array<number>>} purchaseHistory
+ * @description Los IDs de los productos de cada pedido, del más reciente al más antiguo.
+ */
+let purchaseHistory = [];
+
+/**
+ * Guarda una lista del historial de recomendaciones en localStorage.
+ * @param {string} key - `RECENTLY_VIEWED_STORAGE_KEY` o `PURCHASE_HISTORY_STORAGE_KEY`.
+ * @param {Array} items - Los datos a guardar.
+ */
+function saveRecommendationHistory(key, items) {
+    try {
+        localStorage.setItem(key, JSON.stringify({ version: RECOMMENDATIONS_STORAGE_VERSION, items }));
+    } catch (error) {
+        console.error("No se pudo guardar el historial de recomendaciones:", error);
+    }
+}
+
+/**
+ * Lee una lista del historial de recomendaciones, sin validar todavía su contenido.
+ * @param {string} key - `RECENTLY_VIEWED_STORAGE_KEY` o `PURCHASE_HISTORY_STORAGE_KEY`.
+ * @returns {?Array} Los datos guardados, o `null` si no hay datos válidos.
+ */
+export function loadRecommendationHistory(key) {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+        console.error("No se pudo leer el historial de recomendaciones:", error);
+    }
+    if (!stored || stored.version !== RECOMMENDATIONS_STORAGE_VERSION || !Array.isArray(stored.items)) return null;
+    return stored.items;
+}
+
+/**
+ * Restaura los productos vistos y los pedidos anteriores.
+ * @security Los datos de localStorage se tratan como no confiables: solo se conservan IDs enteros. Los que no
+ *           están en el catálogo se descartan al mostrar las recomendaciones.
+ */
+export function restoreRecommendationHistory() {
+    const viewed = loadRecommendationHistory(RECENTLY_VIEWED_STORAGE_KEY) || [];
+    recentlyViewedIds = [...new Set(viewed.filter(Number.isInteger))].slice(0, RECENTLY_VIEWED_LIMIT);
+    const orders = loadRecommendationHistory(PURCHASE_HISTORY_STORAGE_KEY) || [];
+    purchaseHistory = orders
+        .filter(Array.isArray)
+        .map(ids => [...new Set(ids.filter(Number.isInteger))])
+        .filter(ids => ids.length > 0)
+        .slice(0, PURCHASE_HISTORY_LIMIT);
+}
+
+/**
+ * Apunta que se vio la página de detalle de un producto.
+ * @param {number} productId - El ID del producto.
+ */
+export function recordProductView(productId) {
+    if (recentlyViewedIds[0] === productId) return;
+    recentlyViewedIds = [productId, ...recentlyViewedIds.filter(id => id !== productId)].slice(0, RECENTLY_VIEWED_LIMIT);
+    saveRecommendationHistory(RECENTLY_VIEWED_STORAGE_KEY, recentlyViewedIds);
+}
+
+/**
+ * Apunta los productos de un pedido hecho (o puesto en cola sin conexión) para las recomendaciones.
+ * @param {Array<Object>} lines - Las líneas del pedido.
+ */
+export function recordPurchase(lines) {
+    const ids = [...new Set(lines.map(line => line.id))];
+    if (ids.length === 0) return;
+    purchaseHistory = [ids, ...purchaseHistory].slice(0, PURCHASE_HISTORY_LIMIT);
+    saveRecommendationHistory(PURCHASE_HISTORY_STORAGE_KEY, purchaseHistory);
+}
+
+/**
+ * Indica si un producto se puede añadir al carrito desde una recomendación.
+ * @param {Object} product - El producto del catálogo.
+ * @returns {boolean} `true` si su variante por defecto tiene existencias.
+ */
+function isProductAvailable(product) {
+    return isVariantAvailable(product, getDefaultVariantName(product));
+}
+
+/**
+ * Devuelve los productos vistos recientemente que siguen en el catálogo.
+ * @returns {Array<Object>} Hasta `RAIL_SIZE` productos, del más reciente al más antiguo.
+ */
+function getRecentlyViewedProducts() {
+    return recentlyViewedIds
+        .map(id => allProducts.find(p => p.id === id))
+        .filter(Boolean)
+        .slice(0, RAIL_SIZE);
+}
+
+/**
+ * Elige productos que suelen comprarse con los del carrito. Cada producto gana un punto por cada pedido
+ * anterior en el que aparece junto a uno de los del carrito. Si no hay historial suficiente, se completa con
+ * productos de la misma marca y, después, con la misma etiqueta.
+ * @param {Array<number>} cartIds - Los IDs de los productos del carrito.
+ * @returns {Array<Object>} Hasta `RAIL_SIZE` productos con existencias que no están en el carrito.
+ */
+function getFrequentlyBoughtTogether(cartIds) {
+    if (cartIds.length === 0) return [];
+    const isCandidate = product => !cartIds.includes(product.id) && isProductAvailable(product);
+
+    const scores = new Map();
+    purchaseHistory.forEach(order => {
+        const matches = order.filter(id => cartIds.includes(id)).length;
+        if (matches === 0) return;
+        order.forEach(id => {
+            if (!cartIds.includes(id)) scores.set(id, (scores.get(id) || 0) + matches);
+        });
+    });
+    // Los productos de pedidos anteriores que aún no se han cargado del catálogo se omiten.
+    const picked = [...scores.keys()]
+        .sort((a, b) => scores.get(b) - scores.get(a))
+        .map(id => allProducts.find(p => p.id === id))
+        .filter(product => product && isCandidate(product));
+
+    const cartProducts = cartIds.map(id => allProducts.find(p => p.id === id)).filter(Boolean);
+    const brands = new Set(cartProducts.map(product => product.brand).filter(Boolean));
+    const badges = new Set(cartProducts.map(product => product.badge).filter(Boolean));
+    const fallbacks = [
+        ...allProducts.filter(product => brands.has(product.brand)),
+        ...allProducts.filter(product => badges.has(product.badge))
+    ];
+    fallbacks.forEach(product => {
+        if (isCandidate(product) && !picked.includes(product)) picked.push(product);
+    });
+    return picked.slice(0, RAIL_SIZE);
+}
+
+/**
+ * Construye un producto de un carrusel de recomendaciones.
+ * @param {Object} product - El producto.
+ * @returns {HTMLElement} El elemento del carrusel.
+ */
+function createRailItem(product) {
+    const item = document.createElement('li');
+    item.className = 'rail-item';
+
+    const link = document.createElement('a');
+    link.className = 'rail-link';
+    link.href = `#/product/${product.id}`;
+    // El nombre ya está en el enlace: la imagen es decorativa.
+    link.appendChild(createProductImage(product.image, '', 'rail-image'));
+    const name = document.createElement('span');
+    name.className = 'rail-name';
+    name.textContent = product.name;
+    link.appendChild(name);
+    item.appendChild(link);
+
+    const footer = document.createElement('div');
+    footer.className = 'rail-footer';
+    const price = document.createElement('span');
+    price.className = 'current-price';
+    price.textContent = formatPrice(product.price);
+    footer.appendChild(price);
+
+    const isSoldOut = !isProductAvailable(product);
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'rail-add';
+    addBtn.disabled = isSoldOut;
+    addBtn.setAttribute('aria-label', isSoldOut ? t('stock.soldOut') : t('recommendations.add', { name: product.name }));
+    addBtn.dataset.action = 'add-to-cart';
+    addBtn.dataset.productId = product.id;
+    addBtn.appendChild(createIcon(['fas', 'fa-cart-plus']));
+    footer.appendChild(addBtn);
+    item.appendChild(footer);
+    return item;
+}
+
+/**
+ * Llena un carrusel de recomendaciones y lo oculta si no tiene productos.
+ * @param {string} sectionId - El ID de la sección del carrusel.
+ * @param {string} listId - El ID de su lista.
+ * @param {Array<Object>} products - Los productos a mostrar.
+ */
+function renderRail(sectionId, listId, products) {
+    const section = document.getElementById(sectionId);
+    const list = document.getElementById(listId);
+    if (!section || !list) return;
+    section.hidden = products.length === 0;
+    list.replaceChildren(...products.map(createRailItem));
+}
+
+/**
+ * Renderiza el carrusel "Vistos recientemente" del catálogo. Se oculta mientras hay búsqueda, orden o filtros
+ * para que los resultados queden arriba.
+ */
+export function renderRecentlyViewed() {
+    renderRail('recentlyViewedRail', 'recentlyViewedList', isCatalogRefined() ? [] : getRecentlyViewedProducts());
+}
+
+/**
+ * Renderiza el carrusel "Comprados juntos frecuentemente" del carrito. Está suscrita a `cartStore`.
+ */
+export function renderBoughtTogether() {
+    const cartIds = [...new Set(cartStore.getLines().map(line => line.id))];
+    renderRail('boughtTogetherRail', 'boughtTogetherList', getFrequentlyBoughtTogether(cartIds));
+}
@@ -0,0 +1,341 @@
+/**
+ * @file js/render.js
+ * @description Renderizado de la cuadrícula de productos y de las líneas del carrito (a prueba de XSS: el DOM se
+ * construye con `createElement` y `textContent`).
+ */
+
+import { localeSignature, t, formatSales, formatVariantName } from './i18n.js';
+import { formatPrice, createIcon, createStars, normalizeText, createProductImage, reconcileList } from './utils.js';
+import { getStock, isLineSoldOut, getDefaultVariantName } from './cart-model.js';
+import { cartStore, getStockState, getSelectableLineIds } from './cart.js';
+import {
+    searchQuery, getSearchTerms, getVisibleProducts, appendHighlightedText, createEmptyResults, hasActiveFilters
+} from './search.js';
+import { createWishlistToggle } from './wishlist.js';
+import { allProducts, CATALOG_SKELETON_COUNT, catalogPaging, createSkeletonCard } from './catalog.js';
+import { createCompareToggle } from './compare.js';
+
+/**
+ * Renderiza la cuadrícula de productos en el DOM.
+ * Esta función construye elementos del DOM programáticamente para prevenir vulnerabilidades XSS.
+ */
+export function renderProducts() {
+    const grid = document.getElementById('productGrid');
+    if (!grid) return;
+
+    const terms = getSearchTerms(searchQuery);
+    const visibleProducts = getVisibleProducts();
+
+    // Solo se reconstruyen las tarjetas nuevas o cuyo resaltado de búsqueda cambió: la firma incluye
+    // únicamente los términos que aparecen en la tarjeta.
+    reconcileList(grid, visibleProducts, {
+        key: product => product.id,
+        signature: product => {
+            const text = normalizeText(`${product.name} ${product.brand || ''}`);
+            return [product, terms.filter(term => text.includes(term)).join(' '), localeSignature];
+        },
+        create: product => createProductCard(product, terms)
+    });
+
+    // Mientras llega una página del catálogo se muestran tarjetas de carga al final de la cuadrícula.
+    if (catalogPaging.loading) {
+        for (let i = 0; i < CATALOG_SKELETON_COUNT; i++) grid.appendChild(createSkeletonCard());
+    } else if (visibleProducts.length === 0 && (terms.length > 0 || hasActiveFilters())) {
+        grid.appendChild(createEmptyResults());
+    }
+}
+
+/**
+ * Construye la tarjeta de un producto de la cuadrícula.
+ * @param {Object} product - El producto.
+ * @param {Array<string>} terms - Los términos de búsqueda a resaltar.
+ * @returns {HTMLElement} La tarjeta.
+ */
+function createProductCard(product, terms) {
+    const card = document.createElement('div');
+    card.className = 'product-card';
+    card.dataset.productId = product.id;
+
+    // La imagen (y el icono de video) enlazan a la página de detalle del producto.
+    const imageContainer = document.createElement('a');
+    imageContainer.className = 'product-link';
+    imageContainer.href = `#/product/${product.id}`;
+    imageContainer.style.position = 'relative';
+    imageContainer.appendChild(createProductImage(product.image, product.name, 'product-image'));
+
+    if (product.hasVideo) {
+        const videoIcon = document.createElement('div');
+        videoIcon.className = 'product-video-icon';
+        videoIcon.appendChild(createIcon(['fas', 'fa-play'])); // Creación segura de icono
+        imageContainer.appendChild(videoIcon);
+    }
+    card.appendChild(imageContainer);
+    card.appendChild(createWishlistToggle(product));
+
+    const info = document.createElement('div');
+    info.className = 'product-info';
+
+    if (product.brand) {
+        const brand = document.createElement('div');
+        brand.className = 'brand';
+        brand.textContent = `${t('product.brand')} `;
+        appendHighlightedText(brand, product.brand, terms);
+        info.appendChild(brand);
+    }
+
+    if (product.badge) {
+        const badgeContainer = document.createElement('div');
+        badgeContainer.className = 'badge-container';
+        const badge = document.createElement('span');
+        badge.className = `badge ${product.badgeType === 'bf' ? 'badge-bf' : 'badge-stock'}`;
+        badge.textContent = product.badge;
+        badgeContainer.appendChild(badge);
+        info.appendChild(badgeContainer);
+    }
+
+    const title = document.createElement('a');
+    title.className = 'product-title';
+    title.href = `#/product/${product.id}`;
+    appendHighlightedText(title, product.name, terms);
+    info.appendChild(title);
+
+    const rating = document.createElement('div');
+    rating.className = 'rating';
+    rating.appendChild(createStars(product.rating));
+
+    rating.appendChild(createIcon(['fas', 'fa-fire', 'fire-icon']));
+
+    const sales = document.createElement('span');
+    sales.className = 'sales';
+    sales.textContent = formatSales(product.sales);
+    rating.appendChild(sales);
+    info.appendChild(rating);
+
+    const priceContainer = document.createElement('div');
+    priceContainer.className = 'price-container';
+    const currentPrice = document.createElement('span');
+    currentPrice.className = 'current-price';
+    currentPrice.textContent = formatPrice(product.price);
+    priceContainer.appendChild(currentPrice);
+    const oldPrice = document.createElement('span');
+    oldPrice.className = 'old-price';
+    oldPrice.textContent = formatPrice(product.oldPrice);
+    priceContainer.appendChild(oldPrice);
+    info.appendChild(priceContainer);
+    info.appendChild(createCompareToggle(product));
+
+    const stockState = getStockState(getStock(product, getDefaultVariantName(product)));
+    if (stockState) {
+        const stockLabel = document.createElement('div');
+        stockLabel.className = `stock-state stock-${stockState.status}`;
+        stockLabel.textContent = stockState.label;
+        info.appendChild(stockLabel);
+    }
+    const isSoldOut = Boolean(stockState) && stockState.status === 'sold-out';
+    card.classList.toggle('is-sold-out', isSoldOut);
+
+    const addToCartBtn = document.createElement('button');
+    addToCartBtn.className = 'add-to-cart';
+    addToCartBtn.title = isSoldOut ? t('stock.soldOut') : t('product.addToCart');
+    addToCartBtn.disabled = isSoldOut;
+    addToCartBtn.dataset.action = 'add-to-cart';
+    addToCartBtn.dataset.productId = product.id;
+    addToCartBtn.appendChild(createIcon(['fas', 'fa-shopping-cart'])); // Creación segura de icono
+    info.appendChild(addToCartBtn);
+
+    card.appendChild(info);
+    return card;
+}
+
+/**
+ * Renderiza los artículos en el carrito de compras en el DOM.
+ * Construye el DOM de forma segura para evitar XSS. Está suscrita a `cartStore`, así que no hace falta
+ * llamarla después de modificar el carrito.
+ */
+export function renderCartItems() {
+    const container = document.getElementById('cartItemsList');
+    const selectAllCheckbox = document.getElementById('selectAllCheckbox');
+    if (!container || !selectAllCheckbox) return;
+    
+    // Solo se reconstruyen las líneas que cambiaron; cada cambio en el almacén produce una línea nueva.
+    const lines = cartStore.getLines();
+    reconcileList(container, lines, {
+        key: item => item.lineId,
+        signature: item => [item, cartStore.isSelected(item.lineId), localeSignature],
+        create: createCartLineElement
+    });
+
+    if (lines.length === 0) {
+        const emptyCartDiv = document.createElement('div');
+        emptyCartDiv.className = 'empty-cart';
+        emptyCartDiv.appendChild(createIcon(['fas', 'fa-shopping-cart']));
+        const emptyText = document.createElement('p');
+        emptyText.textContent = t('cart.empty');
+        emptyCartDiv.appendChild(emptyText);
+        container.appendChild(emptyCartDiv);
+    }
+
+    // Actualizar el estado del checkbox "Seleccionar todos"
+    const selectable = getSelectableLineIds();
+    const allSelected = selectable.length > 0 && selectable.every(lineId => cartStore.isSelected(lineId));
+    selectAllCheckbox.classList.toggle('checked', allSelected);
+    selectAllCheckbox.setAttribute('aria-checked', String(allSelected));
+}
+
+/**
+ * Construye el elemento de una línea del carrito.
+ * @param {Object} item - La línea del carrito.
+ * @returns {HTMLElement} El elemento de la línea.
+ */
+function createCartLineElement(item) {
+    const cartItem = document.createElement('div');
+    cartItem.className = 'cart-item';
+    cartItem.dataset.lineId = item.lineId;
+    const soldOut = isLineSoldOut(item);
+    cartItem.classList.toggle('is-sold-out', soldOut);
+
+    // Checkbox: un botón con rol de casilla, para que se alcance con Tab y anuncie si está marcado.
+    // Una línea agotada sigue siendo enfocable (`aria-disabled`) para que al pulsarla se explique por qué.
+    const itemCheckboxContainer = document.createElement('div');
+    itemCheckboxContainer.className = 'item-checkbox';
+    const selected = cartStore.isSelected(item.lineId);
+    const checkbox = document.createElement('button');
+    checkbox.type = 'button';
+    checkbox.className = `checkbox ${selected ? 'checked' : ''} ${soldOut ? 'disabled' : ''}`;
+    checkbox.setAttribute('role', 'checkbox');
+    checkbox.setAttribute('aria-checked', String(selected));
+    checkbox.setAttribute('aria-label', t('cart.selectItem', { name: item.name }));
+    if (soldOut) checkbox.setAttribute('aria-disabled', 'true');
+    checkbox.dataset.action = 'toggle-item';
+    checkbox.dataset.lineId = item.lineId;
+    checkbox.appendChild(createIcon(['fas', 'fa-check']));
+    itemCheckboxContainer.appendChild(checkbox);
+    cartItem.appendChild(itemCheckboxContainer);
+
+    // Imagen
+    const imageContainer = document.createElement('div');
+    imageContainer.style.position = 'relative';
+    imageContainer.appendChild(createProductImage(item.image, item.name, 'item-image'));
+    const stockState = getStockState(item.stock);
+    if (stockState) {
+        const stockBadge = document.createElement('div');
+        stockBadge.className = `stock-badge stock-${stockState.status}`;
+        stockBadge.textContent = stockState.label;
+        imageContainer.appendChild(stockBadge);
+    }
+    cartItem.appendChild(imageContainer);
+
+    // Detalles
+    const itemDetails = document.createElement('div');
+    itemDetails.className = 'item-details';
+    
+    const title = document.createElement('div');
+    title.className = 'item-title';
+    title.textContent = item.name;
+    itemDetails.appendChild(title);
+
+    const product = allProducts.find(p => p.id === item.id);
+    const hasVariants = Boolean(product) && Array.isArray(product.variants) && product.variants.length > 1;
+    const variant = document.createElement(hasVariants ? 'button' : 'div');
+    variant.className = 'item-variant';
+    variant.textContent = formatVariantName(item.variant);
+    if (hasVariants) {
+        variant.type = 'button';
+        variant.setAttribute('aria-haspopup', 'listbox');
+        variant.setAttribute('aria-expanded', 'false');
+        variant.setAttribute('aria-label', t('cart.changeVariant', { variant: formatVariantName(item.variant) }));
+        variant.dataset.action = 'open-variant-picker';
+        variant.dataset.lineId = item.lineId;
+        const variantIcon = createIcon(['fas', 'fa-chevron-down']);
+        variantIcon.style.fontSize = '10px';
+        variant.appendChild(variantIcon);
+    }
+    itemDetails.appendChild(variant);
+
+    if (item.badge) {
+        const badge = document.createElement('div');
+        badge.className = `item-label ${item.badgeType}`;
+        badge.textContent = item.badge;
+        itemDetails.appendChild(badge);
+    }
+
+    // Fila de precios
+    const priceRow = document.createElement('div');
+    priceRow.className = 'item-price-row';
+    const itemPrice = document.createElement('div');
+    itemPrice.className = 'item-price';
+    const currentPrice = document.createElement('span');
+    currentPrice.className = 'current-price';
+    currentPrice.textContent = formatPrice(item.price);
+    itemPrice.appendChild(currentPrice);
+    const oldPrice = document.createElement('span');
+    oldPrice.className = 'old-price';
+    oldPrice.textContent = formatPrice(item.oldPrice);
+    itemPrice.appendChild(oldPrice);
+    priceRow.appendChild(itemPrice);
+
+    // Selector de cantidad
+    const quantitySelector = document.createElement('div');
+    quantitySelector.className = 'quantity-selector';
+    quantitySelector.setAttribute('role', 'group');
+    quantitySelector.setAttribute('aria-label', t('cart.quantity'));
+    const minusBtn = document.createElement('button');
+    minusBtn.type = 'button';
+    minusBtn.className = 'qty-btn';
+    minusBtn.textContent = '−';
+    minusBtn.setAttribute('aria-label', t('cart.decreaseQuantity', { name: item.name }));
+    minusBtn.dataset.action = 'change-quantity';
+    minusBtn.dataset.lineId = item.lineId;
+    minusBtn.dataset.delta = -1;
+    quantitySelector.appendChild(minusBtn);
+
+    const qtyDisplay = document.createElement('div');
+    qtyDisplay.className = 'qty-display';
+    qtyDisplay.textContent = item.quantity;
+    quantitySelector.appendChild(qtyDisplay);
+
+    const plusBtn = document.createElement('button');
+    plusBtn.type = 'button';
+    plusBtn.className = 'qty-btn';
+    plusBtn.textContent = '+';
+    plusBtn.setAttribute('aria-label', t('cart.increaseQuantity', { name: item.name }));
+    plusBtn.dataset.action = 'change-quantity';
+    plusBtn.dataset.lineId = item.lineId;
+    plusBtn.dataset.delta = 1;
+    quantitySelector.appendChild(plusBtn);
+    
+    const qtyMenuBtn = document.createElement('button');
+    qtyMenuBtn.type = 'button';
+    qtyMenuBtn.className = 'qty-menu-btn';
+    qtyMenuBtn.setAttribute('aria-haspopup', 'listbox');
+    qtyMenuBtn.setAttribute('aria-expanded', 'false');
+    qtyMenuBtn.setAttribute('aria-label', t('cart.chooseQuantity'));
+    qtyMenuBtn.dataset.action = 'open-quantity-picker';
+    qtyMenuBtn.dataset.lineId = item.lineId;
+    qtyMenuBtn.appendChild(createIcon(['fas', 'fa-chevron-down']));
+    quantitySelector.appendChild(qtyMenuBtn);
+
+    priceRow.appendChild(quantitySelector);
+    itemDetails.appendChild(priceRow);
+
+    const saveLaterBtn = document.createElement('button');
+    saveLaterBtn.type = 'button';
+    saveLaterBtn.className = 'save-later-btn';
+    saveLaterBtn.textContent = t('cart.saveForLater');
+    saveLaterBtn.dataset.action = 'save-for-later';
+    saveLaterBtn.dataset.lineId = item.lineId;
+    itemDetails.appendChild(saveLaterBtn);
+    cartItem.appendChild(itemDetails);
+
+    // Botón de eliminar
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'delete-btn';
+    deleteBtn.setAttribute('aria-label', t('cart.removeItem', { name: item.name }));
+    deleteBtn.dataset.action = 'remove-item';
+    deleteBtn.dataset.lineId = item.lineId;
+    deleteBtn.appendChild(createIcon(['fas', 'fa-trash-alt']));
+    cartItem.appendChild(deleteBtn);
+
+    return cartItem;
+}
@@ -0,0 +1,197 @@
+/**
+ * @file js/router.js
+ * @description Enrutador por hash: cada ruta (`#/`, `#/product/:id`, `#/cart`...) muestra su vista y recuerda el
+ * desplazamiento de la anterior.
+ */
+
+import { debounce } from './utils.js';
+import { VIEWS, showView } from './ui.js';
+import { readCatalogState, renderCatalog } from './search.js';
+import { renderProductDetail } from './detail.js';
+import { checkoutState, renderCheckout } from './checkout.js';
+import { renderWishlist } from './wishlist.js';
+import { renderComparison } from './compare.js';
+import { renderOrders } from './orders.js';
+
+/**
+ * @const {Array<{name: string, pattern: RegExp, view: string}>} ROUTES
+ * @description Las rutas conocidas. El primer grupo capturado de `pattern` se pasa como parámetro de la ruta.
+ */
+const ROUTES = [
+    { name: 'home', pattern: /^\/$/, view: 'products' },
+    { name: 'search', pattern: /^\/search$/, view: 'products' },
+    { name: 'cart', pattern: /^\/cart$/, view: 'cart' },
+    { name: 'checkout', pattern: /^\/checkout$/, view: 'checkout' },
+    { name: 'product', pattern: /^\/product\/(\d+)$/, view: 'product' },
+    { name: 'wishlist', pattern: /^\/wishlist$/, view: 'wishlist' },
+    { name: 'compare', pattern: /^\/compare$/, view: 'compare' },
+    { name: 'orders', pattern: /^\/orders$/, view: 'orders' }
+];
+
+/**
+ * @const {Object<string, number>} routeScrollPositions
+ * @description Última posición de scroll conocida por ruta, para restaurarla al volver.
+ */
+const routeScrollPositions = {};
+
+/**
+ * @let {?{name: string, path: string, view: string, depth: number}} activeRoute
+ * @description La ruta que está mostrando la aplicación, o `null` antes de la primera navegación.
+ */
+export let activeRoute = null;
+
+/**
+ * @let {string} lastHandledHash
+ * @description El último hash procesado, para no procesar dos veces el mismo cambio
+ * (el navegador dispara `popstate` y `hashchange` para una misma navegación).
+ */
+let lastHandledHash = null;
+
+/**
+ * Interpreta el hash actual como una ruta (ej. "#/search?q=led").
+ * @returns {{path: string, params: URLSearchParams}} La ruta y sus parámetros.
+ */
+export function getCurrentRoute() {
+    const hash = window.location.hash.replace(/^#/, '') || '/';
+    const [path, query = ''] = hash.split('?');
+    return { path: path || '/', params: new URLSearchParams(query) };
+}
+
+/**
+ * Construye el hash de una ruta.
+ * @param {string} path - La ruta (ej. "/cart").
+ * @param {URLSearchParams} [params] - Los parámetros opcionales.
+ * @returns {string} El hash, incluido el "#".
+ */
+function buildRouteHash(path, params) {
+    const query = params ? params.toString() : '';
+    return `#${path}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Navega a una ruta de la aplicación.
+ * @param {string} path - La ruta destino (ej. "/", "/cart", "/product/3").
+ * @param {{params?: URLSearchParams, replace?: boolean}} [options] - Parámetros de la ruta y si se
+ *        reemplaza la entrada actual del historial en lugar de crear una nueva.
+ * @returns {boolean} `true` si la ruta cambió y se renderizó la nueva vista.
+ */
+export function navigateTo(path, options = {}) {
+    const hash = buildRouteHash(path, options.params);
+    if (hash === window.location.hash || (hash === '#/' && !window.location.hash)) {
+        return false;
+    }
+    rememberScrollPosition();
+    if (options.replace) {
+        // Se conserva la profundidad de la entrada reemplazada.
+        window.history.replaceState(window.history.state, '', hash);
+    } else {
+        window.history.pushState(null, '', hash);
+    }
+    handleRouteChange();
+    return true;
+}
+
+/**
+ * Vuelve a la pantalla anterior, o a la portada si la página se abrió directamente en esta ruta.
+ * `history.state.depth` cuenta las rutas de la aplicación visitadas antes de la actual, para
+ * que "Volver" nunca saque al usuario de la tienda.
+ */
+export function goBack() {
+    const state = window.history.state;
+    if (state && state.depth > 0) {
+        window.history.back();
+    } else {
+        navigateTo('/', { replace: true });
+    }
+}
+
+/**
+ * Guarda la posición de scroll de la ruta activa.
+ */
+function rememberScrollPosition() {
+    if (activeRoute) {
+        routeScrollPositions[activeRoute.path] = window.scrollY;
+    }
+}
+
+/**
+ * Muestra la vista de la ruta actual, restaura su scroll y mueve el foco a la nueva vista.
+ * Las rutas desconocidas se redirigen a la portada.
+ */
+function handleRouteChange() {
+    if (window.location.hash === lastHandledHash) return;
+    lastHandledHash = window.location.hash;
+
+    const { path, params } = getCurrentRoute();
+    const route = ROUTES.find(r => r.pattern.test(path));
+    if (!route) {
+        navigateTo('/', { replace: true });
+        return;
+    }
+
+    const previousRoute = activeRoute;
+    const state = window.history.state;
+    if (!state || typeof state.depth !== 'number') {
+        // Entrada nueva (navigateTo o un enlace "#/..."): queda un nivel por debajo de la anterior.
+        const depth = previousRoute ? previousRoute.depth + 1 : 0;
+        window.history.replaceState({ depth }, '', window.location.hash || '#/');
+    }
+    activeRoute = { name: route.name, path, view: route.view, depth: window.history.state.depth };
+    showView(route.view);
+
+    if (route.view === 'products') {
+        readCatalogState(params);
+        renderCatalog();
+    }
+
+    if (route.name === 'product') {
+        renderProductDetail(Number(route.pattern.exec(path)[1]), params.get('variant'));
+    } else if (route.name === 'checkout') {
+        renderCheckout();
+    } else if (route.name === 'wishlist') {
+        renderWishlist();
+    } else if (route.name === 'compare') {
+        renderComparison();
+    } else if (route.name === 'orders') {
+        renderOrders();
+    } else if (previousRoute && previousRoute.name === 'checkout' && checkoutState.step === 'done') {
+        // Al salir de la confirmación, el siguiente checkout empieza de nuevo.
+        checkoutState.step = 'address';
+    }
+
+    // La vista pudo redirigir a otra ruta (ej. checkout sin artículos), que ya se encargó del resto.
+    if (window.location.hash !== lastHandledHash) return;
+
+    window.scrollTo(0, routeScrollPositions[path] || 0);
+
+    // En la carga inicial el foco se deja donde el navegador lo pone; al cambiar de vista se mueve
+    // a la nueva para que los lectores de pantalla y el teclado continúen desde allí.
+    if (previousRoute && previousRoute.view !== route.view) {
+        const container = document.getElementById(VIEWS[route.view].container);
+        // Si la vista ya movió el foco a uno de sus elementos (ej. el título del paso), se respeta.
+        if (container && !container.contains(document.activeElement)) {
+            container.focus({ preventScroll: true });
+        }
+    }
+}
+
+/**
+ * Inicializa el enrutador: escucha el historial y muestra la ruta de la URL actual.
+ * Los enlaces antiguos con la búsqueda en la query (`?q=led`) se trasladan a `#/search?q=led`.
+ */
+export function initRouter() {
+    if ('scrollRestoration' in window.history) {
+        window.history.scrollRestoration = 'manual';
+    }
+
+    const legacyParams = new URLSearchParams(window.location.search);
+    if (!window.location.hash && [...legacyParams.keys()].length > 0) {
+        const path = legacyParams.get('q') ? '/search' : '/';
+        window.history.replaceState(null, '', window.location.pathname + buildRouteHash(path, legacyParams));
+    }
+
+    window.addEventListener('popstate', handleRouteChange);
+    window.addEventListener('hashchange', handleRouteChange);
+    window.addEventListener('scroll', debounce(rememberScrollPosition, 100), { passive: true });
+    handleRouteChange();
+}
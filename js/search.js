@@ -0,0 +1,602 @@
+/**
+ * @file js/search.js
+ * @description Búsqueda, orden y filtros del catálogo, y su reflejo en la URL (`#/search?q=...&sort=...`).
+ */
+
+import { t, getCurrencyInfo, convertFromBaseCurrency, convertToBaseCurrency, roundCurrencyAmount } from './i18n.js';
+import { formatPrice, createIcon, debounce, normalizeText } from './utils.js';
+import { renderProducts } from './render.js';
+import { getCurrentRoute, navigateTo } from './router.js';
+import { listedProducts, catalogPaging, catalogFacets, requestRemainingProducts, isCatalogRefined } from './catalog.js';
+import { renderRecentlyViewed } from './recommendations.js';
+
+// ===================================================================
+// BÚSQUEDA
+// ===================================================================
+
+/**
+ * @let {string} searchQuery
+ * @description El texto de búsqueda actual, tal como lo escribió el usuario.
+ */
+export let searchQuery = '';
+
+/**
+ * @const {number} SEARCH_DEBOUNCE_MS
+ * @description Espera entre la última tecla y la búsqueda, para no re-renderizar en cada pulsación.
+ */
+const SEARCH_DEBOUNCE_MS = 250;
+
+/**
+ * Divide una búsqueda en términos normalizados.
+ * @param {string} query - El texto de búsqueda.
+ * @returns {Array<string>} Los términos sin tildes ni mayúsculas.
+ */
+export function getSearchTerms(query) {
+    return normalizeText(query).split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Calcula la relevancia de un producto para los términos dados.
+ * Todos los términos deben aparecer en el nombre o la marca; las coincidencias en el nombre
+ * y al inicio de una palabra pesan más.
+ * @param {Object} product - El producto a evaluar.
+ * @param {Array<string>} terms - Los términos normalizados.
+ * @returns {number} La puntuación, o 0 si el producto no coincide.
+ */
+function scoreProduct(product, terms) {
+    const name = normalizeText(product.name);
+    const brand = product.brand ? normalizeText(product.brand) : '';
+    let score = 0;
+
+    for (const term of terms) {
+        const nameIndex = name.indexOf(term);
+        if (nameIndex === 0) {
+            score += 100;
+        } else if (nameIndex > 0) {
+            score += /\s/.test(name[nameIndex - 1]) ? 50 : 20;
+        } else if (brand.includes(term)) {
+            score += brand.startsWith(term) ? 15 : 10;
+        } else {
+            return 0;
+        }
+    }
+    return score;
+}
+
+/**
+ * Devuelve los productos que deben mostrarse en la cuadrícula según la búsqueda, los filtros y el orden actuales.
+ * Con el orden "recomendados" se usa la relevancia de la búsqueda o, sin búsqueda, el orden del catálogo.
+ * @returns {Array<Object>} Los productos visibles.
+ */
+export function getVisibleProducts() {
+    const terms = getSearchTerms(searchQuery);
+
+    const entries = listedProducts
+        .map((product, index) => ({
+            product,
+            index,
+            score: terms.length > 0 ? scoreProduct(product, terms) : 1
+        }))
+        .filter(entry => entry.score > 0 && matchesFilters(entry.product, catalogFilters));
+
+    const compare = SORT_OPTIONS[catalogSort] ? SORT_OPTIONS[catalogSort].compare : null;
+    // A igual criterio se mantiene el orden original del catálogo.
+    entries.sort((a, b) => (compare ? compare(a.product, b.product) : b.score - a.score) || a.index - b.index);
+    return entries.map(entry => entry.product);
+}
+
+/**
+ * Añade `text` a `element` envolviendo en <mark> los fragmentos que coinciden con los términos.
+ * @param {HTMLElement} element - El contenedor donde se añade el texto.
+ * @param {string} text - El texto original (con tildes).
+ * @param {Array<string>} terms - Los términos normalizados a resaltar.
+ * @security Se construyen nodos de texto y elementos <mark>, nunca HTML, por lo que el
+ *           contenido del catálogo o de la búsqueda no puede inyectar marcado.
+ */
+export function appendHighlightedText(element, text, terms) {
+    const source = String(text);
+    if (terms.length === 0) {
+        element.appendChild(document.createTextNode(source));
+        return;
+    }
+
+    // Normalizamos carácter a carácter para poder traducir las posiciones del texto
+    // normalizado a posiciones del texto original.
+    let normalized = '';
+    const originalIndex = [];
+    for (let i = 0; i < source.length; i++) {
+        const piece = normalizeText(source[i]);
+        for (let j = 0; j < piece.length; j++) {
+            normalized += piece[j];
+            originalIndex.push(i);
+        }
+    }
+
+    const marked = new Array(source.length).fill(false);
+    terms.forEach(term => {
+        let from = normalized.indexOf(term);
+        while (from !== -1) {
+            for (let k = from; k < from + term.length; k++) {
+                marked[originalIndex[k]] = true;
+            }
+            from = normalized.indexOf(term, from + term.length);
+        }
+    });
+
+    let start = 0;
+    for (let i = 1; i <= source.length; i++) {
+        if (i === source.length || marked[i] !== marked[start]) {
+            const chunk = source.slice(start, i);
+            if (marked[start]) {
+                const mark = document.createElement('mark');
+                mark.className = 'search-highlight';
+                mark.textContent = chunk;
+                element.appendChild(mark);
+            } else {
+                element.appendChild(document.createTextNode(chunk));
+            }
+            start = i;
+        }
+    }
+}
+
+/**
+ * Crea el estado vacío que se muestra cuando la búsqueda no encuentra productos.
+ * @returns {HTMLElement} El contenedor del estado vacío.
+ */
+export function createEmptyResults() {
+    const empty = document.createElement('div');
+    empty.className = 'empty-results';
+    empty.appendChild(createIcon(['fas', 'fa-search']));
+
+    const text = document.createElement('p');
+    text.textContent = searchQuery.trim()
+        ? t('catalog.noResults', { query: searchQuery.trim() })
+        : t('catalog.noFilterResults');
+    empty.appendChild(text);
+
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'empty-results-btn';
+    clearBtn.textContent = t('catalog.showAll');
+    clearBtn.dataset.action = 'show-all-products';
+    empty.appendChild(clearBtn);
+    return empty;
+}
+
+/**
+ * Quita la búsqueda y los filtros para volver a mostrar todo el catálogo (botón del estado vacío).
+ */
+export function showAllProducts() {
+    catalogFilters = createEmptyFilters();
+    setSearchQuery('');
+}
+
+/**
+ * Aplica una nueva búsqueda: actualiza la URL, el campo de texto y la cuadrícula.
+ * @param {string} query - El texto a buscar.
+ */
+function setSearchQuery(query) {
+    searchQuery = typeof query === 'string' ? query : '';
+    applyCatalogState();
+}
+
+/**
+ * Conecta el campo de búsqueda del encabezado. La búsqueda inicial la aplica el enrutador desde `#/search?q=`.
+ */
+export function initSearch() {
+    const input = document.querySelector('.search-box input');
+    if (!input) return;
+
+    const debouncedSearch = debounce(() => setSearchQuery(input.value), SEARCH_DEBOUNCE_MS);
+    input.addEventListener('input', debouncedSearch);
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+            setSearchQuery(input.value); // Buscar de inmediato sin esperar el retardo
+        } else if (event.key === 'Escape') {
+            setSearchQuery('');
+        }
+    });
+}
+
+// ===================================================================
+// ORDENAMIENTO Y FILTROS
+// ===================================================================
+
+/**
+ * Convierte el texto de ventas del catálogo en un número (ej. "14K+" -> 14000, "1.2K+" -> 1200, "149" -> 149).
+ * @param {string|number} sales - El valor de ventas tal como aparece en `products.json`.
+ * @returns {number} El número aproximado de ventas, o 0 si el valor no es legible.
+ */
+export function parseSales(sales) {
+    if (typeof sales === 'number') return Number.isFinite(sales) ? sales : 0;
+    const match = /^\s*(\d+(?:[.,]\d+)?)\s*([KkMm])?\+?\s*$/.exec(String(sales));
+    if (!match) return 0;
+    const value = parseFloat(match[1].replace(',', '.'));
+    const multiplier = { k: 1e3, m: 1e6 }[(match[2] || '').toLowerCase()] || 1;
+    return Math.round(value * multiplier);
+}
+
+/**
+ * Calcula el porcentaje de descuento de un producto a partir de `price` y `oldPrice`.
+ * @param {Object} product - El producto.
+ * @returns {number} El descuento entero en porcentaje (0 si no hay precio anterior mayor).
+ */
+export function getDiscountPercent(product) {
+    if (typeof product.oldPrice !== 'number' || product.oldPrice <= product.price) return 0;
+    return Math.round((1 - product.price / product.oldPrice) * 100);
+}
+
+/**
+ * @const {Object<string, {compare: Function|null}>} SORT_OPTIONS
+ * @description Criterios de orden disponibles. `relevance` conserva el orden de la búsqueda o del catálogo.
+ * El texto de cada opción es el mensaje `sort.<clave>`.
+ */
+const SORT_OPTIONS = {
+    relevance: { compare: null },
+    'price-asc': { compare: (a, b) => a.price - b.price },
+    'price-desc': { compare: (a, b) => b.price - a.price },
+    discount: { compare: (a, b) => getDiscountPercent(b) - getDiscountPercent(a) },
+    rating: { compare: (a, b) => b.rating - a.rating },
+    sales: { compare: (a, b) => parseSales(b.sales) - parseSales(a.sales) }
+};
+
+/**
+ * @const {Array<number>} RATING_FILTER_OPTIONS
+ * @description Calificaciones mínimas ofrecidas en el filtro.
+ */
+const RATING_FILTER_OPTIONS = [3, 4, 4.5];
+
+/**
+ * @let {string} catalogSort
+ * @description La clave de `SORT_OPTIONS` activa.
+ */
+export let catalogSort = 'relevance';
+
+/**
+ * @let {Object} catalogFilters
+ * @description Los filtros activos de la cuadrícula. Ver `createEmptyFilters` para su forma.
+ */
+let catalogFilters = createEmptyFilters();
+
+/**
+ * Crea un conjunto de filtros sin ninguna restricción.
+ * @returns {{brands: Array<string>, badges: Array<string>, videoOnly: boolean, minRating: number,
+ *           minPrice: ?number, maxPrice: ?number}} Los filtros vacíos.
+ */
+function createEmptyFilters() {
+    return { brands: [], badges: [], videoOnly: false, minRating: 0, minPrice: null, maxPrice: null };
+}
+
+/**
+ * Indica si hay algún filtro aplicado.
+ * @returns {boolean} `true` si algún filtro restringe la cuadrícula.
+ */
+export function hasActiveFilters() {
+    return getActiveFilterChips().length > 0;
+}
+
+/**
+ * Comprueba si un producto cumple todos los filtros.
+ * @param {Object} product - El producto a evaluar.
+ * @param {Object} filters - Los filtros a aplicar.
+ * @returns {boolean} `true` si el producto debe mostrarse.
+ */
+function matchesFilters(product, filters) {
+    if (filters.brands.length > 0 && !filters.brands.includes(product.brand)) return false;
+    if (filters.badges.length > 0 && !filters.badges.includes(product.badge)) return false;
+    if (filters.videoOnly && !product.hasVideo) return false;
+    if (filters.minRating > 0 && !(product.rating >= filters.minRating)) return false;
+    if (filters.minPrice !== null && product.price < filters.minPrice) return false;
+    if (filters.maxPrice !== null && product.price > filters.maxPrice) return false;
+    return true;
+}
+
+/**
+ * Lee un número no negativo de un parámetro de la URL o de un campo de formulario.
+ * @param {?string} value - El texto a convertir.
+ * @returns {?number} El número, o `null` si está vacío o no es válido.
+ */
+function parseFilterNumber(value) {
+    if (value === null || String(value).trim() === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Lee la búsqueda, el orden y los filtros desde los parámetros de la ruta.
+ * @param {URLSearchParams} params - Los parámetros de la ruta actual (ej. `#/search?q=led&sort=price-asc`).
+ * @security Los valores vienen de la URL, por lo que se validan contra las opciones conocidas.
+ */
+export function readCatalogState(params) {
+    searchQuery = params.get('q') || '';
+
+    const sort = params.get('sort');
+    catalogSort = sort && Object.prototype.hasOwnProperty.call(SORT_OPTIONS, sort) ? sort : 'relevance';
+
+    const minRating = parseFilterNumber(params.get('rating'));
+    catalogFilters = {
+        brands: params.getAll('brand'),
+        badges: params.getAll('badge'),
+        videoOnly: params.get('video') === '1',
+        minRating: RATING_FILTER_OPTIONS.includes(minRating) ? minRating : 0,
+        minPrice: parseFilterNumber(params.get('pmin')),
+        maxPrice: parseFilterNumber(params.get('pmax'))
+    };
+}
+
+/**
+ * Escribe la búsqueda, el orden y los filtros en la ruta para que la vista pueda compartirse.
+ * Refinar la vista actual reemplaza la entrada del historial; pasar de la portada a una búsqueda
+ * (o llegar desde otra vista) crea una entrada nueva para que "atrás" funcione como se espera.
+ * @returns {boolean} `true` si se navegó a otra ruta (y el enrutador ya renderizó la vista).
+ */
+function syncCatalogUrl() {
+    const params = new URLSearchParams();
+    if (searchQuery.trim()) params.set('q', searchQuery.trim());
+    if (catalogSort !== 'relevance') params.set('sort', catalogSort);
+    catalogFilters.brands.forEach(brand => params.append('brand', brand));
+    catalogFilters.badges.forEach(badge => params.append('badge', badge));
+    if (catalogFilters.videoOnly) params.set('video', '1');
+    if (catalogFilters.minRating > 0) params.set('rating', String(catalogFilters.minRating));
+    if (catalogFilters.minPrice !== null) params.set('pmin', String(catalogFilters.minPrice));
+    if (catalogFilters.maxPrice !== null) params.set('pmax', String(catalogFilters.maxPrice));
+
+    const path = searchQuery.trim() ? '/search' : '/';
+    return navigateTo(path, { params, replace: getCurrentRoute().path === path });
+}
+
+/**
+ * Describe los filtros activos como chips, cada uno con la acción que lo elimina.
+ * @returns {Array<{label: string, remove: Function}>} Los chips a mostrar.
+ */
+function getActiveFilterChips() {
+    const chips = [];
+    catalogFilters.brands.forEach(brand => chips.push({
+        label: `${t('product.brand')} ${brand}`,
+        remove: () => { catalogFilters.brands = catalogFilters.brands.filter(b => b !== brand); }
+    }));
+    catalogFilters.badges.forEach(badge => chips.push({
+        label: badge,
+        remove: () => { catalogFilters.badges = catalogFilters.badges.filter(b => b !== badge); }
+    }));
+    if (catalogFilters.videoOnly) {
+        chips.push({ label: t('filters.withVideo'), remove: () => { catalogFilters.videoOnly = false; } });
+    }
+    if (catalogFilters.minRating > 0) {
+        chips.push({ label: t('filters.minRating', { count: catalogFilters.minRating }), remove: () => { catalogFilters.minRating = 0; } });
+    }
+    if (catalogFilters.minPrice !== null) {
+        chips.push({ label: t('filters.priceFrom', { price: formatPrice(catalogFilters.minPrice) }), remove: () => { catalogFilters.minPrice = null; } });
+    }
+    if (catalogFilters.maxPrice !== null) {
+        chips.push({ label: t('filters.priceTo', { price: formatPrice(catalogFilters.maxPrice) }), remove: () => { catalogFilters.maxPrice = null; } });
+    }
+    return chips;
+}
+
+/**
+ * Renderiza los filtros activos como chips removibles debajo de la barra de herramientas.
+ */
+function renderFilterChips() {
+    const container = document.getElementById('filterChips');
+    if (!container) return;
+    container.innerHTML = '';
+
+    const chips = getActiveFilterChips();
+    chips.forEach((chip, index) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'filter-chip';
+        button.textContent = chip.label;
+        button.setAttribute('aria-label', t('filters.remove', { filter: chip.label }));
+        button.appendChild(createIcon(['fas', 'fa-times']));
+        button.dataset.action = 'remove-filter';
+        button.dataset.filterIndex = index;
+        container.appendChild(button);
+    });
+
+    if (chips.length > 1) {
+        const clearAll = document.createElement('button');
+        clearAll.type = 'button';
+        clearAll.className = 'filter-chip filter-chip-clear';
+        clearAll.textContent = t('filters.clear');
+        clearAll.dataset.action = 'clear-filters';
+        container.appendChild(clearAll);
+    }
+}
+
+/**
+ * Quita uno de los filtros activos.
+ * @param {number} index - La posición de su chip en `getActiveFilterChips()`.
+ */
+export function removeFilterChip(index) {
+    const chip = getActiveFilterChips()[index];
+    if (!chip) return;
+    chip.remove();
+    applyCatalogState();
+}
+
+/**
+ * Quita todos los filtros activos. La búsqueda se conserva.
+ */
+export function clearCatalogFilters() {
+    catalogFilters = createEmptyFilters();
+    applyCatalogState();
+}
+
+/**
+ * Abre o cierra el panel de filtros.
+ */
+export function toggleFilterPanel() {
+    const filterToggle = document.getElementById('filterToggle');
+    const filterPanel = document.getElementById('filterPanel');
+    if (!filterToggle || !filterPanel) return;
+    const isOpen = filterPanel.hidden;
+    filterPanel.hidden = !isOpen;
+    filterToggle.setAttribute('aria-expanded', String(isOpen));
+}
+
+/**
+ * Añade o quita un valor de un filtro de valores múltiples desde su casilla (acción `toggle-facet`).
+ * @param {HTMLInputElement} checkbox - La casilla, con el filtro en `data-filter` y el valor en `value`.
+ */
+export function toggleFacetFilter(checkbox) {
+    const filterKey = checkbox.dataset.filter;
+    if (!Array.isArray(catalogFilters[filterKey])) return;
+    const current = catalogFilters[filterKey].filter(v => v !== checkbox.value);
+    catalogFilters[filterKey] = checkbox.checked ? [...current, checkbox.value] : current;
+    applyCatalogState();
+}
+
+/**
+ * Aplica la casilla "Con video" (acción `toggle-video-filter`).
+ * @param {HTMLInputElement} checkbox - La casilla.
+ */
+export function toggleVideoFilter(checkbox) {
+    catalogFilters.videoOnly = checkbox.checked;
+    applyCatalogState();
+}
+
+/**
+ * Crea una lista de casillas para un filtro de valores múltiples (marca o etiqueta).
+ * @param {HTMLElement} container - El contenedor de las opciones.
+ * @param {Array<{value: string, count: number}>} facets - Los valores del catálogo completo y cuántos productos tienen cada uno.
+ * @param {string} filterKey - La clave en `catalogFilters` (`brands` o `badges`).
+ */
+function renderFacetOptions(container, facets, filterKey) {
+    container.querySelectorAll('.facet-option').forEach(option => option.remove());
+    facets.forEach(({ value, count }) => {
+        const label = document.createElement('label');
+        label.className = 'facet-option';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = value;
+        checkbox.dataset.filter = filterKey;
+        checkbox.dataset.action = 'toggle-facet';
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(`${value} (${count})`));
+        container.appendChild(label);
+    });
+}
+
+/**
+ * Refleja el estado de los filtros en los controles de la barra (tras leer la URL o quitar un chip).
+ */
+function syncFilterControls() {
+    const sortSelect = document.getElementById('sortSelect');
+    if (sortSelect) sortSelect.value = catalogSort;
+
+    document.querySelectorAll('.facet-option input[data-filter]').forEach(checkbox => {
+        checkbox.checked = catalogFilters[checkbox.dataset.filter].includes(checkbox.value);
+    });
+
+    const videoFilter = document.getElementById('videoFilter');
+    if (videoFilter) videoFilter.checked = catalogFilters.videoOnly;
+    const ratingFilter = document.getElementById('ratingFilter');
+    if (ratingFilter) ratingFilter.value = String(catalogFilters.minRating);
+    // Los filtros de precio se guardan en COP (como los precios del catálogo) y se muestran en la moneda elegida.
+    [['priceMin', 'minPrice'], ['priceMax', 'maxPrice']].forEach(([id, key]) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.step = String(getCurrencyInfo().step);
+        input.value = catalogFilters[key] === null ? '' : roundCurrencyAmount(convertFromBaseCurrency(catalogFilters[key]));
+    });
+}
+
+/**
+ * Refleja el estado actual de búsqueda, orden y filtros en los controles y la cuadrícula.
+ */
+export function renderCatalog() {
+    const input = document.querySelector('.search-box input');
+    if (input && input.value !== searchQuery) {
+        input.value = searchQuery;
+    }
+    syncFilterControls();
+    renderFilterChips();
+    // La búsqueda, el orden y los filtros se calculan en el navegador, así que necesitan el catálogo completo.
+    if (isCatalogRefined() && catalogPaging.hasMore) {
+        requestRemainingProducts();
+    }
+    renderProducts();
+    renderRecentlyViewed();
+}
+
+/**
+ * Aplica el estado actual de búsqueda, orden y filtros a la URL, los controles y la cuadrícula.
+ */
+function applyCatalogState() {
+    if (!syncCatalogUrl()) {
+        renderCatalog();
+    }
+}
+
+/**
+ * Construye (o traduce de nuevo) las opciones de orden y de calificación mínima.
+ */
+export function renderToolbarOptions() {
+    const sortSelect = document.getElementById('sortSelect');
+    if (sortSelect) {
+        sortSelect.replaceChildren(...Object.keys(SORT_OPTIONS).map(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = t(`sort.${key}`);
+            return option;
+        }));
+    }
+
+    const ratingFilter = document.getElementById('ratingFilter');
+    if (ratingFilter) {
+        ratingFilter.querySelectorAll('option:not([value="0"])').forEach(option => option.remove());
+        RATING_FILTER_OPTIONS.forEach(value => {
+            const option = document.createElement('option');
+            option.value = String(value);
+            option.textContent = t('filters.minRating', { count: value });
+            ratingFilter.appendChild(option);
+        });
+    }
+    syncFilterControls();
+}
+
+/**
+ * Construye las opciones de la barra de orden y filtros a partir del catálogo y conecta sus eventos.
+ */
+export function initCatalogToolbar() {
+    renderToolbarOptions();
+
+    const sortSelect = document.getElementById('sortSelect');
+    if (sortSelect) {
+        sortSelect.onchange = () => {
+            catalogSort = SORT_OPTIONS[sortSelect.value] ? sortSelect.value : 'relevance';
+            applyCatalogState();
+        };
+    }
+
+    // Las facetas vienen con la primera página del catálogo, así que cubren también los productos aún no cargados.
+    const brandFilter = document.getElementById('brandFilter');
+    if (brandFilter) renderFacetOptions(brandFilter, catalogFacets.brands, 'brands');
+    const badgeFilter = document.getElementById('badgeFilter');
+    if (badgeFilter) renderFacetOptions(badgeFilter, catalogFacets.badges, 'badges');
+
+    const ratingFilter = document.getElementById('ratingFilter');
+    if (ratingFilter) {
+        ratingFilter.onchange = () => {
+            const value = Number(ratingFilter.value);
+            catalogFilters.minRating = RATING_FILTER_OPTIONS.includes(value) ? value : 0;
+            applyCatalogState();
+        };
+    }
+
+    ['priceMin', 'priceMax'].forEach(id => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.onchange = () => {
+            const key = id === 'priceMin' ? 'minPrice' : 'maxPrice';
+            const amount = parseFilterNumber(input.value);
+            catalogFilters[key] = amount === null ? null : Math.round(convertToBaseCurrency(amount));
+            applyCatalogState();
+        };
+    });
+
+    syncFilterControls();
+    renderFilterChips();
+}
@@ -0,0 +1,118 @@
+/**
+ * @file js/ui.js
+ * @description El marco de la tienda: contadores del carrito, cambio de vistas, paso al checkout y avisos del
+ * encabezado. El carrito flotante está en floating-cart.js.
+ */
+
+import { t } from './i18n.js';
+import { showNotification } from './utils.js';
+import { cartStore } from './cart.js';
+import { renderCartItems } from './render.js';
+import { navigateTo } from './router.js';
+import { checkoutState, getCheckoutLines } from './checkout.js';
+import { evaluateOrderRules, getMinimumOrderMessage } from './order-rules.js';
+import { notifyCheckout } from './cart-api.js';
+import { placeFloatingCart } from './floating-cart.js';
+
+/**
+ * Actualiza los contadores del carrito en la interfaz de usuario. Está suscrita a `cartStore`.
+ */
+export function updateCartCounts() {
+    const lines = cartStore.getLines();
+    const totalItems = lines.reduce((sum, item) => sum + item.quantity, 0);
+    document.getElementById('topCartCount').textContent = totalItems;
+    document.getElementById('cartItemCount').textContent = lines.length;
+
+    // Actualizar también el contador del nuevo carrito flotante
+    const floatingCartBadge = document.getElementById('floatingCartBadge');
+    if (floatingCartBadge) {
+        floatingCartBadge.textContent = totalItems;
+    }
+    const floatingCart = document.getElementById('floatingCart');
+    if (floatingCart) {
+        floatingCart.setAttribute('aria-label', t('cart.floatingLabel', { count: totalItems }));
+    }
+}
+
+/**
+ * @const {Object<string, {container: string, bottomBar: ?string, showBackButton: boolean}>} VIEWS
+ * @description Las vistas de la aplicación con su contenedor, su barra inferior y si muestran el botón "Volver".
+ */
+export const VIEWS = {
+    products: { container: 'productsView', bottomBar: 'productsBottomBar', showBackButton: false },
+    cart: { container: 'cartView', bottomBar: 'cartCheckoutBar', showBackButton: true },
+    product: { container: 'productDetailView', bottomBar: null, showBackButton: true },
+    checkout: { container: 'checkoutView', bottomBar: null, showBackButton: true },
+    wishlist: { container: 'wishlistView', bottomBar: null, showBackButton: true },
+    compare: { container: 'compareView', bottomBar: null, showBackButton: true },
+    orders: { container: 'ordersView', bottomBar: null, showBackButton: true }
+};
+
+/**
+ * Muestra una vista y oculta las demás junto con sus barras inferiores.
+ * Solo debe llamarse desde el enrutador; el resto del código navega con `navigateTo`.
+ * @param {string} viewName - La clave de la vista en `VIEWS`.
+ */
+export function showView(viewName) {
+    Object.keys(VIEWS).forEach(name => {
+        const view = VIEWS[name];
+        const isActive = name === viewName;
+        const container = document.getElementById(view.container);
+        if (container) container.style.display = isActive ? 'block' : 'none';
+        const bottomBar = view.bottomBar && document.getElementById(view.bottomBar);
+        // Varias vistas pueden compartir barra; solo se oculta si la vista activa no la usa.
+        if (bottomBar && view.bottomBar !== VIEWS[viewName].bottomBar) bottomBar.style.display = 'none';
+    });
+
+    const activeBar = VIEWS[viewName].bottomBar ? document.getElementById(VIEWS[viewName].bottomBar) : null;
+    if (activeBar) activeBar.style.display = 'block';
+
+    const backBtn = document.querySelector('.back-btn');
+    if (backBtn) backBtn.style.display = VIEWS[viewName].showBackButton ? 'block' : 'none';
+
+    // Las barras inferiores cambian con la vista; el carrito flotante no debe taparlas.
+    placeFloatingCart();
+
+    if (viewName === 'cart') {
+        renderCartItems(); // Re-renderizar el carrito para asegurar que esté actualizado
+    }
+}
+
+/**
+ * Inicia el proceso de pago con los artículos seleccionados y abre la vista de checkout.
+ * El pedido se envía al servidor en el último paso (`submitOrder`).
+ */
+export function checkout() {
+    const lines = getCheckoutLines();
+    if (lines.length === 0) {
+        showNotification(t('cart.selectToCheckout'));
+        return;
+    }
+    const rules = evaluateOrderRules(lines);
+    if (!rules.minimumOrder.met) {
+        showNotification(getMinimumOrderMessage(rules.minimumOrder));
+        return;
+    }
+    // Una página que integra la tienda puede encargarse del pago cancelando `cart:checkout`.
+    if (!notifyCheckout()) return;
+    checkoutState.step = 'address';
+    checkoutState.error = '';
+    navigateTo('/checkout');
+}
+
+/**
+ * Avisa de que el inicio de sesión aún no está disponible (botón del banner del carrito).
+ */
+export function showLoginNotice() {
+    showNotification(t('cart.loginNotice'));
+}
+
+/**
+ * Cierra el banner promocional superior.
+ */
+export function closeBanner() {
+    const banner = document.getElementById('appBanner');
+    if (banner) {
+        banner.style.display = 'none';
+    }
+}
@@ -0,0 +1,287 @@
+/**
+ * @file js/utils.js
+ * @description Funciones de utilidad compartidas: formato de precios, notificaciones, iconos, imágenes y el
+ * renderizado con claves (`reconcileList`) que usan la cuadrícula y el carrito.
+ */
+
+import { convertFromBaseCurrency, getPriceFormatter } from './i18n.js';
+
+/**
+ * Formatea un precio del catálogo (en pesos colombianos) en la moneda y el idioma elegidos.
+ * La conversión usa las tasas de `rates.json` (ver i18n.js).
+ * @param {number} price - El precio en COP.
+ * @returns {string} El precio formateado (ej. "$ 5.108" en COP o "$1.28" en USD).
+ */
+export function formatPrice(price) {
+    // Se asegura de que el precio sea un número antes de formatearlo (`NaN` e `Infinity` tampoco valen).
+    if (typeof price !== 'number' || !Number.isFinite(price)) {
+        console.error("formatPrice esperaba un número, pero recibió:", price);
+        price = 0;
+    }
+    return getPriceFormatter().format(convertFromBaseCurrency(price));
+}
+
+/**
+ * @let {?Function} notificationAction
+ * @description Lo que hace el botón de acción de la notificación visible (ej. "Deshacer"), si tiene uno.
+ */
+let notificationAction = null;
+
+/**
+ * Muestra una notificación temporal en la parte superior de la pantalla.
+ * @param {string} message - El mensaje a mostrar.
+ * @param {Object} [options] - Opciones de la notificación.
+ * @param {{label: string, onAction: Function}} [options.action] - Un botón de acción (ej. "Deshacer");
+ *        al pulsarlo se cierra la notificación y se llama a `onAction`.
+ * @param {number} [options.duration=2000] - Milisegundos que la notificación permanece visible.
+ */
+export function showNotification(message, options = {}) {
+    // Elimina cualquier notificación existente para evitar duplicados.
+    const existingNotification = document.querySelector('.notification');
+    if (existingNotification) {
+        existingNotification.remove();
+    }
+    notificationAction = null;
+
+    const notification = document.createElement('div');
+    notification.className = 'notification';
+    notification.textContent = message; // Usar textContent es más seguro que innerHTML.
+    if (options.action) {
+        const actionBtn = document.createElement('button');
+        actionBtn.type = 'button';
+        actionBtn.className = 'notification-action';
+        actionBtn.textContent = options.action.label;
+        actionBtn.dataset.action = 'notification-action';
+        notificationAction = options.action.onAction;
+        notification.appendChild(actionBtn);
+    }
+    // La región de index.html ya existe al cargar la página, así que los lectores de pantalla anuncian
+    // cada notificación que se inserta en ella.
+    (document.getElementById('notificationRegion') || document.body).appendChild(notification);
+
+    // Anima la salida y elimina la notificación después de un tiempo.
+    setTimeout(() => {
+        notification.style.animation = 'slideUp 0.3s ease forwards';
+        setTimeout(() => notification.remove(), 300);
+    }, options.duration || 2000);
+}
+
+/**
+ * Cierra la notificación visible y ejecuta su acción (acción `notification-action`).
+ * @param {HTMLElement} button - El botón de acción de la notificación.
+ */
+export function runNotificationAction(button) {
+    const action = notificationAction;
+    notificationAction = null;
+    const notification = button.closest('.notification');
+    if (notification) notification.remove();
+    if (action) action();
+}
+
+/**
+ * Anuncia un mensaje a los lectores de pantalla sin mostrarlo (ej. la nueva cantidad de una línea).
+ * @param {string} message - El mensaje.
+ */
+export function announce(message) {
+    const announcer = document.getElementById('srAnnouncer');
+    if (!announcer) return;
+    // Se vacía antes para que un mensaje igual al anterior también se anuncie.
+    announcer.textContent = '';
+    setTimeout(() => { announcer.textContent = message; }, 50);
+}
+
+/**
+ * Crea un icono de Font Awesome de forma segura.
+ * Los iconos son decorativos: el texto o la etiqueta del control que los contiene es lo que se anuncia.
+ * @param {Array<string>} classes - Un array de clases para el icono (ej. ['fas', 'fa-star']).
+ * @returns {HTMLElement} El elemento <i> del icono.
+ */
+export function createIcon(classes) {
+    const icon = document.createElement('i');
+    icon.classList.add(...classes);
+    icon.setAttribute('aria-hidden', 'true');
+    return icon;
+}
+
+/**
+ * Crea las estrellas de calificación de un producto (llenas y media estrella).
+ * @param {number} value - La calificación de 0 a 5.
+ * @returns {HTMLElement} El elemento <span> con las estrellas.
+ */
+export function createStars(value) {
+    const stars = document.createElement('span');
+    stars.className = 'stars';
+
+    // Creación segura de estrellas
+    const fullStars = Math.floor(value);
+    const halfStar = value % 1 !== 0;
+    for (let i = 0; i < fullStars; i++) {
+        stars.appendChild(createIcon(['fas', 'fa-star', 'star-filled']));
+    }
+    if (halfStar) {
+        stars.appendChild(createIcon(['fas', 'fa-star-half-alt', 'star-filled']));
+    }
+    return stars;
+}
+
+/**
+ * Crea una versión de `fn` que solo se ejecuta cuando han pasado `wait` ms sin nuevas llamadas.
+ * @param {Function} fn - La función a retrasar.
+ * @param {number} wait - El tiempo de espera en milisegundos.
+ * @returns {Function} La función con retardo.
+ */
+export function debounce(fn, wait) {
+    let timeoutId = null;
+    return function (...args) {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => fn.apply(this, args), wait);
+    };
+}
+
+/**
+ * Crea una clave única para la cabecera `Idempotency-Key` de un pedido: si un envío llega al servidor pero se
+ * pierde la respuesta, el reintento con la misma clave no crea un segundo pedido.
+ * @returns {string} La clave (ej. `lz3k9q1a-4f8e2b1c`).
+ */
+export function createIdempotencyKey() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Normaliza un texto para compararlo sin distinguir mayúsculas ni tildes (ej. "Inalámbricos" -> "inalambricos").
+ * @param {string} text - El texto a normalizar.
+ * @returns {string} El texto normalizado.
+ */
+export function normalizeText(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * @const {string} FALLBACK_PRODUCT_IMAGE
+ * @description Imagen que sustituye a la de un producto cuando no se puede cargar.
+ */
+const FALLBACK_PRODUCT_IMAGE = 'img/product-placeholder.svg';
+
+/**
+ * Crea la imagen de un producto con carga diferida: el navegador solo la descarga cuando se acerca a la
+ * pantalla. Mientras tanto se ve un marcador de posición (`.lazy-image`) y, si falla, la imagen de respaldo.
+ * @param {string} src - La URL de la imagen.
+ * @param {string} alt - El texto alternativo.
+ * @param {string} className - La clase de la imagen.
+ * @returns {HTMLImageElement} La imagen.
+ */
+export function createProductImage(src, alt, className) {
+    const image = document.createElement('img');
+    image.className = `${className} lazy-image`;
+    image.alt = alt;
+    image.loading = 'lazy';
+    image.decoding = 'async';
+    image.addEventListener('load', () => image.classList.add('is-loaded'));
+    image.addEventListener('error', () => {
+        // Si también falla la imagen de respaldo, se deja el marcador en lugar de reintentar sin fin.
+        if (image.getAttribute('src') === FALLBACK_PRODUCT_IMAGE) return;
+        image.src = FALLBACK_PRODUCT_IMAGE;
+    });
+    image.src = src;
+    return image;
+}
+
+/**
+ * @const {WeakMap<HTMLElement, Array>} renderedSignatures
+ * @description La firma con la que se construyó cada elemento de una lista con claves (ver `reconcileList`).
+ */
+const renderedSignatures = new WeakMap();
+
+/**
+ * Devuelve la ruta de índices de hijos que lleva de `root` a `node`.
+ * @param {HTMLElement} root - El elemento de partida.
+ * @param {Node} node - Un descendiente de `root`.
+ * @returns {Array<number>} Los índices, del más externo al más interno.
+ */
+function getNodePath(root, node) {
+    const path = [];
+    for (let current = node; current && current !== root; current = current.parentNode) {
+        path.unshift(Array.prototype.indexOf.call(current.parentNode.children, current));
+    }
+    return path;
+}
+
+/**
+ * Sigue una ruta de `getNodePath` dentro de otro elemento con la misma estructura.
+ * @param {HTMLElement} root - El elemento de partida.
+ * @param {Array<number>} path - Los índices de hijos.
+ * @returns {?HTMLElement} El elemento equivalente, o `null` si la estructura cambió.
+ */
+function resolveNodePath(root, path) {
+    return path.reduce((node, index) => (node ? node.children[index] || null : null), root);
+}
+
+/**
+ * Actualiza los hijos de un contenedor para que coincidan con una lista de datos sin reconstruirlo entero.
+ * Cada elemento se identifica por su clave (atributo `data-key`):
+ * - Si ya existe y su firma no cambió, se conserva tal cual (con su foco, scroll y estado).
+ * - Si su firma cambió, se construye de nuevo en su sitio; si tenía el foco, este pasa al nodo
+ *   equivalente del nuevo elemento.
+ * - Los elementos sobrantes se eliminan, igual que cualquier hijo sin clave (ej. un mensaje de lista vacía).
+ * Los elementos se siguen creando con `create` (createElement/textContent), así que no se usa innerHTML.
+ * @param {HTMLElement} container - El contenedor de la lista.
+ * @param {Array} items - Los datos, en el orden en que deben mostrarse.
+ * @param {Object} options - Cómo identificar y construir cada elemento.
+ * @param {Function} options.key - Devuelve la clave de un dato. Las claves repetidas reciben un sufijo.
+ * @param {Function} options.signature - Devuelve un array con todo aquello de lo que depende el elemento;
+ *        se reconstruye si algún valor cambia (comparación con `===`).
+ * @param {Function} options.create - Construye el elemento de un dato.
+ */
+export function reconcileList(container, items, { key, signature, create }) {
+    const active = document.activeElement;
+    let focusTarget = null;
+
+    const existing = new Map();
+    Array.from(container.children).forEach(child => {
+        if (child.dataset.key !== undefined) existing.set(child.dataset.key, child);
+    });
+
+    const keyCounts = new Map();
+    const elements = items.map(item => {
+        const baseKey = String(key(item));
+        const count = (keyCounts.get(baseKey) || 0) + 1;
+        keyCounts.set(baseKey, count);
+        const itemKey = count === 1 ? baseKey : `${baseKey}~${count}`;
+
+        const nextSignature = signature(item);
+        const element = existing.get(itemKey);
+        existing.delete(itemKey);
+        const previousSignature = element && renderedSignatures.get(element);
+        if (previousSignature && previousSignature.length === nextSignature.length &&
+            previousSignature.every((value, i) => value === nextSignature[i])) {
+            return element;
+        }
+
+        const fresh = create(item);
+        fresh.dataset.key = itemKey;
+        renderedSignatures.set(fresh, nextSignature);
+        if (element) {
+            if (element.contains(active)) focusTarget = resolveNodePath(fresh, getNodePath(element, active));
+            element.replaceWith(fresh);
+        }
+        return fresh;
+    });
+
+    const keep = new Set(elements);
+    Array.from(container.children).forEach(child => {
+        if (!keep.has(child)) child.remove();
+    });
+    // Solo se mueven los elementos que no están ya en su posición.
+    let cursor = container.firstElementChild;
+    elements.forEach(element => {
+        if (element === cursor) {
+            cursor = cursor.nextElementSibling;
+        } else {
+            container.insertBefore(element, cursor);
+        }
+    });
+
+    // Mover un nodo en el DOM le quita el foco; se devuelve al mismo elemento o a su reemplazo.
+    const target = focusTarget || (active && active !== document.body && container.contains(active) ? active : null);
+    if (target && document.activeElement !== target) target.focus({ preventScroll: true });
+}
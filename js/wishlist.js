@@ -0,0 +1,407 @@
+/**
+ * @file js/wishlist.js
+ * @description Favoritos y productos guardados para después.
+ */
+
+import { t, formatVariantName } from './i18n.js';
+import { formatPrice, showNotification, createIcon, createProductImage } from './utils.js';
+import { hasVariant, getStock, isVariantAvailable, getDefaultVariantName, createCartLine } from './cart-model.js';
+import { cartStore, getCartLine } from './cart.js';
+import { activeRoute } from './router.js';
+import { allProducts } from './catalog.js';
+
+/**
+ * @const {string} WISHLIST_STORAGE_KEY
+ * @description Clave de localStorage donde se guardan los favoritos entre recargas.
+ */
+const WISHLIST_STORAGE_KEY = 'temu-clone:wishlist';
+
+/**
+ * @const {number} WISHLIST_STORAGE_VERSION
+ * @description Versión del formato guardado de los favoritos.
+ */
+const WISHLIST_STORAGE_VERSION = 1;
+
+/**
+ * @let {Array<{id: number, variant: string, quantity: number, savedPrice: number, savedAt: number}>} wishlist
+ * @description Los artículos guardados, del más reciente al más antiguo. Incluye tanto los marcados con el
+ * corazón como las líneas del carrito guardadas para después; `savedPrice` es el precio al guardarlo.
+ */
+let wishlist = [];
+
+/**
+ * Indica si un producto está marcado con el corazón, es decir, si su variante por defecto está guardada.
+ * Las otras variantes (ej. las guardadas para después desde el carrito) no cuentan.
+ * @param {number} productId - El ID del producto.
+ * @returns {boolean} `true` si está en favoritos.
+ */
+function isInWishlist(productId) {
+    const product = allProducts.find(p => p.id === productId);
+    return Boolean(product) && findWishlistEntry(productId, getDefaultVariantName(product)) !== null;
+}
+
+/**
+ * Busca un artículo guardado por su producto y variante, que lo identifican aunque la lista cambie de orden.
+ * @param {number} productId - El ID del producto.
+ * @param {string} variantName - La variante.
+ * @returns {?Object} El artículo, o `null` si no está guardado.
+ */
+function findWishlistEntry(productId, variantName) {
+    return wishlist.find(entry => entry.id === productId && entry.variant === variantName) || null;
+}
+
+/**
+ * Guarda los favoritos en localStorage.
+ */
+function saveWishlist() {
+    const data = {
+        version: WISHLIST_STORAGE_VERSION,
+        items: wishlist.map(({ id, variant, quantity, savedPrice, savedAt }) => ({ id, variant, quantity, savedPrice, savedAt }))
+    };
+    try {
+        localStorage.setItem(WISHLIST_STORAGE_KEY, JSON.stringify(data));
+    } catch (error) {
+        console.error("No se pudieron guardar los favoritos:", error);
+    }
+}
+
+/**
+ * Lee los favoritos guardados, sin validarlos todavía contra el catálogo.
+ * @returns {?Array<Object>} Las entradas guardadas, o `null` si no hay datos válidos.
+ */
+export function loadStoredWishlist() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(WISHLIST_STORAGE_KEY));
+    } catch (error) {
+        console.error("No se pudieron leer los favoritos guardados:", error);
+    }
+    if (!stored || stored.version !== WISHLIST_STORAGE_VERSION || !Array.isArray(stored.items)) return null;
+    return stored.items;
+}
+
+/**
+ * Restaura los favoritos guardados, descartando los productos o variantes que ya no existen.
+ * @security Los datos de localStorage se tratan como no confiables: cada entrada se valida contra el catálogo.
+ */
+export function restoreWishlist() {
+    const storedItems = loadStoredWishlist();
+    if (!storedItems) return;
+
+    let droppedCount = 0;
+    wishlist = storedItems.filter(entry => {
+        const product = entry && allProducts.find(p => p.id === entry.id);
+        const valid = Boolean(product) && typeof entry.variant === 'string' && hasVariant(product, entry.variant)
+            && Number.isInteger(entry.quantity) && entry.quantity > 0 && typeof entry.savedPrice === 'number';
+        if (!valid) droppedCount++;
+        return valid;
+    });
+
+    if (droppedCount > 0) {
+        showNotification(t('wishlist.restoreDropped'));
+        saveWishlist();
+    }
+    updateWishlistCount();
+}
+
+/**
+ * Añade un artículo a los favoritos. Si ya estaba guardado en esa variante, se suman las cantidades sin pasar
+ * de las existencias, igual que en `moveToCart`.
+ * @param {Object} product - El producto del catálogo.
+ * @param {string} variantName - La variante.
+ * @param {number} quantity - La cantidad.
+ */
+function addToWishlist(product, variantName, quantity) {
+    const existing = findWishlistEntry(product.id, variantName);
+    if (existing) {
+        const stock = getStock(product, variantName);
+        const merged = existing.quantity + quantity;
+        // Sin existencias se conserva lo que ya estaba guardado: el artículo sigue ahí hasta que vuelva a haber.
+        existing.quantity = stock === null ? merged : Math.max(existing.quantity, Math.min(merged, stock));
+        return;
+    }
+    wishlist.unshift({
+        id: product.id,
+        variant: variantName,
+        quantity,
+        savedPrice: createCartLine(product, variantName, quantity).price,
+        savedAt: Date.now()
+    });
+}
+
+/**
+ * Marca o desmarca un producto como favorito desde el corazón de su tarjeta. El corazón solo añade o quita su
+ * propio artículo, la variante por defecto; las demás variantes guardadas se conservan.
+ * @param {number} productId - El ID del producto.
+ */
+export function toggleWishlist(productId) {
+    const product = allProducts.find(p => p.id === productId);
+    if (!product) {
+        console.error("Producto no encontrado con ID:", productId);
+        return;
+    }
+    const variantName = getDefaultVariantName(product);
+    const entry = findWishlistEntry(productId, variantName);
+    if (entry) {
+        wishlist = wishlist.filter(saved => saved !== entry);
+        showNotification(t('wishlist.removed'));
+    } else {
+        addToWishlist(product, variantName, 1);
+        showNotification(t('wishlist.added'));
+    }
+    saveWishlist();
+    renderWishlistState();
+}
+
+/**
+ * Mueve una línea del carrito a los guardados para después, conservando su variante y cantidad.
+ * @param {number} lineId - El ID de la línea del carrito.
+ */
+export function saveForLater(lineId) {
+    const item = getCartLine(lineId);
+    const product = item && allProducts.find(p => p.id === item.id);
+    if (!product) return;
+    addToWishlist(product, item.variant, item.quantity);
+    saveWishlist();
+    cartStore.removeLines([lineId]);
+    renderWishlistState();
+    showNotification(t('saved.added'));
+}
+
+/**
+ * Mueve un artículo guardado al carrito, respetando las existencias. Si el carrito ya tiene esa variante,
+ * se suman las cantidades.
+ * @param {number} productId - El ID del producto guardado.
+ * @param {string} variantName - Su variante.
+ */
+export function moveToCart(productId, variantName) {
+    const entry = findWishlistEntry(productId, variantName);
+    const product = entry && allProducts.find(p => p.id === entry.id);
+    if (!product) return;
+    if (!isVariantAvailable(product, entry.variant)) {
+        showNotification(t('stock.soldOutForNow'));
+        return;
+    }
+
+    const stock = getStock(product, entry.variant);
+    const existing = cartStore.findLine(entry.id, entry.variant);
+    const wanted = (existing ? existing.quantity : 0) + entry.quantity;
+    const quantity = stock === null ? wanted : Math.min(wanted, stock);
+    if (existing) {
+        cartStore.updateLine(existing.lineId, { quantity });
+    } else {
+        cartStore.addLine(createCartLine(product, entry.variant, quantity));
+    }
+    wishlist = wishlist.filter(saved => saved !== entry);
+
+    saveWishlist();
+    showNotification(quantity < wanted ? t('saved.movedLimited', { count: stock }) : t('saved.moved'));
+    renderWishlistState();
+}
+
+/**
+ * Quita un artículo guardado.
+ * @param {number} productId - El ID del producto guardado.
+ * @param {string} variantName - Su variante.
+ */
+export function removeFromWishlist(productId, variantName) {
+    const entry = findWishlistEntry(productId, variantName);
+    if (!entry) return;
+    wishlist = wishlist.filter(saved => saved !== entry);
+    saveWishlist();
+    renderWishlistState();
+}
+
+/**
+ * Crea el botón de corazón de una tarjeta de producto.
+ * @param {Object} product - El producto.
+ * @returns {HTMLButtonElement} El botón.
+ */
+export function createWishlistToggle(product) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'wishlist-toggle';
+    button.dataset.wishlistId = product.id;
+    button.setAttribute('aria-label', t('wishlist.toggle', { name: product.name }));
+    button.dataset.action = 'toggle-wishlist';
+    button.appendChild(createIcon(['fa-heart']));
+    updateWishlistToggle(button);
+    return button;
+}
+
+/**
+ * Refleja en un botón de corazón si su producto está en favoritos.
+ * @param {HTMLButtonElement} button - El botón.
+ */
+function updateWishlistToggle(button) {
+    const saved = isInWishlist(Number(button.dataset.wishlistId));
+    button.setAttribute('aria-pressed', String(saved));
+    button.classList.toggle('is-active', saved);
+    const icon = button.querySelector('i');
+    icon.classList.toggle('fas', saved);
+    icon.classList.toggle('far', !saved);
+}
+
+/**
+ * Actualiza todos los corazones visibles sin volver a renderizar la cuadrícula.
+ */
+function syncWishlistToggles() {
+    document.querySelectorAll('.wishlist-toggle').forEach(updateWishlistToggle);
+}
+
+/**
+ * Actualiza el contador de favoritos de la cabecera.
+ */
+function updateWishlistCount() {
+    const badge = document.getElementById('wishlistCount');
+    if (!badge) return;
+    badge.textContent = wishlist.length;
+    badge.hidden = wishlist.length === 0;
+}
+
+/**
+ * Describe el cambio de precio de un artículo desde que se guardó.
+ * @param {Object} entry - El artículo guardado.
+ * @param {number} currentPrice - Su precio actual.
+ * @returns {?{className: string, text: string}} El aviso, o `null` si el precio no cambió.
+ */
+function getPriceChange(entry, currentPrice) {
+    const difference = currentPrice - entry.savedPrice;
+    if (difference < 0) {
+        return { className: 'price-drop', text: t('saved.priceDrop', { amount: formatPrice(-difference) }) };
+    }
+    if (difference > 0) {
+        return { className: 'price-rise', text: t('saved.priceRise', { amount: formatPrice(difference) }) };
+    }
+    return null;
+}
+
+/**
+ * Crea la fila de un artículo guardado con sus acciones.
+ * @param {Object} entry - El artículo guardado.
+ * @param {boolean} showPriceChange - Si se muestra el cambio de precio desde que se guardó.
+ * @returns {?HTMLElement} La fila, o `null` si el producto ya no existe.
+ */
+function createSavedItemRow(entry, showPriceChange) {
+    const product = allProducts.find(p => p.id === entry.id);
+    if (!product) return null;
+    const line = createCartLine(product, entry.variant, entry.quantity);
+
+    const row = document.createElement('div');
+    row.className = 'saved-item';
+    const soldOut = !isVariantAvailable(product, entry.variant);
+    row.classList.toggle('is-sold-out', soldOut);
+
+    const link = document.createElement('a');
+    link.href = `#/product/${product.id}${Array.isArray(product.variants) ? `?variant=${encodeURIComponent(entry.variant)}` : ''}`;
+    link.appendChild(createProductImage(line.image, product.name, 'item-image'));
+    row.appendChild(link);
+
+    const details = document.createElement('div');
+    details.className = 'item-details';
+    const title = document.createElement('div');
+    title.className = 'item-title';
+    title.textContent = product.name;
+    details.appendChild(title);
+
+    const meta = document.createElement('div');
+    meta.className = 'item-variant';
+    meta.textContent = `${formatVariantName(entry.variant)} · ${t('saved.units', { count: entry.quantity })}`;
+    details.appendChild(meta);
+
+    const price = document.createElement('div');
+    price.className = 'item-price';
+    const currentPrice = document.createElement('span');
+    currentPrice.className = 'current-price';
+    currentPrice.textContent = formatPrice(line.price);
+    price.appendChild(currentPrice);
+    details.appendChild(price);
+
+    const change = showPriceChange ? getPriceChange(entry, line.price) : null;
+    if (change) {
+        const note = document.createElement('div');
+        note.className = `price-change ${change.className}`;
+        note.textContent = change.text;
+        details.appendChild(note);
+    }
+    if (soldOut) {
+        const stockLabel = document.createElement('div');
+        stockLabel.className = 'stock-state stock-sold-out';
+        stockLabel.textContent = t('stock.soldOut');
+        details.appendChild(stockLabel);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'saved-item-actions';
+    const moveBtn = document.createElement('button');
+    moveBtn.type = 'button';
+    moveBtn.className = 'move-to-cart-btn';
+    moveBtn.textContent = t('saved.moveToCart');
+    moveBtn.disabled = soldOut;
+    moveBtn.dataset.action = 'move-to-cart';
+    moveBtn.dataset.productId = entry.id;
+    moveBtn.dataset.variant = entry.variant;
+    actions.appendChild(moveBtn);
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'save-later-btn';
+    removeBtn.textContent = t('saved.remove');
+    removeBtn.setAttribute('aria-label', t('saved.removeLabel', { name: product.name }));
+    removeBtn.dataset.action = 'remove-saved';
+    removeBtn.dataset.productId = entry.id;
+    removeBtn.dataset.variant = entry.variant;
+    actions.appendChild(removeBtn);
+    details.appendChild(actions);
+
+    row.appendChild(details);
+    return row;
+}
+
+/**
+ * Renderiza la sección de guardados para después bajo el carrito.
+ */
+function renderSavedItems() {
+    const section = document.getElementById('savedItemsSection');
+    const list = document.getElementById('savedItemsList');
+    if (!section || !list) return;
+    list.innerHTML = '';
+    section.hidden = wishlist.length === 0;
+    document.getElementById('savedItemsCount').textContent = wishlist.length;
+    wishlist.forEach(entry => {
+        const row = createSavedItemRow(entry, false);
+        if (row) list.appendChild(row);
+    });
+}
+
+/**
+ * Renderiza la vista de favoritos (`#/wishlist`), con el cambio de precio de cada artículo.
+ */
+export function renderWishlist() {
+    const list = document.getElementById('wishlistList');
+    if (!list) return;
+    list.innerHTML = '';
+    if (wishlist.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty-cart';
+        empty.appendChild(createIcon(['far', 'fa-heart']));
+        const text = document.createElement('p');
+        text.textContent = t('wishlist.empty');
+        empty.appendChild(text);
+        list.appendChild(empty);
+        return;
+    }
+    wishlist.forEach(entry => {
+        const row = createSavedItemRow(entry, true);
+        if (row) list.appendChild(row);
+    });
+}
+
+/**
+ * Actualiza todo lo que depende de los favoritos: contador, corazones y las listas visibles.
+ */
+export function renderWishlistState() {
+    updateWishlistCount();
+    syncWishlistToggles();
+    renderSavedItems();
+    if (activeRoute && activeRoute.name === 'wishlist') renderWishlist();
+}
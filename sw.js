@@ -0,0 +1,146 @@
+/**
+ * @file sw.js
+ * @description Service worker de la tienda: permite abrirla y navegar el catálogo sin conexión.
+ *
+ * - Al instalarse guarda la aplicación (index.html, los módulos de `js/`, catalog-schema.js, styles.css, configuración,
+ *   tasas de cambio, mensajes de `locales/` e iconos de `img/`)
+ *   y el catálogo completo (`products.json`).
+ * - La aplicación se sirve primero desde la red, para tener siempre la última versión, y desde la caché
+ *   si no hay conexión.
+ * - El catálogo (`products.json` y las páginas de `/api/products`) se sirve "stale-while-revalidate": se responde
+ *   al instante con la última copia buena y, en paralelo, se actualiza la caché desde la red.
+ * - Los pedidos (`POST /api/checkout`) no pasan por la caché: si no hay conexión, js/offline.js los pone en cola.
+ */
+
+'use strict';
+
+const CACHE_VERSION = 'v4';
+const SHELL_CACHE = `temu-clone-shell-${CACHE_VERSION}`;
+const CATALOG_CACHE = `temu-clone-catalog-${CACHE_VERSION}`;
+
+/**
+ * @const {Array<string>} SHELL_FILES
+ * @description Los archivos de la aplicación que se guardan al instalar.
+ */
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'js/main.js',
+    'js/actions.js',
+    'js/cart-api.js',
+    'js/cart-model.js',
+    'js/cart.js',
+    'js/catalog.js',
+    'js/checkout.js',
+    'js/compare.js',
+    'js/config.js',
+    'js/coupons.js',
+    'js/detail.js',
+    'js/floating-cart.js',
+    'js/i18n.js',
+    'js/offline.js',
+    'js/order-rules.js',
+    'js/orders.js',
+    'js/pickers.js',
+    'js/recommendations.js',
+    'js/render.js',
+    'js/router.js',
+    'js/search.js',
+    'js/ui.js',
+    'js/utils.js',
+    'js/wishlist.js',
+    'catalog-schema.js',
+    'styles.css',
+    'config.json',
+    'coupons.json',
+    'colombia.json',
+    'rates.json',
+    'locales/es-CO.json',
+    'locales/en-US.json',
+    'manifest.webmanifest',
+    'img/fav.png',
+    'img/favicon.svg',
+    'img/app-icon.svg',
+    'img/product-placeholder.svg'
+];
+
+/**
+ * Indica si una petición es del catálogo.
+ * @param {URL} url - La URL de la petición.
+ * @returns {boolean} `true` para `products.json` y la API de productos.
+ */
+function isCatalogRequest(url) {
+    return url.pathname.endsWith('/products.json') || url.pathname.endsWith('/api/products');
+}
+
+/**
+ * Responde desde la caché si hay copia y la actualiza desde la red en segundo plano.
+ * Sin copia guardada, espera a la red.
+ * @param {FetchEvent} event - El evento de la petición.
+ * @returns {Promise<Response>} La respuesta.
+ */
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(CATALOG_CACHE);
+    const cached = await cache.match(event.request);
+    const network = fetch(event.request).then(response => {
+        // Solo se guarda una respuesta válida: un error del servidor no sustituye al último catálogo bueno.
+        if (response.ok) cache.put(event.request, response.clone());
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+/**
+ * Responde desde la red y guarda la copia; sin conexión, responde desde la caché.
+ * Las navegaciones sin copia propia reciben `index.html` (las rutas de la tienda van en el hash).
+ * @param {Request} request - La petición.
+ * @returns {Promise<Response>} La respuesta.
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        if (request.mode === 'navigate') {
+            const shell = await cache.match('index.html');
+            if (shell) return shell;
+        }
+        throw error;
+    }
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        await (await caches.open(SHELL_CACHE)).addAll(SHELL_FILES);
+        await (await caches.open(CATALOG_CACHE)).add('products.json');
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    // Se borran las cachés de versiones anteriores.
+    event.waitUntil((async () => {
+        const current = [SHELL_CACHE, CATALOG_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('temu-clone-') && !current.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    // Las imágenes de otros dominios y los pedidos van directo a la red.
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    event.respondWith(isCatalogRequest(url) ? staleWhileRevalidate(event) : networkFirst(event.request));
+});
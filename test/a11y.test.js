@@ -0,0 +1,212 @@
+/**
+ * @file test/a11y.test.js
+ * @description Pruebas de accesibilidad de la tienda en un DOM sin navegador (jsdom):
+ * - axe-core sobre cada vista, sin el contraste de color (jsdom no calcula estilos ni diseño).
+ * - Los controles del carrito son botones con nombre y estado (`aria-checked`) que se alcanzan con Tab.
+ * - Las notificaciones y los cambios de cantidad se anuncian en regiones `aria-live`.
+ * - El carrito flotante se abre y se mueve con el teclado.
+ *
+ * Uso: npm test
+ */
+
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axe = require('axe-core');
+const { loadStore, waitFor } = require('./helpers/load-store.js');
+
+/**
+ * @const {Array<string>} NATIVE_FOCUSABLE
+ * @description Elementos que el teclado alcanza y activa sin atributos extra.
+ */
+const NATIVE_FOCUSABLE = ['BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'SUMMARY'];
+
+let store;
+
+beforeEach(async () => {
+    store = await loadStore();
+});
+
+afterEach(() => {
+    store.close();
+});
+
+/**
+ * Navega a una ruta de la tienda y espera a que el enrutador la procese.
+ * @param {string} hash - La ruta (ej. `#/cart`).
+ */
+async function goTo(hash) {
+    store.window.location.hash = hash;
+    await new Promise(resolve => setTimeout(resolve, 50));
+}
+
+/**
+ * Añade al carrito los primeros productos de la cuadrícula.
+ * @param {number} count - Cuántos productos.
+ */
+function addProducts(count) {
+    Array.from(store.document.querySelectorAll('.product-card .add-to-cart'))
+        .filter(button => !button.disabled)
+        .slice(0, count)
+        .forEach(button => button.click());
+}
+
+/**
+ * Ejecuta axe-core sobre el documento.
+ * @returns {Promise<Array<Object>>} Las infracciones encontradas.
+ */
+async function runAxe() {
+    if (!store.window.axe) store.window.eval(axe.source);
+    const results = await store.window.axe.run(store.document, {
+        runOnly: { type: 'tag', values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'best-practice'] },
+        rules: { 'color-contrast': { enabled: false } }
+    });
+    return Array.from(results.violations);
+}
+
+/**
+ * Resume las infracciones de axe para el mensaje de una aserción.
+ * @param {Array<Object>} violations - Las infracciones.
+ * @returns {string} Una línea por regla, con los primeros elementos afectados.
+ */
+function describeViolations(violations) {
+    return violations
+        .map(v => `${v.id}: ${v.nodes.slice(0, 3).map(node => node.target.join(' ')).join(', ')}`)
+        .join('\n');
+}
+
+for (const hash of ['#/', '#/cart', '#/wishlist', '#/compare', '#/product/2']) {
+    test(`axe no encuentra infracciones en ${hash}`, async () => {
+        addProducts(2);
+        await goTo(hash);
+        const violations = await runAxe();
+        assert.deepEqual(violations, [], describeViolations(violations));
+    });
+}
+
+test('axe no encuentra infracciones en el checkout', async () => {
+    addProducts(3);
+    await goTo('#/cart');
+    store.document.getElementById('selectAllCheckbox').click();
+    store.document.querySelector('#cartCheckoutBar .checkout-btn').click();
+    await goTo('#/checkout');
+    assert.equal(store.window.location.hash, '#/checkout');
+    const violations = await runAxe();
+    assert.deepEqual(violations, [], describeViolations(violations));
+});
+
+test('todo lo que responde a un clic se alcanza con el teclado', async () => {
+    addProducts(2);
+    await goTo('#/cart');
+    const offenders = Array.from(store.document.querySelectorAll('[data-action]'))
+        .concat(Array.from(store.document.querySelectorAll('*')).filter(element => element.onclick))
+        .filter(element => {
+            if (NATIVE_FOCUSABLE.includes(element.tagName) || (element.tagName === 'A' && element.hasAttribute('href'))) {
+                return false;
+            }
+            return !(element.hasAttribute('role') && element.tabIndex >= 0);
+        })
+        .map(element => element.outerHTML.slice(0, 80));
+    assert.deepEqual(offenders, []);
+});
+
+test('las casillas del carrito son botones con nombre y estado', async () => {
+    addProducts(2);
+    await goTo('#/cart');
+    const { document } = store;
+
+    const checkboxes = document.querySelectorAll('#cartItemsList .checkbox');
+    assert.equal(checkboxes.length, 2);
+    checkboxes.forEach(checkbox => {
+        assert.equal(checkbox.tagName, 'BUTTON');
+        assert.equal(checkbox.getAttribute('role'), 'checkbox');
+        assert.equal(checkbox.getAttribute('aria-checked'), 'false');
+        assert.match(checkbox.getAttribute('aria-label'), /^Seleccionar .+/);
+    });
+
+    const selectAll = document.getElementById('selectAllCheckbox');
+    assert.equal(selectAll.tagName, 'BUTTON');
+    assert.equal(document.getElementById(selectAll.getAttribute('aria-labelledby')).textContent, 'Todos');
+    assert.equal(selectAll.getAttribute('aria-checked'), 'false');
+
+    // La línea se vuelve a construir al marcarla: el foco pasa a la casilla nueva, que ya está marcada.
+    checkboxes[0].focus();
+    checkboxes[0].click();
+    const first = document.querySelector('#cartItemsList .checkbox');
+    assert.equal(first.getAttribute('aria-checked'), 'true');
+    assert.equal(document.activeElement, first);
+    assert.equal(selectAll.getAttribute('aria-checked'), 'false');
+
+    selectAll.click();
+    assert.equal(selectAll.getAttribute('aria-checked'), 'true');
+    document.querySelectorAll('#cartItemsList .checkbox').forEach(checkbox => {
+        assert.equal(checkbox.getAttribute('aria-checked'), 'true');
+    });
+});
+
+test('los botones de cantidad y de eliminar tienen nombre', async () => {
+    addProducts(1);
+    await goTo('#/cart');
+    const { document } = store;
+    const name = document.querySelector('#cartItemsList .item-title').textContent;
+
+    const [minus, plus] = document.querySelectorAll('#cartItemsList .qty-btn');
+    assert.equal(minus.getAttribute('aria-label'), `Disminuir la cantidad de ${name}`);
+    assert.equal(plus.getAttribute('aria-label'), `Aumentar la cantidad de ${name}`);
+
+    const deleteBtn = document.querySelector('#cartItemsList .delete-btn');
+    assert.equal(deleteBtn.tagName, 'BUTTON');
+    assert.equal(deleteBtn.getAttribute('aria-label'), `Eliminar ${name} del carrito`);
+    document.querySelectorAll('#cartItemsList i').forEach(icon => {
+        assert.equal(icon.getAttribute('aria-hidden'), 'true');
+    });
+});
+
+test('los cambios de cantidad y las notificaciones se anuncian', async () => {
+    addProducts(1);
+    await goTo('#/cart');
+    const { document } = store;
+
+    const region = document.getElementById('notificationRegion');
+    assert.equal(region.getAttribute('aria-live'), 'polite');
+    assert.ok(region.querySelector('.notification'), 'la notificación de "añadido" está en la región');
+
+    document.querySelector('#cartItemsList .qty-btn:nth-of-type(2)').click();
+    const announcer = document.getElementById('srAnnouncer');
+    assert.equal(announcer.getAttribute('aria-live'), 'polite');
+    await waitFor(() => announcer.textContent !== '');
+    assert.match(announcer.textContent, /: 2$/);
+});
+
+test('el carrito flotante se abre y se mueve con el teclado', async () => {
+    addProducts(2);
+    const { window, document } = store;
+    const floatingCart = document.getElementById('floatingCart');
+    assert.equal(floatingCart.getAttribute('role'), 'button');
+    assert.equal(floatingCart.tabIndex, 0);
+    assert.equal(floatingCart.getAttribute('aria-label'), 'Ver carrito (2 artículos)');
+    assert.ok(document.getElementById(floatingCart.getAttribute('aria-describedby')).textContent.trim());
+
+    const press = (key, init = {}) => {
+        const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init });
+        floatingCart.dispatchEvent(event);
+        return event;
+    };
+    floatingCart.style.left = '100px';
+    floatingCart.style.top = '100px';
+    floatingCart.getBoundingClientRect = () => ({
+        left: parseFloat(floatingCart.style.left), top: parseFloat(floatingCart.style.top), width: 0, height: 0
+    });
+
+    assert.ok(press('ArrowRight').defaultPrevented, 'la flecha no desplaza la página');
+    assert.equal(floatingCart.style.left, '110px');
+    press('ArrowDown', { shiftKey: true });
+    assert.equal(floatingCart.style.top, '150px');
+    press('ArrowLeft');
+    press('ArrowUp');
+    assert.deepEqual([floatingCart.style.left, floatingCart.style.top], ['100px', '140px']);
+
+    press('Enter');
+    assert.equal(window.location.hash, '#/cart');
+});
@@ -0,0 +1,144 @@
+/**
+ * @file test/cart-model.test.js
+ * @description Pruebas unitarias de js/cart-model.js, que no usa el DOM y se importa directamente en Node:
+ * - El almacén conserva el `lineId` y la selección de cada línea al quitar otras.
+ * - Los límites de cantidad (`getQuantityChange`) y el cálculo de totales y descuento (`calculateTotals`).
+ * - Las líneas que se crean desde un producto y sus variantes.
+ *
+ * Uso: npm test
+ */
+
+'use strict';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let model;
+
+before(async () => {
+    model = await import('../js/cart-model.js');
+});
+
+/**
+ * Crea una línea de prueba.
+ * @param {Object} [fields] - Los campos que cambian respecto a la línea por defecto.
+ * @returns {Object} La línea.
+ */
+function line(fields = {}) {
+    return { id: 1, name: 'Producto', price: 1000, oldPrice: 2000, quantity: 1, variant: 'Estándar', ...fields };
+}
+
+test('el almacén asigna lineIds estables y avisa una vez por lote', () => {
+    const store = model.createCartStore();
+    let changes = 0;
+    store.subscribe(() => changes++);
+
+    const first = store.addLine(line({ id: 1 }));
+    const second = store.addLine(line({ id: 2 }), true);
+    assert.deepEqual([first, second], [1, 2]);
+    assert.equal(changes, 2);
+    assert.ok(Object.isFrozen(store.getLine(first)));
+
+    store.batch(() => {
+        store.updateLine(first, { quantity: 3 });
+        store.setSelected(first, true);
+    });
+    assert.equal(changes, 3);
+    assert.equal(store.getLine(first).quantity, 3);
+    assert.deepEqual(store.getSelectedLines().map(item => item.lineId), [first, second]);
+});
+
+test('quitar una línea no cambia el lineId ni la selección de las demás', () => {
+    const store = model.createCartStore();
+    const ids = [1, 2, 3, 4].map(id => store.addLine(line({ id })));
+    store.setSelection([ids[0], ids[2], ids[3]]);
+
+    store.removeLines([ids[1]]);
+    assert.deepEqual(store.getLines().map(item => item.lineId), [ids[0], ids[2], ids[3]]);
+    assert.deepEqual(store.getSelectedLines().map(item => item.id), [1, 3, 4]);
+
+    // Quitar la primera línea tampoco desplaza la selección a la siguiente posición.
+    store.removeLines([ids[0]]);
+    assert.deepEqual(store.getSelectedLines().map(item => item.lineId), [ids[2], ids[3]]);
+
+    // Los IDs quitados no se reutilizan.
+    const added = store.addLine(line({ id: 5 }));
+    assert.equal(added, 5);
+    assert.equal(store.isSelected(added), false);
+});
+
+test('restaurar líneas quitadas recupera su posición, su lineId y su selección', () => {
+    const store = model.createCartStore();
+    const ids = [1, 2, 3].map(id => store.addLine(line({ id })));
+    store.setSelection([ids[1]]);
+
+    const captured = store.captureLines([ids[1]]);
+    store.removeLines([ids[1]]);
+    store.restoreLines(captured);
+    assert.deepEqual(store.getLines().map(item => item.lineId), ids);
+    assert.equal(store.isSelected(ids[1]), true);
+});
+
+test('replace conserva los lineId válidos y numera los demás', () => {
+    const store = model.createCartStore();
+    store.replace([line({ id: 1, lineId: 7 }), line({ id: 2, lineId: 7 }), line({ id: 3, lineId: 'x' })], [7, 99]);
+    assert.deepEqual(store.getLines().map(item => item.lineId), [7, 8, 9]);
+    assert.deepEqual(store.getSelectedLines().map(item => item.id), [1]);
+});
+
+test('getQuantityChange suma y resta unidades sin pasar de las existencias', () => {
+    assert.deepEqual(model.getQuantityChange(line({ quantity: 2 }), 1), { status: 'update', quantity: 3 });
+    assert.deepEqual(model.getQuantityChange(line({ quantity: 2 }), -1), { status: 'update', quantity: 1 });
+    assert.deepEqual(model.getQuantityChange(line({ quantity: 1 }), -1), { status: 'remove', quantity: 0 });
+    assert.deepEqual(model.getQuantityChange(line({ quantity: 18, stock: 18 }), 1), { status: 'over-stock', quantity: 18 });
+    assert.deepEqual(model.getQuantityChange(line({ quantity: 17, stock: 18 }), 1), { status: 'update', quantity: 18 });
+    // Sin control de existencias no hay límite.
+    assert.deepEqual(model.getQuantityChange(line({ quantity: 500 }), 1), { status: 'update', quantity: 501 });
+    // Si las existencias bajaron por debajo de la cantidad, se puede seguir restando.
+    assert.deepEqual(model.getQuantityChange(line({ quantity: 10, stock: 4 }), -1), { status: 'update', quantity: 9 });
+    // Una cantidad no válida cuenta como 1.
+    assert.deepEqual(model.getQuantityChange(line({ quantity: 'abc' }), 1), { status: 'update', quantity: 2 });
+    assert.deepEqual(model.getQuantityChange(line({ quantity: 0 }), -1), { status: 'remove', quantity: 0 });
+});
+
+test('calculateTotals suma los precios actuales y anteriores y calcula el descuento', () => {
+    const lines = [line({ price: 1000, oldPrice: 2000, quantity: 2 }), line({ price: 500, oldPrice: 500, quantity: 1 })];
+    assert.deepEqual(model.calculateTotals(lines), {
+        count: 2, total: 2500, oldTotal: 4500, priceDiscount: 2000, discountPercent: 44.4
+    });
+});
+
+test('calculateTotals descuenta los cupones después de la rebaja de precio', () => {
+    const totals = model.calculateTotals([line({ price: 1000, oldPrice: 2000, quantity: 2 })], 500);
+    assert.equal(totals.total, 1500);
+    assert.equal(totals.oldTotal, 4000);
+    // La rebaja de precio no incluye el cupón; el porcentaje total sí.
+    assert.equal(totals.priceDiscount, 2000);
+    assert.equal(totals.discountPercent, 62.5);
+});
+
+test('calculateTotals sin líneas o sin rebaja da cero', () => {
+    assert.deepEqual(model.calculateTotals([]), {
+        count: 0, total: 0, oldTotal: 0, priceDiscount: 0, discountPercent: 0
+    });
+    // Un precio anterior menor que el actual no da una rebaja ni un porcentaje negativos.
+    const totals = model.calculateTotals([line({ price: 1200, oldPrice: 1000 })]);
+    assert.equal(totals.priceDiscount, 0);
+    assert.equal(totals.discountPercent, 0);
+});
+
+test('createCartLine aplica la variante sin modificar el producto', () => {
+    const product = {
+        id: 9, name: 'Lámpara', price: 1000, oldPrice: 1500, stock: 5, images: ['a.jpg'],
+        variants: [{ name: 'Azul' }, { name: 'Rojo', price: 1200, stock: 0 }]
+    };
+    const red = model.createCartLine(product, 'Rojo', 2);
+    assert.deepEqual(red, { id: 9, name: 'Lámpara', price: 1200, oldPrice: 1500, stock: 0, quantity: 2, variant: 'Rojo' });
+    assert.equal(product.price, 1000);
+    assert.equal(model.isLineSoldOut(red), true);
+
+    assert.equal(model.getDefaultVariantName(product), 'Azul');
+    assert.equal(model.isVariantAvailable(product, 'Rojo'), false);
+    assert.equal(model.isVariantAvailable(product, 'Verde'), false);
+    assert.equal(model.getDefaultVariantName({ id: 1 }), model.DEFAULT_VARIANT);
+});
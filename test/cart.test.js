@@ -0,0 +1,236 @@
+/**
+ * @file test/cart.test.js
+ * @description Pruebas del carrito en la tienda cargada en jsdom (ver helpers/load-store.js):
+ * - `formatPrice` en la moneda y el idioma elegidos.
+ * - `updateTotals`: lo que muestra la barra de pago para las líneas seleccionadas.
+ * - `changeQty` en sus límites: bajar de 1, superar las existencias y cambios no válidos.
+ * - `removeItem` conserva la selección de las demás líneas y se puede deshacer.
+ * - La API pública de js/cart-api.js y sus eventos `cart:change` y `cart:checkout`.
+ *
+ * Uso: npm test
+ */
+
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadStore, waitFor } = require('./helpers/load-store.js');
+
+let store;
+let cart;
+let utils;
+
+beforeEach(async () => {
+    store = await loadStore();
+    cart = store.module('js/cart.js');
+    utils = store.module('js/utils.js');
+});
+
+afterEach(() => {
+    store.close();
+});
+
+/**
+ * Añade productos al carrito por su ID (una unidad de la variante por defecto de cada uno).
+ * @param {...number} productIds - Los IDs.
+ * @returns {Array<number>} Los `lineId` de las líneas, en orden.
+ */
+function addProducts(...productIds) {
+    productIds.forEach(productId => cart.addToCart(productId));
+    return cart.cartStore.getLines().map(line => line.lineId);
+}
+
+/**
+ * Devuelve el estado de las líneas pintadas en el carrito.
+ * @returns {Array<{name: string, checked: string}>} El nombre y `aria-checked` de cada línea.
+ */
+function renderedLines() {
+    return Array.from(store.document.querySelectorAll('#cartItemsList .cart-item'), item => ({
+        name: item.querySelector('.item-title').textContent,
+        checked: item.querySelector('.checkbox').getAttribute('aria-checked')
+    }));
+}
+
+/**
+ * @returns {string} El texto de la notificación visible (sin el botón de acción).
+ */
+function notificationText() {
+    const notification = store.document.querySelector('.notification');
+    return notification ? notification.firstChild.textContent : '';
+}
+
+test('formatPrice muestra pesos colombianos sin decimales', () => {
+    assert.match(utils.formatPrice(5108), /^\$\s5\.108$/);
+    assert.match(utils.formatPrice(1234567), /^\$\s1\.234\.567$/);
+    assert.match(utils.formatPrice(0), /^\$\s0$/);
+});
+
+test('formatPrice trata como 0 lo que no es un número finito', () => {
+    [undefined, '5108', NaN, Infinity].forEach(value => {
+        assert.match(utils.formatPrice(value), /^\$\s0$/);
+    });
+    assert.equal(store.errors.filter(error => error.includes('formatPrice esperaba un número')).length, 4);
+});
+
+test('formatPrice convierte a la moneda elegida', async () => {
+    store.close();
+    store = await loadStore({ storage: { 'temu-clone:locale': { locale: 'en-US', currency: 'USD' } } });
+    const { formatPrice } = store.module('js/utils.js');
+    // rates.json: 1 COP = 0.00025 USD.
+    assert.equal(formatPrice(5108), '$1.28');
+    assert.equal(formatPrice(4000000), '$1,000.00');
+});
+
+test('updateTotals muestra el total, el precio anterior y el descuento de las líneas seleccionadas', () => {
+    const { document } = store;
+    const [bracket, bulb] = addProducts(2, 3);
+    const total = () => document.getElementById('totalCurrent').textContent;
+
+    assert.equal(total(), utils.formatPrice(0));
+    assert.equal(document.getElementById('checkoutCount').textContent, '0');
+
+    cart.cartStore.setSelection([bracket, bulb]);
+    // products.json: 32.666 + 42.052 frente a 56.559 + 79.541.
+    assert.equal(total(), utils.formatPrice(74718));
+    assert.equal(document.getElementById('totalOld').textContent, utils.formatPrice(136100));
+    assert.equal(document.getElementById('checkoutCount').textContent, '2');
+    assert.equal(document.querySelector('#cartCheckoutBar .discount-label').textContent, '-45.1% tiempo limitado');
+
+    cart.changeQty(bracket, 1);
+    assert.equal(total(), utils.formatPrice(74718 + 32666));
+
+    cart.cartStore.setSelected(bulb, false);
+    assert.equal(total(), utils.formatPrice(2 * 32666));
+    assert.equal(document.getElementById('totalOld').textContent, utils.formatPrice(2 * 56559));
+    assert.equal(document.getElementById('checkoutCount').textContent, '1');
+});
+
+test('changeQty por debajo de 1 quita la línea y se puede deshacer', async () => {
+    const [lineId] = addProducts(2);
+    cart.changeQty(lineId, 1);
+    cart.changeQty(lineId, -1);
+    assert.equal(cart.cartStore.getLine(lineId).quantity, 1);
+
+    cart.changeQty(lineId, -1);
+    assert.equal(cart.cartStore.getLines().length, 0);
+    assert.equal(notificationText(), 'Se eliminó "Palanca de Freno y Embrague CNC" del carrito');
+
+    store.document.querySelector('.notification .notification-action').click();
+    assert.equal(cart.cartStore.getLine(lineId).quantity, 1);
+});
+
+test('changeQty no supera las existencias', () => {
+    // products.json: el producto 4 tiene 18 unidades.
+    const [lineId] = addProducts(4);
+    cart.setQty(lineId, 17);
+    cart.changeQty(lineId, 1);
+    assert.equal(cart.cartStore.getLine(lineId).quantity, 18);
+
+    cart.changeQty(lineId, 1);
+    assert.equal(cart.cartStore.getLine(lineId).quantity, 18);
+    assert.equal(notificationText(), 'Solo hay 18 unidades disponibles');
+
+    // Restar sigue funcionando en el límite.
+    cart.changeQty(lineId, -1);
+    assert.equal(cart.cartStore.getLine(lineId).quantity, 17);
+});
+
+test('changeQty rechaza cambios no válidos y líneas que no existen', () => {
+    const [lineId] = addProducts(2);
+    [NaN, 1.5, '1', undefined].forEach(change => cart.changeQty(lineId, change));
+    assert.equal(cart.cartStore.getLine(lineId).quantity, 1);
+    assert.equal(store.errors.filter(error => error.includes('El cambio de cantidad debe ser un número entero')).length, 4);
+
+    cart.changeQty(999, 1);
+    assert.ok(store.errors.some(error => error.includes('Línea de carrito inválida')));
+    assert.equal(cart.cartStore.getLines().length, 1);
+});
+
+test('changeQty anuncia la nueva cantidad', async () => {
+    const [lineId] = addProducts(3);
+    cart.changeQty(lineId, 2);
+    const announcer = store.document.getElementById('srAnnouncer');
+    await waitFor(() => announcer.textContent !== '');
+    assert.match(announcer.textContent, /: 3$/);
+});
+
+test('removeItem conserva la selección de las líneas restantes', async () => {
+    const ids = addProducts(2, 3, 4, 5);
+    const names = cart.cartStore.getLines().map(line => line.name);
+    cart.cartStore.setSelection([ids[0], ids[2], ids[3]]);
+    store.window.location.hash = '#/cart';
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    cart.removeItem(ids[1]);
+    assert.deepEqual(renderedLines(), [
+        { name: names[0], checked: 'true' },
+        { name: names[2], checked: 'true' },
+        { name: names[3], checked: 'true' }
+    ]);
+    assert.equal(store.document.getElementById('checkoutCount').textContent, '3');
+
+    // Al quitar la primera, la selección no pasa a la línea que ocupa su lugar.
+    cart.cartStore.setSelected(ids[2], false);
+    cart.removeItem(ids[0]);
+    assert.deepEqual(renderedLines(), [
+        { name: names[2], checked: 'false' },
+        { name: names[3], checked: 'true' }
+    ]);
+    assert.deepEqual(Array.from(cart.cartStore.getLines(), line => line.lineId), [ids[2], ids[3]]);
+
+    // Deshacer devuelve la línea a su posición, seleccionada.
+    store.document.querySelector('.notification .notification-action').click();
+    assert.deepEqual(renderedLines(), [
+        { name: names[0], checked: 'true' },
+        { name: names[2], checked: 'false' },
+        { name: names[3], checked: 'true' }
+    ]);
+});
+
+test('la API pública lanza cart:change con el estado del carrito', () => {
+    const { cart: api } = store.module('js/cart-api.js');
+    const events = [];
+    store.document.addEventListener('cart:change', event => events.push(event.detail));
+
+    api.add(2);
+    api.add(2);
+    assert.equal(events.length, 2);
+    const [line] = events[1].lines;
+    assert.equal(line.productId, 2);
+    assert.equal(line.quantity, 2);
+    assert.equal(line.selected, false);
+    assert.equal(events[1].units, 2);
+    assert.equal(events[1].totals.count, 0);
+
+    api.setQuantity(line.lineId, 5);
+    assert.equal(events[2].units, 5);
+    assert.equal(api.getSnapshot().lines[0].quantity, 5);
+
+    api.remove(line.lineId);
+    assert.equal(events[3].lines.length, 0);
+    assert.equal(Object.isFrozen(api), true);
+});
+
+test('cart:checkout se lanza antes de abrir el checkout y se puede cancelar', async () => {
+    const { cart: api } = store.module('js/cart-api.js');
+    const ids = addProducts(2, 3);
+    cart.cartStore.setSelection([ids[1]]);
+
+    let detail = null;
+    const cancel = event => {
+        detail = event.detail;
+        event.preventDefault();
+    };
+    store.document.addEventListener('cart:checkout', cancel);
+    api.checkout();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.notEqual(store.window.location.hash, '#/checkout');
+    assert.equal(detail.totals.count, 1);
+    assert.equal(detail.totals.total, 42052);
+    assert.deepEqual(Array.from(detail.lines.filter(line => line.selected), line => line.productId), [3]);
+
+    store.document.removeEventListener('cart:checkout', cancel);
+    store.document.querySelector('#cartCheckoutBar .checkout-btn').click();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(store.window.location.hash, '#/checkout');
+});
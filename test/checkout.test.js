@@ -0,0 +1,100 @@
+/**
+ * @file test/checkout.test.js
+ * @description Pruebas del envío del pedido (`submitOrder` en js/checkout.js) en la tienda cargada en jsdom:
+ * - Cada pedido viaja con una `Idempotency-Key` que se repite en los reintentos del mismo pedido y cambia con
+ *   el siguiente.
+ * - Si el envío falla en la red aunque el navegador se crea conectado, el pedido se pone en cola con esa clave.
+ *
+ * Uso: npm test
+ */
+
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadStore } = require('./helpers/load-store.js');
+
+let store;
+
+beforeEach(async () => {
+    store = await loadStore();
+});
+
+afterEach(() => {
+    store.close();
+});
+
+/**
+ * Prepara un pedido de una unidad del producto 3 listo para enviarse desde el paso de revisión.
+ */
+function prepareOrder() {
+    const cart = store.module('js/cart.js');
+    cart.addToCart(3);
+    cart.cartStore.setSelection(cart.cartStore.getLines().map(line => line.lineId));
+    Object.assign(store.module('js/checkout.js').checkoutState, {
+        address: { fullName: 'Ana Pérez', phone: '3001234567', department: 'Cundinamarca', city: 'Bogotá', line1: 'Calle 1 # 2-3' },
+        shippingMethod: 'standard',
+        paymentMethod: 'cash'
+    });
+}
+
+/**
+ * Sustituye el `fetch` de la tienda para `checkoutEndpoint`: cada envío recibe la siguiente respuesta de la lista
+ * (un objeto `{ status, body }` o un error que se lanza).
+ * @param {Array<(Object|Error)>} responses - Las respuestas, en orden.
+ * @returns {Array<Object>} Las cabeceras de cada envío.
+ */
+function stubCheckout(responses) {
+    const { window } = store;
+    const sent = [];
+    const serveFile = window.fetch;
+    window.fetch = async (url, options) => {
+        if (String(url) !== '/api/checkout') return serveFile(url, options);
+        sent.push(options.headers);
+        const next = responses.shift();
+        if (next instanceof Error) throw next;
+        return { ok: next.status < 400, status: next.status, json: async () => next.body };
+    };
+    return sent;
+}
+
+test('un reintento tras perder la respuesta reutiliza la Idempotency-Key', async () => {
+    const sent = stubCheckout([
+        Object.assign(new Error('Tiempo agotado'), { name: 'AbortError' }),
+        { status: 201, body: { orderId: 'CAFE', total: 49952 } },
+        { status: 201, body: { orderId: 'D00D', total: 49952 } }
+    ]);
+    const checkout = store.module('js/checkout.js');
+    prepareOrder();
+
+    await checkout.submitOrder();
+    assert.match(checkout.checkoutState.error, /^No pudimos conectar con el servidor/);
+    assert.equal(store.module('js/cart.js').cartStore.getLines().length, 1);
+
+    await checkout.submitOrder();
+    assert.equal(checkout.checkoutState.lastOrder.id, 'CAFE');
+    assert.equal(sent.length, 2);
+    assert.ok(sent[0]['Idempotency-Key']);
+    assert.equal(sent[1]['Idempotency-Key'], sent[0]['Idempotency-Key']);
+
+    // El siguiente pedido es otro: recibe una clave nueva.
+    prepareOrder();
+    await checkout.submitOrder();
+    assert.equal(checkout.checkoutState.lastOrder.id, 'D00D');
+    assert.notEqual(sent[2]['Idempotency-Key'], sent[0]['Idempotency-Key']);
+});
+
+test('un fallo de red con conexión aparente pone el pedido en cola con la misma clave', async () => {
+    const { window } = store;
+    const sent = stubCheckout([new TypeError('Failed to fetch')]);
+    const checkout = store.module('js/checkout.js');
+    prepareOrder();
+
+    await checkout.submitOrder();
+    const [queued] = JSON.parse(window.localStorage.getItem('temu-clone:order-queue'));
+    assert.equal(queued.id, sent[0]['Idempotency-Key']);
+    assert.deepEqual(queued.lines, [{ id: 3, variant: 'Estándar', quantity: 1 }]);
+    assert.equal(checkout.checkoutState.step, 'done');
+    assert.equal(checkout.checkoutState.error, '');
+    assert.equal(store.module('js/cart.js').cartStore.getLines().length, 0);
+});
@@ -0,0 +1,204 @@
+/**
+ * @file test/csp.test.js
+ * @description Pruebas de la Content-Security-Policy de index.html y de lo que la tienda necesita para cumplirla:
+ * - La política no admite scripts ni estilos en línea, ni `eval`.
+ * - Ni el HTML ni lo que pintan los módulos de js/ (incluido el aviso de error de carga) usan manejadores `on*`, atributos
+ *   `style` en el marcado o scripts en línea.
+ * - Todos los controles que se pulsan (botones, casillas y opciones de las listas) usan una acción de `data-action`
+ *   que el manejador delegado conoce, sin manejadores propios (`onclick`, `onchange`), y nada se expone en `window`.
+ *   Los botones que envían un formulario y los campos de valor (listas `select`, números) escuchan `submit`/`change`.
+ *
+ * jsdom no aplica la política, así que se comprueba lo que el navegador bloquearía.
+ *
+ * Uso: npm test
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { loadStore, ROOT } = require('./helpers/load-store.js');
+
+const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+const MODULES_DIR = path.join(ROOT, 'js');
+const moduleSources = Object.fromEntries(fs.readdirSync(MODULES_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map(file => [file, fs.readFileSync(path.join(MODULES_DIR, file), 'utf8')]));
+
+/**
+ * Lee la política declarada en index.html.
+ * @returns {Object<string, Array<string>>} Las fuentes de cada directiva.
+ */
+function readPolicy() {
+    const meta = new JSDOM(html).window.document.querySelector('meta[http-equiv="Content-Security-Policy"]');
+    assert.ok(meta, 'index.html declara una Content-Security-Policy');
+    const policy = {};
+    meta.getAttribute('content').split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [directive, ...sources] = part.split(/\s+/);
+        policy[directive] = sources;
+    });
+    return policy;
+}
+
+/**
+ * Lee los nombres de las acciones de `ACTIONS` en js/actions.js.
+ * @returns {Set<string>} Las acciones conocidas.
+ */
+function readActionNames() {
+    const block = moduleSources['actions.js'].match(/const ACTIONS = \{([\s\S]*?)\n\};/);
+    assert.ok(block, 'js/actions.js declara ACTIONS');
+    return new Set(Array.from(block[1].matchAll(/^\s+'([a-z-]+)':/gm), match => match[1]));
+}
+
+/**
+ * Busca los elementos que la política bloquearía o que dependen de código en línea.
+ * @param {Document} document - El documento.
+ * @returns {Array<string>} Una descripción de cada elemento problemático.
+ */
+function findInlineCode(document) {
+    const problems = [];
+    document.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes)
+            .filter(attribute => /^on/i.test(attribute.name) || /^\s*javascript:/i.test(attribute.value))
+            .forEach(attribute => problems.push(`${element.tagName.toLowerCase()} ${attribute.name}`));
+    });
+    document.querySelectorAll('script:not([src]), style').forEach(element => {
+        problems.push(`<${element.tagName.toLowerCase()}> en línea`);
+    });
+    return problems;
+}
+
+test('la política no admite código en línea ni eval', () => {
+    const policy = readPolicy();
+    assert.deepEqual(policy['script-src'], ["'self'"]);
+    assert.deepEqual(policy['object-src'], ["'none'"]);
+    assert.ok(policy['default-src'], 'hay una directiva por defecto');
+    assert.ok(policy['base-uri'], 'base-uri está restringido');
+    Object.entries(policy).forEach(([directive, sources]) => {
+        ['\'unsafe-inline\'', '\'unsafe-eval\'', '*'].forEach(source => {
+            assert.ok(!sources.includes(source), `${directive} no admite ${source}`);
+        });
+    });
+});
+
+/**
+ * Busca los controles que se pulsan y no pasan por el manejador delegado: sin `data-action` o con un manejador
+ * propio en la propiedad `onclick`/`onchange`.
+ * @param {Document} document - El documento.
+ * @returns {Array<string>} Una descripción de cada control problemático.
+ */
+function findControlsWithoutAction(document) {
+    const problems = [];
+    document.querySelectorAll('button, input[type="checkbox"], [role="option"]').forEach(element => {
+        const describe = () => `${element.tagName.toLowerCase()}.${element.className || element.id}`;
+        if (element.onclick || element.onchange) problems.push(`${describe()} tiene un manejador propio`);
+        const submitsForm = element.tagName === 'BUTTON' && element.type === 'submit' && element.form;
+        if (!element.dataset.action && !submitsForm) problems.push(`${describe()} sin data-action`);
+    });
+    return problems;
+}
+
+test('index.html no tiene manejadores, estilos ni scripts en línea', () => {
+    const { document } = new JSDOM(html).window;
+    assert.deepEqual(findInlineCode(document), []);
+    assert.deepEqual(Array.from(document.querySelectorAll('[style]'), element => element.outerHTML.slice(0, 60)), []);
+    document.querySelectorAll('script[src]').forEach(script => {
+        assert.doesNotMatch(script.getAttribute('src'), /^(https?:)?\/\//, 'los scripts se sirven desde la propia tienda');
+    });
+});
+
+test('los módulos no construyen HTML ni código a partir de texto', () => {
+    Object.entries(moduleSources).forEach(([file, source]) => {
+        assert.doesNotMatch(source, /\.innerHTML\s*=(?!\s*'';)/, file);
+        assert.doesNotMatch(source, /\.outerHTML\s*=|insertAdjacentHTML|document\.write/, file);
+        assert.doesNotMatch(source, /\beval\(|new Function\(|setTimeout\(\s*['"`]|import\(/, file);
+        assert.doesNotMatch(source, /setAttribute\(\s*'(style|on[a-z]+)'/, file);
+    });
+});
+
+test('las vistas se pintan sin código en línea y cada control usa una acción conocida', async () => {
+    const store = await loadStore();
+    try {
+        const { window, document } = store;
+        const actions = readActionNames();
+        const used = new Set();
+        const check = () => {
+            assert.deepEqual(findInlineCode(document), []);
+            assert.deepEqual(findControlsWithoutAction(document), []);
+            document.querySelectorAll('[data-action]').forEach(element => used.add(element.dataset.action));
+        };
+
+        check();
+        document.querySelectorAll('.product-card .add-to-cart:not(:disabled)')[0].click();
+        document.querySelector('.product-card .compare-toggle input').click();
+        for (const hash of ['#/cart', '#/wishlist', '#/compare', '#/orders', '#/product/2']) {
+            window.location.hash = hash;
+            await new Promise(resolve => setTimeout(resolve, 50));
+            check();
+        }
+
+        // Las opciones de las listas desplegables y el botón de las notificaciones también pasan por `data-action`.
+        window.location.hash = '#/cart';
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const cart = store.module('js/cart.js');
+        document.querySelector('.cart-item [data-action="open-quantity-picker"]').click();
+        check();
+        document.querySelectorAll('.picker-listbox [role="option"]')[2].click();
+        assert.equal(cart.cartStore.getLines()[0].quantity, 3);
+        document.querySelector('.cart-item [data-action="remove-item"]').click();
+        check();
+        document.querySelector('.notification .notification-action').click();
+        assert.equal(cart.cartStore.getLines().length, 1);
+
+        const unknown = Array.from(used).filter(action => !actions.has(action));
+        assert.deepEqual(unknown, []);
+        assert.deepEqual(store.errors.filter(error => error.includes('Acción desconocida')), []);
+        ['goBack', 'closeBanner', 'showNotification', 'showLoginNotice', 'toggleSelectAll', 'addAllToCart', 'checkout']
+            .forEach(name => assert.equal(typeof window[name], 'undefined', `${name} no está en window`));
+    } finally {
+        store.close();
+    }
+});
+
+test('el aviso de error de carga no usa estilos en línea', async () => {
+    const store = await loadStore({ files: { 'products.json': {} }, ready: '.catalog-load-error' });
+    try {
+        const message = store.document.querySelector('#productGrid .catalog-load-error');
+        assert.equal(message.hasAttribute('style'), false);
+        assert.deepEqual(findInlineCode(store.document), []);
+    } finally {
+        store.close();
+    }
+});
+
+test('el manejador delegado ejecuta las acciones del HTML y de lo pintado', async () => {
+    const store = await loadStore();
+    try {
+        const { window, document } = store;
+
+        document.querySelector('[data-action="toggle-filters"]').click();
+        assert.equal(document.getElementById('filterPanel').hidden, false);
+        assert.equal(document.getElementById('filterToggle').getAttribute('aria-expanded'), 'true');
+
+        // El clic en el icono de dentro del botón también cuenta.
+        document.querySelector('.product-card .add-to-cart i').click();
+        assert.equal(document.getElementById('cartItemCount').textContent, '1');
+
+        document.querySelector('[data-action="close-banner"]').click();
+        assert.equal(document.getElementById('appBanner').style.display, 'none');
+
+        window.location.hash = '#/cart';
+        await new Promise(resolve => setTimeout(resolve, 50));
+        document.querySelector('#cartItemsList [data-action="change-quantity"][data-delta="1"]').click();
+        assert.equal(document.querySelector('#cartItemsList .qty-display').textContent, '2');
+
+        document.querySelector('[data-action="go-back"]').click();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(window.location.hash, '#/');
+    } finally {
+        store.close();
+    }
+});
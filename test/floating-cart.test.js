@@ -0,0 +1,186 @@
+/**
+ * @file test/floating-cart.test.js
+ * @description Pruebas del carrito flotante (js/floating-cart.js) en la tienda cargada en jsdom:
+ * - Empieza pegado al borde derecho, siempre en el mismo sitio.
+ * - Al arrastrarlo con un puntero se pega al borde más cercano y recuerda la posición; un toque abre el carrito.
+ * - No tapa las barras inferiores y se recoloca al cambiar el tamaño de la ventana.
+ * - La animación "volar al carrito" al añadir un producto.
+ *
+ * jsdom no calcula el diseño: el tamaño del carrito y de las barras se simula en cada prueba.
+ *
+ * Uso: npm test
+ */
+
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadStore, waitFor } = require('./helpers/load-store.js');
+
+/**
+ * @const {number} CART_SIZE
+ * @description El ancho y el alto simulados del carrito flotante, en píxeles.
+ */
+const CART_SIZE = 60;
+
+let store;
+let floatingCart;
+
+beforeEach(async () => {
+    store = await loadStore();
+    floatingCart = setUpFloatingCart();
+});
+
+afterEach(() => {
+    store.close();
+});
+
+/**
+ * Da al carrito flotante de la tienda actual un tamaño y una posición en pantalla que sigue a sus estilos,
+ * y lo vuelve a colocar con ese tamaño.
+ * @returns {HTMLElement} El carrito flotante.
+ */
+function setUpFloatingCart() {
+    const element = store.document.getElementById('floatingCart');
+    Object.defineProperty(element, 'offsetWidth', { value: CART_SIZE, configurable: true });
+    Object.defineProperty(element, 'offsetHeight', { value: CART_SIZE, configurable: true });
+    element.getBoundingClientRect = () => {
+        const left = parseFloat(element.style.left);
+        const top = parseFloat(element.style.top);
+        return { left, top, width: CART_SIZE, height: CART_SIZE, right: left + CART_SIZE, bottom: top + CART_SIZE };
+    };
+    store.module('js/floating-cart.js').placeFloatingCart();
+    return element;
+}
+
+/**
+ * Lanza un evento de puntero sobre el carrito flotante.
+ * jsdom no tiene `PointerEvent`; un `MouseEvent` con `pointerId` basta para los manejadores.
+ * @param {string} type - `pointerdown`, `pointermove`, `pointerup` o `pointercancel`.
+ * @param {number} clientX - La posición horizontal del puntero.
+ * @param {number} clientY - La posición vertical del puntero.
+ * @param {number} [pointerId=1] - El puntero (cada dedo tiene el suyo).
+ */
+function pointer(type, clientX, clientY, pointerId = 1) {
+    const event = new store.window.MouseEvent(type, { clientX, clientY, bubbles: true, cancelable: true });
+    Object.defineProperty(event, 'pointerId', { value: pointerId });
+    floatingCart.dispatchEvent(event);
+}
+
+/**
+ * @returns {Array<number>} La posición del carrito flotante en píxeles (`left` y `top`).
+ */
+function position() {
+    return [parseFloat(floatingCart.style.left), parseFloat(floatingCart.style.top)];
+}
+
+test('el carrito flotante empieza pegado al borde derecho, siempre en el mismo sitio', async () => {
+    const { innerWidth, innerHeight } = store.window;
+    const [left, top] = position();
+    assert.equal(left, innerWidth - CART_SIZE - 12);
+    assert.ok(top > innerHeight / 2 && top <= innerHeight - CART_SIZE - 12);
+
+    store.close();
+    store = await loadStore();
+    floatingCart = setUpFloatingCart();
+    assert.deepEqual(position(), [left, top]);
+});
+
+test('al soltarlo se pega al borde más cercano y recuerda la posición', async () => {
+    const [left, top] = position();
+    pointer('pointerdown', left + 30, top + 30);
+    pointer('pointermove', 200, 300);
+    assert.deepEqual(position(), [170, 270]);
+
+    pointer('pointerup', 200, 300);
+    assert.deepEqual(position(), [12, 270]);
+    assert.ok(floatingCart.classList.contains('is-snapping'));
+    assert.notEqual(store.window.location.hash, '#/cart', 'arrastrar no abre el carrito');
+    await waitFor(() => !floatingCart.classList.contains('is-snapping'));
+
+    const saved = JSON.parse(store.window.localStorage.getItem('temu-clone:floating-cart'));
+    assert.equal(saved.x, 0);
+    assert.ok(saved.y > 0 && saved.y < 1);
+
+    store.close();
+    store = await loadStore({ storage: { 'temu-clone:floating-cart': saved } });
+    floatingCart = setUpFloatingCart();
+    assert.deepEqual(position(), [12, 270]);
+});
+
+test('un toque abre el carrito y un segundo dedo no mueve ni suelta el carrito', async () => {
+    const [left, top] = position();
+    pointer('pointerdown', left + 30, top + 30, 1);
+    pointer('pointerdown', 100, 100, 2);
+    pointer('pointermove', 100, 100, 2);
+    pointer('pointerup', 100, 100, 2);
+    assert.deepEqual(position(), [left, top]);
+    assert.notEqual(store.window.location.hash, '#/cart');
+
+    pointer('pointerup', left + 32, top + 31, 1);
+    await waitFor(() => store.window.location.hash === '#/cart');
+
+    // Un gesto que el sistema cancela no abre el carrito.
+    store.window.location.hash = '#/';
+    await waitFor(() => store.window.location.hash === '#/');
+    pointer('pointerdown', left + 30, top + 30);
+    pointer('pointercancel', left + 30, top + 30);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(store.window.location.hash, '#/');
+});
+
+test('no tapa las barras inferiores visibles y se recoloca al cambiar el tamaño de la ventana', async () => {
+    const { window, document } = store;
+    const bar = document.getElementById('productsBottomBar');
+    bar.getBoundingClientRect = () => ({ top: window.innerHeight - 70, height: 70 });
+
+    // Lo más abajo posible: la flecha no lo deja pasar de la barra.
+    for (let i = 0; i < 20; i++) {
+        floatingCart.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowDown', shiftKey: true }));
+    }
+    assert.equal(position()[1], window.innerHeight - 70 - CART_SIZE - 12);
+
+    // Una ventana más estrecha y sin barra: sigue en el borde derecho y en el fondo.
+    bar.getBoundingClientRect = () => ({ top: 0, height: 0 });
+    Object.defineProperty(window, 'innerWidth', { value: 400, configurable: true });
+    window.dispatchEvent(new window.Event('resize'));
+    await waitFor(() => position()[0] === 400 - CART_SIZE - 12);
+    assert.equal(position()[1], window.innerHeight - CART_SIZE - 12);
+});
+
+test('ignora una posición guardada que no es válida', async () => {
+    store.close();
+    store = await loadStore({ storage: { 'temu-clone:floating-cart': { version: 1, x: -5, y: 'abajo' } } });
+    floatingCart = setUpFloatingCart();
+    assert.equal(position()[0], store.window.innerWidth - CART_SIZE - 12);
+});
+
+test('al añadir un producto su imagen vuela hasta el carrito', () => {
+    const { window, document } = store;
+    const animations = [];
+    window.HTMLElement.prototype.animate = function (keyframes, options) {
+        const animation = { element: this, keyframes, options, onfinish: null, oncancel: null };
+        animations.push(animation);
+        return animation;
+    };
+    const card = document.querySelector('#productGrid .product-card');
+    card.querySelector('img').getBoundingClientRect = () => ({ left: 100, top: 200, width: 150, height: 150 });
+
+    card.querySelector('.add-to-cart').click();
+    const flyer = document.querySelector('.fly-to-cart');
+    assert.ok(flyer);
+    assert.equal(flyer.getAttribute('aria-hidden'), 'true');
+    assert.equal(flyer.querySelector('img').src, card.querySelector('img').src);
+    assert.equal(animations.length, 1);
+
+    animations[0].onfinish();
+    assert.equal(document.querySelector('.fly-to-cart'), null);
+    assert.equal(animations[1].element, floatingCart.querySelector('.floating-cart-icon'));
+
+    // Con el movimiento reducido no hay animación, pero el producto se añade igual.
+    window.matchMedia = query => ({ matches: query === '(prefers-reduced-motion: reduce)' });
+    card.querySelector('.add-to-cart').click();
+    assert.equal(document.querySelector('.fly-to-cart'), null);
+    assert.equal(animations.length, 2);
+    assert.equal(store.module('js/cart.js').cartStore.getLines()[0].quantity, 2);
+});
@@ -0,0 +1,136 @@
+/**
+ * @file test/helpers/load-store.js
+ * @description Carga la tienda (index.html, catalog-schema.js y los módulos de js/) en un DOM sin navegador (jsdom)
+ * para las pruebas.
+ *
+ * `fetch` sirve los archivos del repositorio (config.json, products.json, locales/...). La API del catálogo no
+ * existe aquí (responde 404), así que la tienda usa `products.json`, igual que en un hosting estático.
+ *
+ * jsdom no ejecuta `<script type="module">`: los módulos se evalúan con `vm.SourceTextModule` dentro del contexto
+ * de la ventana, lo que requiere `node --experimental-vm-modules` (ver el script `test` de package.json). Cada
+ * tienda evalúa sus propias copias de los módulos, así que no comparte estado con las demás.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Crea un `fetch` que responde con los archivos del repositorio.
+ * @param {Object<string, *>} overrides - Respuestas JSON que sustituyen a un archivo (ej. `{ 'products.json': [...] }`).
+ * @returns {Function} La función `fetch`.
+ */
+function createFetch(overrides) {
+    return async url => {
+        const file = String(url).split('?')[0].replace(/^\//, '');
+        if (Object.prototype.hasOwnProperty.call(overrides, file)) {
+            const body = JSON.stringify(overrides[file]);
+            return { ok: true, status: 200, json: async () => JSON.parse(body), text: async () => body };
+        }
+        const fullPath = path.join(ROOT, file);
+        if (!fullPath.startsWith(ROOT) || !fs.existsSync(fullPath) || !fs.statSync(fullPath).isFile()) {
+            return { ok: false, status: 404, json: async () => ({}), text: async () => '' };
+        }
+        const text = fs.readFileSync(fullPath, 'utf8');
+        return { ok: true, status: 200, json: async () => JSON.parse(text), text: async () => text };
+    };
+}
+
+/**
+ * Espera a que se cumpla una condición, comprobándola cada pocos milisegundos.
+ * @param {Function} condition - Devuelve un valor verdadero cuando se cumple.
+ * @param {number} [timeout=5000] - Milisegundos antes de rendirse.
+ * @returns {Promise<void>} Se rechaza si el tiempo se agota.
+ */
+async function waitFor(condition, timeout = 5000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) throw new Error('Tiempo de espera agotado');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Evalúa un módulo de la tienda y los que importa dentro de una ventana de jsdom.
+ * @param {JSDOM} dom - La ventana.
+ * @param {string} entry - El módulo de entrada, relativo a la raíz (ej. `js/main.js`).
+ * @returns {Promise<Function>} Devuelve el espacio de nombres de cualquier módulo ya evaluado (ej. `js/cart.js`).
+ */
+async function evaluateModules(dom, entry) {
+    if (typeof vm.SourceTextModule !== 'function') {
+        throw new Error('Los módulos de la tienda necesitan node --experimental-vm-modules (usa npm test)');
+    }
+    const context = dom.getInternalVMContext();
+    const modules = new Map();
+    const getModule = file => {
+        if (!modules.has(file)) {
+            const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+            modules.set(file, new vm.SourceTextModule(source, { identifier: file, context }));
+        }
+        return modules.get(file);
+    };
+
+    const root = getModule(entry);
+    await root.link((specifier, referencingModule) => {
+        return getModule(path.posix.join(path.posix.dirname(referencingModule.identifier), specifier));
+    });
+    await root.evaluate();
+    return file => {
+        if (!modules.has(file)) throw new Error(`Módulo no cargado: ${file}`);
+        return modules.get(file).namespace;
+    };
+}
+
+/**
+ * Carga la tienda y espera a que pinte el catálogo (o lo indicado en `options.ready`).
+ * @param {Object} [options] - Opciones.
+ * @param {string} [options.hash] - La ruta inicial (ej. `#/cart`).
+ * @param {Object<string, *>} [options.storage] - Datos de localStorage previos (se guardan como JSON).
+ * @param {Array<string>} [options.languages] - Los idiomas del navegador.
+ * @param {Object<string, *>} [options.files] - Ver `createFetch`.
+ * @param {string} [options.ready='#productGrid .product-card'] - El selector que indica que la tienda terminó de cargar.
+ * @returns {Promise<{window: Window, document: Document, errors: Array<string>, module: Function, close: Function}>}
+ *          La tienda cargada; `errors` reúne lo que la tienda escribió con `console.error` y `module(file)` devuelve
+ *          las exportaciones de un módulo (ej. `store.module('js/utils.js').formatPrice`).
+ */
+async function loadStore(options = {}) {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', (...args) => errors.push(args.map(String).join(' ')));
+    virtualConsole.on('jsdomError', error => errors.push(error.message));
+
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const dom = new JSDOM(html, {
+        url: `http://localhost/${options.hash || ''}`,
+        // Los módulos se evalúan en el contexto de la ventana, que solo existe si jsdom ejecuta scripts. Los
+        // <script src> no se descargan: catalog-schema.js y los módulos se evalúan abajo.
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+    window.fetch = createFetch(options.files || {});
+    window.scrollTo = () => {};
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+    const languages = options.languages || ['es-CO'];
+    Object.defineProperty(window.navigator, 'languages', { get: () => languages, configurable: true });
+    Object.entries(options.storage || {}).forEach(([key, value]) => {
+        window.localStorage.setItem(key, JSON.stringify(value));
+    });
+
+    window.eval(fs.readFileSync(path.join(ROOT, 'catalog-schema.js'), 'utf8'));
+    const getModule = await evaluateModules(dom, 'js/main.js');
+    // jsdom ya lanzó `DOMContentLoaded` mientras se enlazaban los módulos; el navegador lo lanza después de
+    // ejecutarlos, que es cuando js/main.js inicializa la tienda.
+    window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    await waitFor(() => window.document.querySelector(options.ready || '#productGrid .product-card'));
+
+    return { window, document: window.document, errors, module: getModule, close: () => window.close() };
+}
+
+module.exports = { loadStore, waitFor, ROOT };
@@ -0,0 +1,205 @@
+/**
+ * @file test/orders.test.js
+ * @description Pruebas del historial de pedidos (js/orders.js) en la tienda cargada en jsdom:
+ * - Cada pedido confirmado se guarda con sus artículos, precios, totales y fecha, y se ve en `#/orders`.
+ * - "Volver a comprar" añade los artículos al carrito y avisa de los que ya no existen, de los que no tienen
+ *   existencias suficientes y de los que cambiaron de precio.
+ * - Un pedido hecho sin conexión recibe su número cuando la cola lo envía, o sale del historial si el servidor
+ *   lo rechaza.
+ * - Los pedidos guardados con un formato inesperado se descartan.
+ *
+ * Uso: npm test
+ */
+
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadStore, waitFor } = require('./helpers/load-store.js');
+
+const ORDERS_KEY = 'temu-clone:orders';
+
+let store;
+
+beforeEach(async () => {
+    store = await loadStore();
+});
+
+afterEach(() => {
+    store.close();
+});
+
+/**
+ * Crea un pedido guardado de prueba.
+ * @param {Array<Object>} lines - Las líneas (`id`, `name`, `quantity`, `price`).
+ * @param {Object} [fields] - Los campos que cambian respecto al pedido por defecto.
+ * @returns {Object} El pedido, como lo guarda js/orders.js.
+ */
+function storedOrder(lines, fields = {}) {
+    const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    return {
+        id: 'A1B2',
+        placedAt: Date.UTC(2026, 8, 1, 15, 0),
+        lines: lines.map(line => ({ variant: 'Estándar', oldPrice: line.price, image: 'img/product-placeholder.svg', ...line })),
+        subtotal,
+        discount: 0,
+        coupons: [],
+        shipping: 0,
+        total: subtotal,
+        ...fields
+    };
+}
+
+/**
+ * Navega a una ruta de la tienda y espera a que el enrutador la procese.
+ * @param {string} hash - La ruta (ej. `#/orders`).
+ */
+async function visit(hash) {
+    store.window.location.hash = hash;
+    await new Promise(resolve => setTimeout(resolve, 50));
+}
+
+test('un pedido confirmado se guarda y se ve en Mis pedidos', async () => {
+    const { document, window } = store;
+    const cart = store.module('js/cart.js');
+    [2, 3].forEach(id => cart.addToCart(id));
+    cart.changeQty(cart.cartStore.getLines()[0].lineId, 1);
+    cart.cartStore.setSelection(cart.cartStore.getLines().map(line => line.lineId));
+    const lines = cart.cartStore.getSelectedLines();
+    const totals = { subtotal: 2 * 32666 + 42052, discount: 8000, coupons: [{ code: 'AHORRA8000' }], shipping: 0 };
+    totals.total = totals.subtotal - totals.discount;
+    store.module('js/checkout.js').completeOrder(lines, totals, { id: 'F00D', total: totals.total }, 'ok');
+
+    const [saved] = JSON.parse(window.localStorage.getItem(ORDERS_KEY)).orders;
+    assert.equal(saved.id, 'F00D');
+    assert.deepEqual(saved.lines.map(line => [line.id, line.quantity, line.price]), [[2, 2, 32666], [3, 1, 42052]]);
+    assert.equal(saved.total, 99384);
+    assert.deepEqual(saved.coupons, ['AHORRA8000']);
+    assert.ok(Math.abs(Date.now() - saved.placedAt) < 5000);
+
+    // El icono de cuenta de la cabecera abre el historial.
+    document.querySelector('.top-icons a[href="#/orders"]').click();
+    await visit('#/orders');
+    assert.equal(document.getElementById('ordersView').style.display, 'block');
+    const card = document.querySelector('#ordersList .order-card');
+    assert.equal(card.querySelector('.order-card-title').textContent, 'Pedido #F00D');
+    assert.deepEqual(Array.from(card.querySelectorAll('.review-line-name'), item => item.textContent), [
+        'Palanca de Freno y Embrague CNC · Estándar × 2',
+        'Bombilla LED individual · Estándar × 1'
+    ]);
+    assert.equal(card.querySelector('.summary-discount span').textContent, 'Descuento (AHORRA8000)');
+    assert.equal(card.querySelector('.summary-total span:last-child').textContent,
+        store.module('js/utils.js').formatPrice(99384));
+
+    // El historial sobrevive a una recarga.
+    store.close();
+    store = await loadStore({ hash: '#/orders', storage: { [ORDERS_KEY]: { version: 1, orders: [saved] } } });
+    await waitFor(() => store.document.querySelector('#ordersList .order-card'));
+});
+
+test('Mis pedidos sin pedidos muestra cómo empezar', async () => {
+    await visit('#/orders');
+    assert.match(store.document.getElementById('ordersList').textContent, /Aún no has hecho pedidos/);
+});
+
+test('volver a comprar añade los artículos al carrito y avisa de lo que cambió', async () => {
+    store.close();
+    const order = storedOrder([
+        { id: 2, name: 'Palanca de Freno y Embrague CNC', quantity: 2, price: 30000 },
+        { id: 4, name: 'Soporte de montaje de pared', quantity: 20, price: 5934 },
+        { id: 99999, name: 'Producto retirado', quantity: 1, price: 1000 }
+    ]);
+    store = await loadStore({ hash: '#/orders', storage: { [ORDERS_KEY]: { version: 1, orders: [order] } } });
+    const { document, window } = store;
+    await waitFor(() => document.querySelector('#ordersList [data-action="reorder"]'));
+
+    document.querySelector('#ordersList [data-action="reorder"]').click();
+    await waitFor(() => window.location.hash === '#/cart');
+
+    const lines = store.module('js/cart.js').cartStore.getLines();
+    assert.deepEqual(Array.from(lines, line => [line.id, line.quantity]), [[2, 2], [4, 18]]);
+    const { formatPrice } = store.module('js/utils.js');
+    const notification = document.querySelector('.notification').textContent;
+    assert.match(notification, /Añadimos 20 unidades a tu carrito\./);
+    assert.match(notification, /Ya no están en el catálogo: Producto retirado\./);
+    assert.match(notification, /No hay existencias suficientes de: Soporte de montaje de pared\./);
+    assert.ok(notification.includes(
+        `Cambió el precio de: Palanca de Freno y Embrague CNC (antes ${formatPrice(30000)}, ahora ${formatPrice(32666)}).`));
+    assert.doesNotMatch(notification, /Soporte de montaje de pared \(antes/);
+});
+
+test('volver a comprar sin nada disponible no abre el carrito', async () => {
+    store.close();
+    const order = storedOrder([{ id: 99999, name: 'Producto retirado', quantity: 1, price: 1000 }]);
+    store = await loadStore({ hash: '#/orders', storage: { [ORDERS_KEY]: { version: 1, orders: [order] } } });
+    await waitFor(() => store.document.querySelector('#ordersList [data-action="reorder"]'));
+
+    store.document.querySelector('#ordersList [data-action="reorder"]').click();
+    await waitFor(() => store.document.querySelector('.notification'));
+    assert.match(store.document.querySelector('.notification').textContent, /^No pudimos añadir nada/);
+    assert.equal(store.window.location.hash, '#/orders');
+    assert.equal(store.module('js/cart.js').cartStore.getLines().length, 0);
+});
+
+/**
+ * Hace un pedido sin conexión con una unidad del producto 3 y envía la cola con la respuesta indicada del servidor.
+ * @param {number} status - El código HTTP con el que responde `checkoutEndpoint`.
+ * @param {Object} body - El cuerpo de la respuesta.
+ * @returns {Promise<Object>} El pedido pendiente tal como quedó en el historial antes de enviarse.
+ */
+async function queueAndFlush(status, body) {
+    const { window } = store;
+    const cart = store.module('js/cart.js');
+    cart.addToCart(3);
+    cart.cartStore.setSelection(cart.cartStore.getLines().map(line => line.lineId));
+    const lines = cart.cartStore.getSelectedLines();
+    const totals = { subtotal: 42052, discount: 0, coupons: [], shipping: 0, total: 42052 };
+    store.module('js/offline.js').queueOfflineOrder({ items: [{ id: 3, quantity: 1 }] }, lines, totals);
+    const [pending] = JSON.parse(window.localStorage.getItem(ORDERS_KEY)).orders;
+
+    const serveFile = window.fetch;
+    window.fetch = async (url, options) => (String(url) === '/api/checkout'
+        ? { ok: status < 400, status, json: async () => body }
+        : serveFile(url, options));
+    window.dispatchEvent(new window.Event('online'));
+    await waitFor(() => window.localStorage.getItem('temu-clone:order-queue') === null);
+    return pending;
+}
+
+test('un pedido hecho sin conexión recibe su número al enviarse', async () => {
+    const pending = await queueAndFlush(201, { orderId: 'BEEF', total: 42052 });
+    assert.equal(pending.id, '');
+    assert.equal(typeof pending.queueId, 'string');
+
+    const orders = JSON.parse(store.window.localStorage.getItem(ORDERS_KEY)).orders;
+    assert.equal(orders.length, 1);
+    assert.equal(orders[0].id, 'BEEF');
+    assert.equal(orders[0].queueId, undefined);
+    await visit('#/orders');
+    assert.equal(store.document.querySelector('#ordersList .order-card-title').textContent, 'Pedido #BEEF');
+});
+
+test('un pedido hecho sin conexión que el servidor rechaza sale del historial', async () => {
+    await queueAndFlush(422, { errors: { items: 'El producto 3 ya no está disponible' } });
+
+    assert.equal(JSON.parse(store.window.localStorage.getItem(ORDERS_KEY)).orders.length, 0);
+    assert.deepEqual(Array.from(store.module('js/cart.js').cartStore.getLines(), line => [line.id, line.quantity]), [[3, 1]]);
+    await visit('#/orders');
+    assert.match(store.document.getElementById('ordersList').textContent, /Aún no has hecho pedidos/);
+});
+
+test('se descartan los pedidos guardados con un formato inesperado', async () => {
+    store.close();
+    const valid = storedOrder([{ id: 3, name: 'Bombilla LED individual', quantity: 1, price: 42052 }]);
+    const orders = [
+        valid,
+        { ...valid, lines: [] },
+        { ...valid, total: '42052' },
+        storedOrder([{ id: 3, name: '<img src=x onerror=alert(1)>', quantity: 0, price: 42052 }]),
+        null
+    ];
+    store = await loadStore({ hash: '#/orders', storage: { [ORDERS_KEY]: { version: 1, orders } } });
+    await waitFor(() => store.document.querySelector('#ordersList .order-card'));
+    assert.equal(store.document.querySelectorAll('#ordersList .order-card').length, 1);
+    assert.equal(JSON.parse(store.window.localStorage.getItem(ORDERS_KEY)).orders.length, 1);
+});
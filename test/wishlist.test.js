@@ -0,0 +1,56 @@
+/**
+ * @file test/wishlist.test.js
+ * @description Pruebas de los favoritos y los guardados para después (js/wishlist.js) en la tienda cargada en jsdom:
+ * - El corazón de una tarjeta solo añade y quita su propio artículo (la variante por defecto); lo guardado para
+ *   después desde el carrito se conserva.
+ *
+ * Uso: npm test
+ */
+
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadStore } = require('./helpers/load-store.js');
+
+const WISHLIST_KEY = 'temu-clone:wishlist';
+
+let store;
+
+beforeEach(async () => {
+    store = await loadStore();
+});
+
+afterEach(() => {
+    store.close();
+});
+
+/**
+ * Devuelve los artículos guardados en localStorage como `[id, variante, cantidad]`.
+ * @returns {Array<Array>} Los artículos.
+ */
+function storedEntries() {
+    const stored = JSON.parse(store.window.localStorage.getItem(WISHLIST_KEY));
+    return stored.items.map(entry => [entry.id, entry.variant, entry.quantity]);
+}
+
+test('quitar el corazón conserva las variantes guardadas para después', () => {
+    const { document } = store;
+    const cart = store.module('js/cart.js');
+    const wishlist = store.module('js/wishlist.js');
+    cart.addToCart(1, 'Azul');
+    const [line] = cart.cartStore.getLines();
+    cart.changeQty(line.lineId, 2);
+    wishlist.saveForLater(line.lineId);
+
+    const heart = document.querySelector('#productGrid .wishlist-toggle[data-wishlist-id="1"]');
+    assert.equal(heart.getAttribute('aria-pressed'), 'false');
+    heart.click();
+    assert.equal(heart.getAttribute('aria-pressed'), 'true');
+    assert.deepEqual(storedEntries(), [[1, 'Negro', 1], [1, 'Azul', 3]]);
+
+    heart.click();
+    assert.equal(heart.getAttribute('aria-pressed'), 'false');
+    assert.deepEqual(storedEntries(), [[1, 'Azul', 3]]);
+    assert.equal(document.querySelectorAll('#savedItemsList .saved-item').length, 1);
+});
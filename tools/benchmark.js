@@ -0,0 +1,344 @@
+/**
+ * @file tools/benchmark.js
+ * @description Benchmark del renderizado con claves de la cuadrícula y del carrito (`reconcileList` en js/utils.js).
+ *
+ * Carga la tienda real (index.html + js/main.js) dentro de esta página con un catálogo generado de varios miles de
+ * productos y mide cada escenario dos veces:
+ * - Incremental: como funciona la tienda, actualizando solo las tarjetas y líneas que cambiaron.
+ * - Reconstrucción completa: vaciando antes el contenedor, igual que hacía el antiguo `innerHTML = ''`.
+ * Cada medición incluye el recálculo de estilos y diseño (se fuerza leyendo `offsetHeight`).
+ *
+ * Uso: node tools/mock-server.js y abrir http://localhost:8080/tools/benchmark.html?n=3000&runs=15
+ */
+
+(function () {
+    'use strict';
+
+    const params = new URLSearchParams(location.search);
+    const RUNS = Math.max(1, Number(params.get('runs')) || 15);
+    const CART_LINES = 200;
+    // Los escenarios del carrito añaden productos distintos: hacen falta al menos CART_LINES + 2 * RUNS.
+    const PRODUCT_COUNT = Math.max(CART_LINES + 2 * RUNS, Number(params.get('n')) || 3000);
+    const APP_URL = new URL('../', location.href);
+
+    /**
+     * Genera un catálogo de `count` productos a partir de `products.json`, con IDs únicos y precios variados.
+     * El stock es alto para que añadir o cambiar cantidades nunca choque con el límite.
+     * @param {Array<Object>} base - Los productos reales.
+     * @param {number} count - Cuántos productos generar.
+     * @returns {Array<Object>} El catálogo generado.
+     */
+    function generateCatalog(base, count) {
+        return Array.from({ length: count }, (_, index) => {
+            const source = base[index % base.length];
+            const factor = 0.5 + ((index * 37) % 100) / 100;
+            const product = {
+                ...source,
+                id: index + 1,
+                name: `${source.name} #${index + 1}`,
+                price: Math.round(source.price * factor),
+                oldPrice: Math.round(source.oldPrice * factor),
+                stock: 999
+            };
+            if (Array.isArray(source.variants)) {
+                product.variants = source.variants.map(variant => ({
+                    ...variant,
+                    price: typeof variant.price === 'number' ? Math.round(variant.price * factor) : variant.price,
+                    stock: 999
+                }));
+            }
+            return product;
+        });
+    }
+
+    /**
+     * Sustituye `localStorage` por un almacenamiento en memoria para no modificar el carrito guardado de la tienda.
+     */
+    function useMemoryStorage() {
+        const data = new Map();
+        const storage = {
+            getItem: key => (data.has(key) ? data.get(key) : null),
+            setItem: (key, value) => data.set(key, String(value)),
+            removeItem: key => data.delete(key),
+            clear: () => data.clear()
+        };
+        Object.defineProperty(window, 'localStorage', { value: storage, configurable: true });
+    }
+
+    /**
+     * Redirige las peticiones relativas de la tienda a la raíz del proyecto y sirve el catálogo generado.
+     * La configuración se ajusta para leer el catálogo de `products.json` en una sola página, de modo que
+     * la cuadrícula tenga todas las tarjetas desde el principio.
+     * @param {Array<Object>} catalog - El catálogo generado.
+     */
+    function useGeneratedCatalog(catalog) {
+        const originalFetch = window.fetch.bind(window);
+        const jsonResponse = body => new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+        window.fetch = async (url, options) => {
+            if (url === 'products.json') {
+                return jsonResponse(catalog);
+            }
+            if (url === 'config.json') {
+                const config = await (await originalFetch(new URL(url, APP_URL).href, options)).json();
+                return jsonResponse({ ...config, catalogEndpoint: null, catalogPageSize: catalog.length });
+            }
+            return originalFetch(new URL(url, APP_URL).href, options);
+        };
+    }
+
+    /**
+     * Copia en esta página las hojas de estilo y el cuerpo de index.html, sin sus scripts.
+     */
+    async function mountStoreMarkup() {
+        const html = await (await fetch(new URL('index.html', APP_URL))).text();
+        const storeDocument = new DOMParser().parseFromString(html, 'text/html');
+
+        storeDocument.querySelectorAll('link[rel="stylesheet"]').forEach(link => {
+            const stylesheet = document.createElement('link');
+            stylesheet.rel = 'stylesheet';
+            stylesheet.href = new URL(link.getAttribute('href'), APP_URL).href;
+            document.head.appendChild(stylesheet);
+        });
+        storeDocument.querySelectorAll('script').forEach(script => script.remove());
+        storeDocument.querySelectorAll('[src]').forEach(element => {
+            element.setAttribute('src', new URL(element.getAttribute('src'), APP_URL).href);
+        });
+
+        const app = document.getElementById('benchmarkApp');
+        Array.from(storeDocument.body.childNodes).forEach(node => app.appendChild(document.importNode(node, true)));
+    }
+
+    /**
+     * Carga un script de la tienda.
+     * @param {string} name - El archivo (ej. `catalog-schema.js`).
+     * @param {string} [type] - El tipo del script (`module` para js/main.js, que importa el resto de módulos).
+     * @returns {Promise<void>} Se resuelve cuando el script se ejecutó.
+     */
+    function loadStoreScript(name, type) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            if (type) script.type = type;
+            script.src = new URL(name, APP_URL).href;
+            script.onerror = () => reject(new Error(`No se pudo cargar ${name}`));
+            script.onload = () => resolve();
+            document.body.appendChild(script);
+        });
+    }
+
+    /**
+     * Carga catalog-schema.js y los módulos de la tienda y lanza la inicialización, que espera a `DOMContentLoaded`.
+     * @returns {Promise<number>} Lo que tardó en aparecer la cuadrícula completa, en milisegundos.
+     */
+    async function startStore() {
+        await loadStoreScript('catalog-schema.js');
+        await loadStoreScript('js/main.js', 'module');
+        return new Promise(resolve => {
+            const grid = document.getElementById('productGrid');
+            const start = performance.now();
+            const observer = new MutationObserver(() => {
+                if (grid.children.length < PRODUCT_COUNT) return;
+                observer.disconnect();
+                forceLayout();
+                resolve(performance.now() - start);
+            });
+            observer.observe(grid, { childList: true });
+            document.dispatchEvent(new Event('DOMContentLoaded'));
+        });
+    }
+
+    /**
+     * Obliga al navegador a recalcular estilos y diseño para que la medición incluya ese trabajo.
+     */
+    function forceLayout() {
+        return document.body.offsetHeight;
+    }
+
+    /**
+     * Mide una acción. La tienda pinta de forma síncrona (el enrutador usa `history.pushState`),
+     * así que basta con forzar el diseño justo después.
+     * @param {Function} action - La acción a medir.
+     * @returns {number} La duración en milisegundos.
+     */
+    function measure(action) {
+        const start = performance.now();
+        action();
+        forceLayout();
+        return performance.now() - start;
+    }
+
+    /**
+     * Pulsa un botón de la tienda. La tienda atiende los clics con un manejador delegado en `document`, así que
+     * un botón que ya no está en la página (su contenedor se vació para la reconstrucción completa) se vuelve a
+     * conectar un momento para que el clic llegue.
+     * @param {HTMLElement} button - El botón.
+     */
+    function press(button) {
+        if (button.isConnected) {
+            button.click();
+            return;
+        }
+        document.body.appendChild(button);
+        button.click();
+        button.remove();
+    }
+
+    /**
+     * Espera al siguiente cuadro para que las mediciones no se acumulen en la misma tarea.
+     */
+    function nextFrame() {
+        return new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+    }
+
+    /**
+     * Navega a una ruta de la tienda y espera a que se pinte.
+     * @param {string} hash - La ruta, ej. `#/cart`.
+     */
+    async function navigate(hash) {
+        if (location.hash !== hash) {
+            const changed = new Promise(resolve => window.addEventListener('hashchange', resolve, { once: true }));
+            location.hash = hash;
+            await changed;
+        }
+        await nextFrame();
+    }
+
+    /**
+     * Resume una serie de mediciones.
+     * @param {Array<number>} times - Las duraciones.
+     * @returns {{median: number, min: number, max: number}} El resumen.
+     */
+    function summarize(times) {
+        const sorted = [...times].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        return { median, min: sorted[0], max: sorted[sorted.length - 1] };
+    }
+
+    /**
+     * Repite una acción `RUNS` veces.
+     * @param {Function} prepare - Recibe el número de repetición y devuelve la acción a medir. Se llama antes de
+     *        vaciar el contenedor, así que puede buscar en él el botón que la acción va a pulsar.
+     * @param {?HTMLElement} clearFirst - Si se indica, se vacía antes de cada acción para forzar una reconstrucción completa.
+     * @returns {Promise<Array<number>>} Las duraciones.
+     */
+    async function repeat(prepare, clearFirst) {
+        const times = [];
+        for (let run = 0; run < RUNS; run++) {
+            const action = prepare(run);
+            times.push(measure(() => {
+                if (clearFirst) clearFirst.replaceChildren();
+                action();
+            }));
+            await nextFrame();
+        }
+        return times;
+    }
+
+    /**
+     * Añade una fila a la tabla de resultados.
+     * @param {string} name - El escenario.
+     * @param {Array<number>} incremental - Las duraciones con el renderizado incremental.
+     * @param {?Array<number>} full - Las duraciones con reconstrucción completa, si aplica.
+     */
+    function addResultRow(name, incremental, full) {
+        const summary = summarize(incremental);
+        const row = document.createElement('tr');
+        const values = [name, summary.median, summary.min, summary.max, full ? summarize(full).median : null];
+        values.forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = typeof value === 'number' ? value.toFixed(1) : (value === null ? '—' : value);
+            row.appendChild(cell);
+        });
+        document.getElementById('benchmarkResults').appendChild(row);
+    }
+
+    /**
+     * Ejecuta todos los escenarios.
+     */
+    async function runScenarios() {
+        const status = document.getElementById('benchmarkStatus');
+        const grid = document.getElementById('productGrid');
+        const cartList = document.getElementById('cartItemsList');
+        const searchInput = document.querySelector('.search-box input');
+        const sortSelect = document.getElementById('sortSelect');
+        const addButton = id => grid.querySelector(`.product-card[data-product-id="${id}"] .add-to-cart`);
+        const search = query => {
+            searchInput.value = query;
+            searchInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+        };
+        const sortBy = value => {
+            sortSelect.value = value;
+            sortSelect.dispatchEvent(new Event('change'));
+        };
+
+        status.textContent = `Midiendo ${RUNS} repeticiones por escenario...`;
+        await navigate('#/');
+
+        // Alternar el orden mueve todas las tarjetas, pero ninguna cambia de contenido.
+        const sortRun = run => () => sortBy(run % 2 ? 'price-asc' : 'price-desc');
+        addResultRow(`Cambiar el orden (${PRODUCT_COUNT} tarjetas)`, await repeat(sortRun), await repeat(sortRun, grid));
+        sortBy('relevance');
+        await nextFrame();
+
+        // Buscar reconstruye las tarjetas que resaltan el término; borrar la búsqueda las devuelve a su estado normal.
+        const searchRun = run => () => search(run % 2 ? '' : 'led');
+        addResultRow('Buscar y borrar la búsqueda', await repeat(searchRun), await repeat(searchRun, grid));
+        search('');
+        await nextFrame();
+
+        // Llenar el carrito para que cada cambio tenga muchas líneas que no deberían tocarse.
+        for (let id = 1; id <= CART_LINES; id++) addButton(id).click();
+        await navigate('#/cart');
+
+        const quantityRun = run => {
+            const button = cartList.querySelector('.cart-item').querySelectorAll('.qty-btn')[run % 2 ? 0 : 1];
+            return () => press(button);
+        };
+        addResultRow(`Cambiar una cantidad (${CART_LINES} líneas)`,
+            await repeat(quantityRun), await repeat(quantityRun, cartList));
+
+        const selectRun = () => {
+            const checkbox = cartList.querySelector('.cart-item:nth-child(2) .checkbox');
+            return () => press(checkbox);
+        };
+        addResultRow(`Marcar una línea (${CART_LINES} líneas)`, await repeat(selectRun), await repeat(selectRun, cartList));
+
+        await navigate('#/');
+        const addRun = offset => run => {
+            const button = addButton(CART_LINES + offset + run + 1);
+            return () => press(button);
+        };
+        addResultRow('Añadir un producto nuevo al carrito', await repeat(addRun(0)), await repeat(addRun(RUNS), cartList));
+
+        status.textContent = `Listo: ${PRODUCT_COUNT} productos, ${RUNS} repeticiones por escenario. ` +
+            'Recarga la página para repetir la medición.';
+    }
+
+    /**
+     * Prepara la página: monta la tienda con el catálogo generado y mide la carga inicial.
+     */
+    async function init() {
+        const status = document.getElementById('benchmarkStatus');
+        const runButton = document.getElementById('benchmarkRun');
+        try {
+            const base = await (await fetch(new URL('products.json', APP_URL))).json();
+            useMemoryStorage();
+            useGeneratedCatalog(generateCatalog(base, PRODUCT_COUNT));
+            await mountStoreMarkup();
+            const loadTime = await startStore();
+            addResultRow(`Carga inicial (${PRODUCT_COUNT} tarjetas)`, [loadTime], null);
+
+            status.textContent = `Tienda cargada con ${PRODUCT_COUNT} productos.`;
+            runButton.disabled = false;
+            runButton.onclick = async () => {
+                runButton.disabled = true;
+                await runScenarios();
+            };
+        } catch (error) {
+            console.error('No se pudo preparar el benchmark:', error);
+            status.textContent = `Error: ${error.message}`;
+        }
+    }
+
+    init();
+})();
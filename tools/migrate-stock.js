@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * @file tools/migrate-stock.js
+ * @description Migración única del catálogo: añade el campo numérico `stock` a cada producto de `products.json`.
+ *
+ * Hasta ahora las existencias solo aparecían como texto en etiquetas como "Solo hay 50". Este script lee ese
+ * número y lo guarda en `stock`. Los productos sin esa etiqueta se dejan sin `stock` (existencias sin control),
+ * salvo que se indique `--default <n>`.
+ * Es idempotente: los productos que ya tienen `stock` no se modifican, por lo que puede ejecutarse de nuevo
+ * sin riesgo tras añadir productos nuevos.
+ *
+ * Uso: node tools/migrate-stock.js [ruta/a/products.json] [--default <n>] [--dry-run]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @const {RegExp} STOCK_BADGE_PATTERN
+ * @description Reconoce las etiquetas de existencias del catálogo (ej. "Solo hay 75").
+ */
+const STOCK_BADGE_PATTERN = /^\s*solo\s+hay\s+(\d+)\s*$/i;
+
+/**
+ * Extrae las existencias de una etiqueta "Solo hay N".
+ * @param {string} badge - La etiqueta del producto.
+ * @returns {?number} El número de unidades, o `null` si la etiqueta no es de existencias.
+ */
+function parseStockBadge(badge) {
+    const match = STOCK_BADGE_PATTERN.exec(String(badge || ''));
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Añade `stock` a los productos que no lo tienen.
+ * @param {Array<Object>} products - El catálogo.
+ * @param {?number} [defaultStock=null] - Las existencias para productos sin etiqueta de existencias; con `null`
+ *        esos productos quedan sin `stock`.
+ * @returns {{products: Array<Object>, fromBadge: number, fromDefault: number}} El catálogo migrado y un resumen.
+ */
+function migrateStock(products, defaultStock = null) {
+    let fromBadge = 0;
+    let fromDefault = 0;
+    const migrated = products.map(product => {
+        if (typeof product.stock === 'number') return product;
+        const badgeStock = parseStockBadge(product.badge);
+        if (badgeStock !== null) {
+            fromBadge++;
+        } else if (defaultStock !== null) {
+            fromDefault++;
+        } else {
+            return product;
+        }
+        // `stock` se inserta justo después de `badge` para mantener el orden de campos legible.
+        const entries = Object.entries(product);
+        const badgeIndex = entries.findIndex(([key]) => key === 'badge');
+        entries.splice(badgeIndex === -1 ? entries.length : badgeIndex + 1, 0,
+            ['stock', badgeStock !== null ? badgeStock : defaultStock]);
+        return Object.fromEntries(entries);
+    });
+    return { products: migrated, fromBadge, fromDefault };
+}
+
+function main(argv) {
+    const args = argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const defaultIndex = args.indexOf('--default');
+    const defaultStock = defaultIndex > -1 ? parseInt(args[defaultIndex + 1], 10) : null;
+    if (defaultStock !== null && (!Number.isInteger(defaultStock) || defaultStock < 0)) {
+        console.error('--default debe ser un entero no negativo');
+        return 1;
+    }
+    const file = args.find((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--default')
+        || path.join(__dirname, '..', 'products.json');
+
+    const products = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(products)) {
+        console.error(`${file} no contiene un array de productos`);
+        return 1;
+    }
+
+    const result = migrateStock(products, defaultStock);
+    console.log(defaultStock === null
+        ? `${result.fromBadge} productos con stock desde su etiqueta; los demás quedan sin stock.`
+        : `${result.fromBadge} productos con stock desde su etiqueta, ${result.fromDefault} con el valor por defecto (${defaultStock}).`);
+    if (!dryRun) {
+        fs.writeFileSync(file, JSON.stringify(result.products, null, 4) + '\n');
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv);
+}
+
+module.exports = { parseStockBadge, migrateStock };
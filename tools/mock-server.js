@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+/**
+ * @file tools/mock-server.js
+ * @description Servidor local de pruebas: sirve la tienda y simula la API de checkout para probar el flujo sin backend.
+ *
+ * - `GET /...`            Sirve los archivos estáticos del proyecto (index.html, js/, products.json, ...), salvo
+ *                         las carpetas ocultas (.git) y node_modules; una ruta mal codificada recibe 400.
+ * - `GET /api/products`   Sirve el catálogo por páginas (`?page=1&pageSize=12`), con el total y las facetas de
+ *                         marca y etiqueta, o productos concretos (`?ids=1,2,3`) para el carrito y los favoritos.
+ *                         Es la API de `catalogEndpoint` en `config.json`.
+ * - `POST /api/checkout`  Valida el pedido contra `products.json` y `config.json` (incluidas las reglas de pedido
+ *                         mínimo y envío gratis de `orderRules` y los cupones de `coupons.json`) y responde como lo haría el backend:
+ *                         201 con `{ orderId, total }`, 422 con `{ errors: { campo: mensaje } }` o 400 si el cuerpo
+ *                         no es JSON válido. Un reintento con la misma cabecera `Idempotency-Key` (el checkout y los pedidos
+ *                         hechos sin conexión) recibe la respuesta original en lugar de crear otro pedido.
+ *
+ * Para probar los casos de error del cliente se puede forzar un fallo con la variable `MOCK_FAIL`:
+ * - `MOCK_FAIL=500`   responde siempre 500.
+ * - `MOCK_FAIL=drop`  corta la conexión sin responder (el navegador lo ve como un fallo de red).
+ *
+ * Uso: node tools/mock-server.js [puerto]   (por defecto 8080)
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = Number(process.argv[2]) || 8080;
+const MAX_BODY_BYTES = 100 * 1024;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * @const {Map<string, Object>} acceptedOrders
+ * @description Las respuestas de los pedidos aceptados, por `Idempotency-Key`.
+ */
+const acceptedOrders = new Map();
+
+/**
+ * @const {Object<string, string>} MIME_TYPES
+ * @description Tipos de contenido de los archivos que sirve el proyecto.
+ */
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.webmanifest': 'application/manifest+json'
+};
+
+/**
+ * Lee un archivo JSON del proyecto.
+ * @param {string} name - El nombre del archivo relativo a la raíz.
+ * @returns {*} El contenido interpretado.
+ */
+function readJson(name) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, name), 'utf8'));
+}
+
+/**
+ * Envía una respuesta JSON.
+ * @param {http.ServerResponse} res - La respuesta.
+ * @param {number} status - El código HTTP.
+ * @param {Object} body - El cuerpo.
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Calcula el descuento de los cupones del pedido con las mismas reglas que el carrito (`coupons.json`).
+ * @param {Array<string>} codes - Los códigos enviados por el cliente.
+ * @param {Array<{product: Object, price: number, quantity: number}>} lines - Las líneas ya validadas.
+ * @param {Object<string, string>} errors - Los errores por campo; se añade `coupons` si algún código no es válido.
+ * @returns {{discount: number, freeShipping: boolean}} El descuento total y si algún cupón da envío gratis.
+ */
+function applyCoupons(codes, lines, errors) {
+    const coupons = readJson('coupons.json');
+    const subtotalOf = list => list.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    const subtotal = subtotalOf(lines);
+    let remaining = subtotal;
+    let freeShipping = false;
+
+    (Array.isArray(codes) ? codes : []).forEach(code => {
+        const coupon = coupons.find(c => c.code === code);
+        if (!coupon || (coupon.expires && new Date(`${coupon.expires}T23:59:59`) < new Date())) {
+            errors.coupons = `El cupón ${code} no es válido`;
+            return;
+        }
+        const eligible = lines.filter(line =>
+            (!Array.isArray(coupon.brands) || coupon.brands.includes(line.product.brand)) &&
+            (!Array.isArray(coupon.badges) || coupon.badges.includes(line.product.badge)));
+        const eligibleSubtotal = subtotalOf(eligible);
+        if (eligible.length === 0 || eligibleSubtotal < (coupon.minSpend || 0)) {
+            errors.coupons = `El cupón ${code} no aplica a este pedido`;
+            return;
+        }
+        let amount = 0;
+        if (coupon.type === 'percent') {
+            amount = Math.round(eligibleSubtotal * coupon.value / 100);
+            if (typeof coupon.maxDiscount === 'number') amount = Math.min(amount, coupon.maxDiscount);
+        } else if (coupon.type === 'fixed') {
+            amount = Math.min(coupon.value, eligibleSubtotal);
+        } else if (coupon.type === 'buy-x-get-y') {
+            const prices = eligible.flatMap(line => Array(line.quantity).fill(line.price)).sort((a, b) => a - b);
+            const freeUnits = Math.floor(prices.length / (coupon.buy + coupon.get)) * coupon.get;
+            amount = prices.slice(0, freeUnits).reduce((sum, price) => sum + price, 0);
+        } else if (coupon.type === 'free-shipping') {
+            freeShipping = true;
+        }
+        amount = Math.min(amount, remaining);
+        remaining -= amount;
+    });
+
+    return { discount: subtotal - remaining, freeShipping };
+}
+
+/**
+ * Valida un pedido como lo haría el backend. Nunca confía en los precios enviados por el cliente.
+ * @param {Object} order - El cuerpo recibido.
+ * @returns {{errors: Object<string, string>, total: number}} Los errores por campo y el total recalculado.
+ */
+function validateOrder(order) {
+    const errors = {};
+    const products = readJson('products.json');
+    const config = readJson('config.json');
+    const departments = readJson('colombia.json');
+
+    const address = order.address && typeof order.address === 'object' ? order.address : {};
+    const text = key => (typeof address[key] === 'string' ? address[key].trim() : '');
+    if (text('fullName').length < 3) errors.fullName = 'El nombre es obligatorio';
+    if (!/^(\+?57)?3\d{9}$/.test(text('phone').replace(/[\s-]/g, ''))) errors.phone = 'El celular no es válido';
+    const department = departments.find(d => d.name === text('department'));
+    if (!department) {
+        errors.department = 'Departamento no válido';
+    } else if (!department.cities.includes(text('city'))) {
+        errors.city = 'La ciudad no pertenece al departamento';
+    }
+    if (text('line1').length < 5) errors.line1 = 'La dirección es obligatoria';
+
+    const shipping = (config.shippingMethods || []).find(m => m.id === order.shippingMethod);
+    if (!shipping) errors.shippingMethod = 'Método de envío no válido';
+    if (!(config.paymentMethods || []).some(m => m.id === order.paymentMethod)) {
+        errors.paymentMethod = 'Método de pago no válido';
+    }
+
+    const rules = config.orderRules || {};
+    const minimumRule = rules.minimumOrder || {};
+    const shippingRule = rules.freeShipping || {};
+    const excluded = (product, exclude) => (exclude || []).some(c => product[c.field] === c.equals);
+    let subtotal = 0;
+    let minimumSubtotal = 0;
+    let minimumCount = 0;
+    let shippingSubtotal = 0;
+    const lines = [];
+    const items = Array.isArray(order.items) ? order.items : [];
+    if (items.length === 0) errors.items = 'El pedido no tiene artículos';
+    const invalid = [];
+    items.forEach((item, index) => {
+        if (!item || typeof item !== 'object') {
+            invalid.push(index);
+            return;
+        }
+        const product = products.find(p => p.id === item.id);
+        const variant = product && Array.isArray(product.variants)
+            ? product.variants.find(v => v.name === item.variant)
+            : null;
+        if (!product || (Array.isArray(product.variants) && !variant)) {
+            errors.items = `El producto ${item.id} ya no está disponible`;
+            return;
+        }
+        const stock = variant && typeof variant.stock === 'number' ? variant.stock : product.stock;
+        if (!Number.isInteger(item.quantity) || item.quantity < 1 || (typeof stock === 'number' && item.quantity > stock)) {
+            errors.items = `No hay suficientes unidades de "${product.name}"`;
+            return;
+        }
+        const price = variant && typeof variant.price === 'number' ? variant.price : product.price;
+        subtotal += price * item.quantity;
+        lines.push({ product, price, quantity: item.quantity });
+        if (!excluded(product, minimumRule.exclude)) {
+            minimumSubtotal += price * item.quantity;
+            minimumCount++;
+        }
+        if (!excluded(product, shippingRule.exclude)) shippingSubtotal += price * item.quantity;
+    });
+
+    if (invalid.length > 0) errors.items = `Artículos no válidos en las posiciones ${invalid.join(', ')}`;
+
+    if (!errors.items && minimumCount > 0 && minimumSubtotal < (minimumRule.amount || 0)) {
+        errors.items = `El pedido mínimo es de $${minimumRule.amount.toLocaleString('es-CO')}`;
+    }
+
+    const { discount, freeShipping } = applyCoupons(order.coupons, lines, errors);
+
+    let shippingCost = shipping ? shipping.cost : 0;
+    const thresholdMet = typeof shippingRule.threshold === 'number' && shippingSubtotal >= shippingRule.threshold;
+    if (shipping && (thresholdMet || freeShipping) && (shippingRule.methods || []).includes(shipping.id)) {
+        shippingCost = 0;
+    }
+
+    return { errors, total: subtotal - discount + shippingCost };
+}
+
+/**
+ * Atiende `POST /api/checkout`.
+ * @param {http.IncomingMessage} req - La petición.
+ * @param {http.ServerResponse} res - La respuesta.
+ */
+function handleCheckout(req, res) {
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) req.destroy();
+    });
+    req.on('end', () => {
+        if (process.env.MOCK_FAIL === 'drop') {
+            req.socket.destroy();
+            return;
+        }
+        if (process.env.MOCK_FAIL === '500') {
+            sendJson(res, 500, { message: 'Error simulado del servidor' });
+            return;
+        }
+
+        let order;
+        try {
+            order = JSON.parse(body);
+        } catch (error) {
+            sendJson(res, 400, { message: 'El cuerpo de la petición no es JSON válido' });
+            return;
+        }
+
+        const idempotencyKey = req.headers['idempotency-key'];
+        if (idempotencyKey && acceptedOrders.has(idempotencyKey)) {
+            sendJson(res, 201, acceptedOrders.get(idempotencyKey));
+            return;
+        }
+
+        const { errors, total } = validateOrder(order || {});
+        if (Object.keys(errors).length > 0) {
+            sendJson(res, 422, { errors });
+            return;
+        }
+        const accepted = { orderId: crypto.randomBytes(4).toString('hex').toUpperCase(), total };
+        if (idempotencyKey) acceptedOrders.set(idempotencyKey, accepted);
+        // Una pequeña espera permite ver el estado "Procesando..." del botón.
+        setTimeout(() => {
+            sendJson(res, 201, accepted);
+        }, 600);
+    });
+}
+
+/**
+ * Cuenta cuántos productos tienen cada valor de un campo (ej. cada marca).
+ * @param {Array<Object>} products - El catálogo.
+ * @param {string} field - El campo (`brand` o `badge`).
+ * @returns {Array<{value: string, count: number}>} Los valores, ordenados alfabéticamente.
+ */
+function countFacet(products, field) {
+    const counts = new Map();
+    products.forEach(product => {
+        if (product[field]) counts.set(product[field], (counts.get(product[field]) || 0) + 1);
+    });
+    return [...counts.keys()].sort().map(value => ({ value, count: counts.get(value) }));
+}
+
+/**
+ * Atiende `GET /api/products`.
+ * @param {URL} url - La URL de la petición.
+ * @param {http.ServerResponse} res - La respuesta.
+ */
+function handleProducts(url, res) {
+    const products = readJson('products.json');
+
+    if (url.searchParams.has('ids')) {
+        const ids = url.searchParams.get('ids').split(',').map(Number).filter(Number.isInteger);
+        sendJson(res, 200, { items: ids.map(id => products.find(p => p.id === id)).filter(Boolean) });
+        return;
+    }
+
+    const page = Number(url.searchParams.get('page') || 1);
+    const pageSize = Number(url.searchParams.get('pageSize') || 12);
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        sendJson(res, 400, { message: `page debe ser >= 1 y pageSize entre 1 y ${MAX_PAGE_SIZE}` });
+        return;
+    }
+    const start = (page - 1) * pageSize;
+    // Una pequeña espera permite ver las tarjetas de carga de la cuadrícula.
+    setTimeout(() => {
+        sendJson(res, 200, {
+            items: products.slice(start, start + pageSize),
+            page,
+            pageSize,
+            total: products.length,
+            hasMore: start + pageSize < products.length,
+            facets: { brands: countFacet(products, 'brand'), badges: countFacet(products, 'badge') }
+        });
+    }, 400);
+}
+
+/**
+ * Sirve un archivo estático del proyecto.
+ * @param {http.IncomingMessage} req - La petición.
+ * @param {http.ServerResponse} res - La respuesta.
+ */
+function serveStatic(req, res) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        res.writeHead(400);
+        res.end('Ruta no válida');
+        return;
+    }
+    const file = path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+    // Evita salir de la carpeta del proyecto con rutas como "/../" y no expone .git ni node_modules.
+    const segments = path.relative(ROOT, file).split(path.sep);
+    if (!file.startsWith(ROOT + path.sep) || segments.some(s => s.startsWith('.') || s === 'node_modules')) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('No encontrado');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method === 'POST' && req.url === '/api/checkout') {
+        handleCheckout(req, res);
+    } else if (req.method === 'GET' && url.pathname === '/api/products') {
+        handleProducts(url, res);
+    } else if (req.method === 'GET' || req.method === 'HEAD') {
+        serveStatic(req, res);
+    } else {
+        res.writeHead(405);
+        res.end();
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Servidor de pruebas en http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { validateOrder, server };
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * @file tools/validate-catalog.js
+ * @description Revisa un catálogo (`products.json`) con el mismo esquema que usa la tienda (`catalog-schema.js`).
+ *
+ * Lista cada producto que la tienda omitiría y por qué. Termina con código 1 si hay alguno, para poder
+ * usarlo antes de publicar un catálogo nuevo o en integración continua.
+ *
+ * Uso: node tools/validate-catalog.js [ruta/a/products.json]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { validateCatalog, formatCatalogError } = require('../catalog-schema.js');
+
+function main(argv) {
+    const file = argv[2] || path.join(__dirname, '..', 'products.json');
+
+    let products;
+    try {
+        products = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`No se pudo leer ${file}: ${error.message}`);
+        return 1;
+    }
+
+    const { products: valid, errors } = validateCatalog(products);
+    errors.forEach(error => console.error(`${file}: ${formatCatalogError(error)}`));
+    const skipped = new Set(errors.map(error => error.index)).size;
+    console.log(`${valid.length} productos válidos${skipped > 0 ? `, ${skipped} no válidos` : ''}.`);
+    return errors.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv);
+}
+
+module.exports = { main };